@@ -7,14 +7,52 @@
 
 import axios from 'axios';
 import FormData from 'form-data';
-import fs from 'fs';
-import path from 'path';
+import { EventEmitter } from 'events';
+import Spool from './spool.js';
+import EntryBatcher from './batch.js';
+import CircuitBreaker from './breaker.js';
+import RateLimiter from './ratelimit.js';
+import HookPipeline from './hooks.js';
+import { createTransport } from './transport.js';
+import {
+  KryosError,
+  KryosApiError,
+  KryosNetworkError,
+  KryosValidationError,
+  KryosCircuitOpenError,
+  fromAxiosError
+} from './errors.js';
+import Paginator from './paginator.js';
+import EntryQuery from './query.js';
+import utils from './utils.js';
+import { signRequest, UNSIGNED_PAYLOAD } from './signing.js';
+import { compressBody } from './compression.js';
+import { prepareFiles, appendToForm, describeFiles, hasStreamFiles } from './uploads.js';
+import ChunkedUploader from './chunked.js';
+import FileDownloader from './downloads.js';
+import RequestRecorder from './recorder.js';
+import Replayer from './replay.js';
 
-class APIModule {
+class APIModule extends EventEmitter {
   constructor() {
+    super();
     this.config = null;
     this.httpClient = null;
+    this.transport = null;
+    this.recorder = null;
+    this.spool = null;
+    this.spoolReplayTimer = null;
+    this.batcher = null;
+    this.circuitBreaker = null;
+    this.rateLimiter = null;
+    this.hooks = new HookPipeline();
+    this.deliveries = new Set();
+    this.chunkedUploader = null;
+    this.downloader = null;
+    this.replayer = null;
+    this.clockOffsetMs = 0;
     this.isInitialized = false;
+    this.isDestroyed = false;
   }
 
   /**
@@ -23,16 +61,137 @@ class APIModule {
   init(config) {
     this.config = config;
     this.isInitialized = true;
+    this.hooks = new HookPipeline(config.hooks);
 
-    // Create HTTP client with default configuration
-    this.httpClient = axios.create({
+    // Create HTTP client with default configuration on top of the configured transport
+    this.transport = createTransport(config.transport, config.transportOptions);
+    this.recorder = this.createRecorder();
+    this.setupRateLimiter();
+    this.httpClient = this.createHttpClient();
+
+    // Set up circuit breaker so an unhealthy backend fails fast
+    this.setupCircuitBreaker();
+
+    // Set up persistent spool for undeliverable payloads
+    this.setupSpool();
+
+    // Resumable uploads for large files
+    this.chunkedUploader = new ChunkedUploader(this, config.chunkedUploads);
+    this.downloader = new FileDownloader(this);
+    this.replayer = new Replayer(this);
+
+    // Set up in-memory batching of outgoing entries
+    this.setupBatcher();
+
+    this.logMode();
+    console.log('🔗 Kryos API module initialized');
+    return this;
+  }
+
+  /**
+   * Apply changed settings (top-level config keys) after config.update().
+   * The HTTP client is rebuilt; components whose settings changed are replaced,
+   * with buffered entries and recordings flushed and old connections closed.
+   */
+  async reconfigure(changedKeys = []) {
+    const changed = (...keys) => keys.some(key => changedKeys.includes(key));
+    const retired = [];
+
+    if (changed('transport', 'transportOptions')) {
+      const previousTransport = this.transport;
+      this.transport = createTransport(this.config.transport, this.config.transportOptions);
+      retired.push(() => previousTransport !== this.transport && previousTransport.close());
+    }
+    if (changed('mode', 'recording')) {
+      const previousRecorder = this.recorder;
+      this.recorder = this.createRecorder();
+      retired.push(() => previousRecorder?.flush());
+      this.logMode();
+    }
+    // The limiter, breaker and spool are updated in place so listeners
+    // attached to them (and calls queued on the limiter) carry over
+    if (changed('rateLimit')) {
+      if (this.rateLimiter && this.config.rateLimit?.enabled) {
+        this.rateLimiter.configure(this.config.rateLimit);
+      } else {
+        this.rateLimiter?.release();
+        this.setupRateLimiter();
+      }
+    }
+
+    this.httpClient = this.createHttpClient();
+
+    if (changed('circuitBreaker')) {
+      if (this.circuitBreaker && this.config.circuitBreaker?.enabled) {
+        this.circuitBreaker.configure(this.config.circuitBreaker);
+      } else {
+        this.setupCircuitBreaker();
+      }
+    }
+    if (changed('spool')) {
+      if (this.spoolReplayTimer) {
+        clearTimeout(this.spoolReplayTimer);
+        this.spoolReplayTimer = null;
+      }
+      if (this.spool && this.config.spool?.enabled) {
+        retired.push(() => this.spool.configure(this.config.spool)
+          .then(() => this.spool.hasPending())
+          .then(pending => pending && this.scheduleSpoolReplay())
+          .catch(error => console.warn('Failed to inspect Kryos spool:', error.message)));
+      } else {
+        this.setupSpool();
+      }
+    }
+    if (changed('chunkedUploads')) {
+      this.chunkedUploader = new ChunkedUploader(this, this.config.chunkedUploads);
+    }
+    if (changed('batch')) {
+      // Entries already buffered go out through the previous batcher
+      const previousBatcher = this.batcher;
+      previousBatcher?.stop();
+      this.setupBatcher();
+      retired.push(() => previousBatcher?.flush());
+    }
+
+    await Promise.all(retired.map(release => release()));
+  }
+
+  /**
+   * Axios instance with the configured base URL, headers and interceptors
+   */
+  createHttpClient() {
+    const config = this.config;
+    const httpClient = axios.create({
+      adapter: this.createAdapter(),
       baseURL: config.baseUrl,
       timeout: config.timeout,
-      headers: config.getDefaultHeaders()
+      headers: {
+        ...config.getDefaultHeaders(),
+        'Accept-Encoding': config.compression.acceptCompressed ? 'gzip, deflate, br' : 'identity'
+      },
+      decompress: config.compression.acceptCompressed
     });
 
+    // Sign every request when HMAC auth is enabled
+    if (config.authMode === 'hmac') {
+      httpClient.interceptors.request.use((requestConfig) => this.signRequestConfig(requestConfig));
+    }
+
+    // Compress large JSON bodies (interceptors run last-added first, so this runs before signing)
+    if (config.compression.enabled) {
+      httpClient.interceptors.request.use((requestConfig) => this.compressRequestConfig(requestConfig));
+    }
+
+    // Cooperate with the server's rate limits
+    if (this.rateLimiter) {
+      httpClient.interceptors.request.use(async (requestConfig) => {
+        await this.rateLimiter?.waitForServer();
+        return requestConfig;
+      });
+    }
+
     // Add request interceptor for logging
-    this.httpClient.interceptors.request.use(
+    httpClient.interceptors.request.use(
       (config) => {
         if (this.config.enableLogging) {
           console.log(`🔗 API Request: ${config.method?.toUpperCase()} ${config.url}`);
@@ -46,120 +205,690 @@ class APIModule {
     );
 
     // Add response interceptor for logging and error handling
-    this.httpClient.interceptors.response.use(
+    httpClient.interceptors.response.use(
       (response) => {
         if (this.config.enableLogging) {
           console.log(`✅ API Response: ${response.status} ${response.config.url}`);
         }
+        this.trackClockOffset(response);
+        this.rateLimiter?.observe(response.status, response.headers);
         return response;
       },
       (error) => {
-        console.error(`❌ API Error: ${error.response?.status} ${error.config?.url}`, error.response?.data);
+        if (error.response) {
+          this.trackClockOffset(error.response);
+          this.rateLimiter?.observe(error.response.status, error.response.headers);
+        }
+        // Streamed response bodies (file downloads) are not worth logging
+        const body = typeof error.response?.data?.pipe === 'function' ? '' : error.response?.data;
+        console.error(`❌ API Error: ${error.response?.status} ${error.config?.url}`, body);
         return Promise.reject(this.formatError(error));
       }
     );
 
-    console.log('🔗 Kryos API module initialized');
-    return this;
+    return httpClient;
+  }
+
+  /**
+   * Helper: Recorder for record and dry-run mode (null when live)
+   */
+  createRecorder() {
+    return this.config.mode === 'live' ? null : new RequestRecorder(this.config.recording);
+  }
+
+  /**
+   * Helper: Client-side rate limiter, when enabled
+   */
+  setupRateLimiter() {
+    this.rateLimiter = null;
+    if (this.config.rateLimit && this.config.rateLimit.enabled) {
+      this.rateLimiter = new RateLimiter(this.config.rateLimit);
+      this.rateLimiter.on('paused', ({ until }) => {
+        console.warn(`⏳ Kryos API rate limit reached, pausing requests until ${until}`);
+      });
+    }
+  }
+
+  /**
+   * Helper: Circuit breaker, when enabled
+   */
+  setupCircuitBreaker() {
+    this.circuitBreaker = null;
+    if (this.config.circuitBreaker && this.config.circuitBreaker.enabled) {
+      this.circuitBreaker = new CircuitBreaker(this.config.circuitBreaker);
+      this.circuitBreaker.on('stateChange', ({ from, to }) => {
+        console.warn(`⚡ Kryos API circuit breaker: ${from} -> ${to}`);
+      });
+    }
+  }
+
+  /**
+   * Helper: Persistent spool, when enabled; replays anything left from earlier runs
+   */
+  setupSpool() {
+    this.spool = null;
+    if (this.config.spool && this.config.spool.enabled) {
+      this.spool = new Spool(this.config.spool);
+      this.spool.hasPending()
+        .then(pending => pending && this.scheduleSpoolReplay())
+        .catch(error => console.warn('Failed to inspect Kryos spool:', error.message));
+    }
+  }
+
+  /**
+   * Helper: Entry batcher, when enabled
+   */
+  setupBatcher() {
+    this.batcher = null;
+    if (this.config.batch && this.config.batch.enabled) {
+      this.batcher = new EntryBatcher(this.config.batch, (entries, keys) => this.sendBulkEntries(entries, keys));
+      this.batcher.start();
+    }
+  }
+
+  /**
+   * Helper: Announce record and dry-run mode
+   */
+  logMode() {
+    if (this.config.mode === 'dry-run') {
+      console.log(`🧪 Kryos dry-run mode: requests are recorded to ${this.recorder.file} and not sent`);
+    } else if (this.config.mode === 'record') {
+      console.log(`📼 Kryos record mode: requests are recorded to ${this.recorder.file}`);
+    }
+  }
+
+  /**
+   * Axios adapter for the configured transport, wrapped by the recorder in record and dry-run mode
+   */
+  createAdapter() {
+    const adapter = this.transport.createAdapter();
+    if (!this.recorder) {
+      return adapter;
+    }
+    return this.recorder.wrap(adapter || axios.getAdapter(axios.defaults.adapter), {
+      dryRun: this.config.mode === 'dry-run'
+    });
+  }
+
+  /**
+   * Add HMAC signature headers to an outgoing request
+   */
+  signRequestConfig(requestConfig) {
+    // Serialize JSON ourselves so the signed bytes are the bytes sent
+    let body = requestConfig.data;
+    let contentHash;
+
+    if (body && typeof body.getHeaders === 'function') {
+      contentHash = UNSIGNED_PAYLOAD;
+    } else if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body);
+      requestConfig.data = body;
+    }
+
+    const url = new URL(this.httpClient.getUri(requestConfig));
+    const signatureHeaders = signRequest({
+      method: requestConfig.method,
+      path: url.pathname + url.search,
+      body,
+      contentHash,
+      keyId: this.config.keyId,
+      keySecret: this.config.keySecret,
+      timestamp: Date.now() + this.clockOffsetMs
+    });
+
+    for (const [name, value] of Object.entries(signatureHeaders)) {
+      requestConfig.headers.set(name, value);
+    }
+
+    return requestConfig;
+  }
+
+  /**
+   * Replace a large JSON body with its gzip/brotli encoding
+   */
+  async compressRequestConfig(requestConfig) {
+    const { algorithm, threshold, level } = this.config.compression;
+    const compressed = await compressBody(requestConfig.data, { algorithm, threshold, level });
+
+    if (compressed) {
+      requestConfig.data = compressed.body;
+      requestConfig.headers.set('Content-Encoding', compressed.encoding);
+      requestConfig.headers.set('Content-Type', 'application/json');
+      if (this.config.enableLogging) {
+        console.log(`🗜️ Compressed ${requestConfig.url} body ${utils.formatBytes(compressed.originalSize)} -> ${utils.formatBytes(compressed.body.length)} (${compressed.encoding})`);
+      }
+    }
+
+    return requestConfig;
+  }
+
+  /**
+   * Track server clock offset from the Date header so signatures stay
+   * within the server's skew tolerance even if the local clock drifts
+   */
+  trackClockOffset(response) {
+    if (this.config.authMode !== 'hmac') return;
+
+    const serverDate = Date.parse(response.headers?.date);
+    if (Number.isNaN(serverDate)) return;
+
+    const offset = serverDate - Date.now();
+    // Date headers have one second resolution, ignore smaller differences
+    this.clockOffsetMs = Math.abs(offset) > 1000 ? offset : 0;
+    if (Math.abs(offset) > this.config.signatureClockSkewMs) {
+      console.warn(`⏰ Local clock differs from Kryos API by ${Math.round(offset / 1000)}s, adjusting signatures`);
+    }
   }
 
   /**
    * Format error for consistent error handling
    */
   formatError(error) {
-    if (error.response) {
-      // Server responded with error status
-      return new Error(`API Error (${error.response.status}): ${error.response.data?.error || error.message}`);
-    } else if (error.request) {
-      // Request made but no response received
-      return new Error(`Network Error: ${error.message}`);
-    } else {
-      // Something else happened
-      return new Error(`Request Error: ${error.message}`);
-    }
+    return fromAxiosError(error);
   }
 
   /**
-   * Retry mechanism for failed requests
+   * Retry mechanism for failed requests.
+   * Uses exponential backoff with full jitter and honors Retry-After.
    */
   async retryRequest(requestFn, maxRetries = null) {
     const retries = maxRetries || this.config.retryAttempts;
-    const delay = this.config.retryDelay;
+    const policy = this.config.retry;
 
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        return await requestFn();
-      } catch (error) {
-        if (attempt === retries) {
-          throw error;
+    let attempts = 0;
+
+    try {
+      return await utils.retry(() => {
+        attempts += 1;
+        return this.executeWithBreaker(requestFn);
+      }, {
+        maxAttempts: retries,
+        initialDelay: this.config.retryDelay,
+        maxDelay: policy.maxDelay,
+        backoffFactor: policy.backoffFactor,
+        jitter: policy.jitter,
+        maxElapsedMs: policy.maxElapsedMs,
+        shouldRetry: (error) => this.isRetriableError(error),
+        getRetryAfter: (error) => utils.parseRetryAfter(error.headers?.['retry-after']),
+        onRetry: (error, attempt, delay) => {
+          console.warn(`🔄 API request failed, retrying (${attempt}/${retries}) in ${delay}ms...`);
+          if (policy.onRetry) {
+            policy.onRetry(error, { attempt, maxAttempts: retries, delay });
+          }
         }
-        
-        console.warn(`🔄 API request failed, retrying (${attempt}/${retries}) in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay * attempt));
+      });
+    } catch (error) {
+      if (error instanceof KryosError) {
+        error.attempts = attempts;
       }
+      throw error;
     }
   }
 
+  /**
+   * Run a single request attempt through the circuit breaker
+   */
+  async executeWithBreaker(requestFn) {
+    if (!this.circuitBreaker) {
+      return await requestFn();
+    }
+    return await this.circuitBreaker.execute(requestFn, (error) => this.isRetriableError(error));
+  }
+
+  /**
+   * Get circuit breaker state, or null when disabled
+   */
+  getCircuitBreakerState() {
+    return this.circuitBreaker ? this.circuitBreaker.getState() : null;
+  }
+
+  /**
+   * Failed payloads are spooled when the backend is unreachable or the circuit is open
+   */
+  shouldSpool(error) {
+    return Boolean(this.spool) && (this.isRetriableError(error) || error instanceof KryosCircuitOpenError);
+  }
+
+  /**
+   * Only network failures, 408, 429 and 5xx responses are worth retrying
+   */
+  isRetriableError(error) {
+    if (error instanceof KryosNetworkError) return true;
+    if (!(error instanceof KryosApiError)) return false;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+
   /**
    * Health check endpoint
    */
   async healthCheck() {
-    return await this.retryRequest(async () => {
+    const result = await this.retryRequest(async () => {
       const response = await this.httpClient.get('/data/health');
       return response.data;
     });
+
+    // Backend is reachable again, drain anything spooled during the outage
+    if (this.spool) {
+      this.replaySpool().catch(error => {
+        console.warn('Kryos spool replay failed:', error.message);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Post a payload, spooling it to disk if delivery fails
+   */
+  async postWithSpool(endpoint, payload, idempotencyKey) {
+    const headers = { 'Idempotency-Key': idempotencyKey };
+
+    try {
+      return await this.retryRequest(async () => {
+        const response = await this.httpClient.post(endpoint, payload, { headers });
+        return response.data;
+      });
+    } catch (error) {
+      if (!this.shouldSpool(error)) {
+        throw error;
+      }
+
+      const record = await this.spool.append({ method: 'post', endpoint, payload, headers });
+      console.warn(`💾 Kryos API unreachable, spooled ${payload.externalId || record.id} for later delivery`);
+      this.scheduleSpoolReplay();
+
+      return {
+        success: false,
+        spooled: true,
+        spoolId: record.id
+      };
+    }
+  }
+
+  /**
+   * Schedule a health probe that triggers spool replay once it succeeds
+   */
+  scheduleSpoolReplay() {
+    if (!this.spool || this.spoolReplayTimer) {
+      return;
+    }
+
+    this.spoolReplayTimer = setTimeout(async () => {
+      this.spoolReplayTimer = null;
+      try {
+        await this.healthCheck();
+      } catch {
+        this.scheduleSpoolReplay();
+      }
+    }, this.config.spool.replayInterval);
+
+    // Never keep the process alive just to replay the spool
+    this.spoolReplayTimer.unref();
+  }
+
+  /**
+   * Replay spooled payloads in the order they were captured
+   */
+  async replaySpool() {
+    if (!this.spool) {
+      return { sent: 0, dropped: 0, remaining: 0 };
+    }
+
+    const result = await this.spool.replay(async (record) => {
+      try {
+        await this.executeWithBreaker(() => this.httpClient[record.method](record.endpoint, record.payload, {
+          headers: record.headers
+        }));
+      } catch (error) {
+        if (!this.shouldSpool(error)) {
+          console.warn(`Dropping spooled record ${record.id}: ${error.message}`);
+          return false;
+        }
+        throw error;
+      }
+    });
+
+    if (result.sent > 0 || result.dropped > 0) {
+      console.log(`💾 Kryos spool replay: ${result.sent} sent, ${result.dropped} dropped, ${result.remaining} remaining`);
+    }
+
+    if (result.remaining > 0) {
+      this.scheduleSpoolReplay();
+    }
+
+    return result;
+  }
+
+  /**
+   * Derive a stable idempotency key for a write.
+   * The key depends only on the request content, so it survives retries,
+   * spool replay and manual re-sends of the same payload.
+   */
+  getIdempotencyKey(endpoint, payload, options = {}) {
+    return options.idempotencyKey || utils.generateHash({ endpoint, payload });
+  }
+
+  /**
+   * Build an externalId, derived from content when deterministic ids are enabled
+   */
+  buildExternalId(prefix, content, options = {}) {
+    if (this.useDeterministicIds(options)) {
+      return `${prefix}_${utils.generateHash(content).slice(0, 32)}`;
+    }
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Whether generated externalIds are derived from content
+   */
+  useDeterministicIds(options = {}) {
+    return options.deterministicId !== undefined
+      ? Boolean(options.deterministicId)
+      : this.config.idempotency.deterministicIds;
+  }
+
+  /**
+   * Key generated entries (events, errors, metrics) by the caller's content.
+   * The generated externalId and timestamps are left out, so retries and
+   * later re-sends of the same content reuse the key.
+   */
+  withContentKey(type, content, options = {}) {
+    if (options.idempotencyKey) {
+      return options;
+    }
+    return {
+      ...options,
+      idempotencyKey: utils.generateHash({ endpoint: '/data/entries', type, content })
+    };
+  }
+
+  /**
+   * Send a data entry, buffering it when batching is enabled
+   */
+  async deliverEntry(payload, options = {}) {
+    this.assertNotDestroyed();
+    const idempotencyKey = this.getIdempotencyKey('/data/entries', payload, options);
+
+    if (this.batcher) {
+      return await this.batcher.add(payload, idempotencyKey);
+    }
+    return await this.postWithSpool('/data/entries', payload, idempotencyKey);
+  }
+
+  /**
+   * Post entries as a single bulk request.
+   * Returns one Promise.allSettled-style result per entry.
+   */
+  async sendBulkEntries(entries, idempotencyKeys = []) {
+    const endpoint = this.config.batch.endpoint;
+    const keys = entries.map((entry, index) => {
+      return idempotencyKeys[index] || this.getIdempotencyKey('/data/entries', entry);
+    });
+    const headers = { 'Idempotency-Key': utils.generateHash(keys) };
+    let data;
+
+    try {
+      data = await this.retryRequest(async () => {
+        const response = await this.httpClient.post(endpoint, { entries }, { headers });
+        return response.data;
+      });
+    } catch (error) {
+      if (!this.shouldSpool(error)) {
+        throw error;
+      }
+
+      // Spool each entry on its own so replay does not depend on the bulk endpoint
+      const results = [];
+      for (const [index, entry] of entries.entries()) {
+        const record = await this.spool.append({
+          method: 'post',
+          endpoint: '/data/entries',
+          payload: entry,
+          headers: { 'Idempotency-Key': keys[index] }
+        });
+        results.push({ status: 'fulfilled', value: { success: false, spooled: true, spoolId: record.id } });
+      }
+      console.warn(`💾 Kryos API unreachable, spooled ${entries.length} batched entries for later delivery`);
+      this.scheduleSpoolReplay();
+      return results;
+    }
+
+    const itemResults = Array.isArray(data?.results) ? data.results : null;
+
+    return entries.map((entry, index) => {
+      const item = itemResults ? itemResults[index] : { success: true, data };
+      if (item && item.success === false) {
+        const reason = new KryosApiError(`Entry ${entry.externalId} rejected: ${item.error || 'unknown error'}`, {
+          method: 'POST',
+          url: endpoint,
+          status: item.status,
+          code: item.code,
+          responseBody: item
+        });
+        return { status: 'rejected', reason };
+      }
+      return { status: 'fulfilled', value: item };
+    });
+  }
+
+  /**
+   * Flush any buffered entries. After close(), also waits for sends that
+   * were still running hooks or waiting for a rate limit token.
+   */
+  async flush() {
+    if (this.batcher) {
+      await this.batcher.flush();
+    }
+    if (!this.batcher || this.batcher.closed) {
+      await Promise.allSettled([...this.deliveries]);
+    }
+    if (this.recorder) {
+      await this.recorder.flush();
+    }
+  }
+
+  /**
+   * Begin shutting down: stop background timers and close the batcher, so
+   * entries that arrive from now on are sent directly instead of buffered.
+   * The rate limiter keeps draining queued calls until destroy().
+   */
+  close() {
+    if (this.spoolReplayTimer) {
+      clearTimeout(this.spoolReplayTimer);
+      this.spoolReplayTimer = null;
+    }
+    if (this.batcher) {
+      this.batcher.close().catch(error => {
+        console.warn('Kryos batch flush failed:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Stop background spool replay and batch flushing
+   */
+  stop() {
+    if (this.spoolReplayTimer) {
+      clearTimeout(this.spoolReplayTimer);
+      this.spoolReplayTimer = null;
+    }
+    if (this.batcher) {
+      this.batcher.stop();
+    }
+    if (this.rateLimiter) {
+      this.rateLimiter.stop();
+    }
+  }
+
+  /**
+   * Stop background work, reject buffered entries and release the transport's connections
+   */
+  async destroy() {
+    this.isDestroyed = true;
+    this.stop();
+    if (this.batcher) {
+      this.batcher.discard(destroyedError());
+    }
+    if (this.recorder) {
+      await this.recorder.flush();
+    }
+    await this.transport.close();
+    this.removeAllListeners();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Helper: Reject calls made after destroy()
+   */
+  assertNotDestroyed() {
+    if (this.isDestroyed) {
+      throw destroyedError();
+    }
+  }
+
+  /**
+   * Take a token from a rate limit budget (events, errors, metrics, uploads).
+   * Waits or throws KryosRateLimitError depending on rateLimit.policy.
+   */
+  async acquireRateLimit(budget) {
+    if (this.rateLimiter) {
+      await this.rateLimiter.acquire(budget);
+    }
+  }
+
+  /**
+   * Get rate limiter state (null when rate limiting is disabled)
+   */
+  getRateLimitStats() {
+    return this.rateLimiter ? this.rateLimiter.getStats() : null;
+  }
+
+  /**
+   * Register a beforeSend, afterResponse or onError hook; returns a remover
+   */
+  addHook(type, fn) {
+    return this.hooks.add(type, fn);
+  }
+
+  /**
+   * Run send(payload) through the hook pipeline.
+   * Resolves null when a beforeSend hook dropped the payload.
+   */
+  async withHooks(context, payload, send) {
+    this.assertNotDestroyed();
+
+    // Tracked so flush() during shutdown can wait for it
+    const delivery = this.runHooks(context, payload, send);
+    this.deliveries.add(delivery);
+    const forget = () => this.deliveries.delete(delivery);
+    delivery.then(forget, forget);
+    return await delivery;
+  }
+
+  /**
+   * Helper: beforeSend, send, then afterResponse (or onError)
+   */
+  async runHooks(context, payload, send) {
+    const hookContext = { externalId: payload?.externalId ?? null, files: [], ...context };
+
+    try {
+      const finalPayload = await this.hooks.beforeSend(payload, hookContext);
+      if (finalPayload === null) {
+        this.emit('payloadDropped', hookContext);
+        return null;
+      }
+
+      const result = await send(finalPayload);
+      return await this.hooks.afterResponse(result, hookContext);
+    } catch (error) {
+      await this.hooks.onError(error, hookContext);
+      throw error;
+    }
   }
 
   /**
    * Send user data to Kryos backend
    */
-  async sendUserData(userData, files = []) {
+  async sendUserData(userData, files = [], options = {}) {
     if (!userData || !userData.externalId) {
-      throw new Error('User data must include externalId');
+      throw new KryosValidationError('User data must include externalId', ['externalId is required']);
     }
 
-    return await this.retryRequest(async () => {
-      if (files && files.length > 0) {
+    const hasFiles = files && files.length > 0;
+    const context = {
+      type: 'user',
+      operation: 'create',
+      method: 'post',
+      endpoint: '/data/users',
+      files: hasFiles ? describeFiles(files) : []
+    };
+
+    return await this.withHooks(context, userData, async (payload) => {
+      if (hasFiles) {
         // Send with files using multipart/form-data
-        return await this.sendWithFiles('/data/users', userData, files);
-      } else {
-        // Send JSON data
-        const response = await this.httpClient.post('/data/users', userData);
-        return response.data;
+        return await this.uploadWithFiles('/data/users', payload, files, options);
       }
+
+      // Send JSON data
+      const idempotencyKey = this.getIdempotencyKey('/data/users', payload, options);
+      return await this.retryRequest(async () => {
+        const response = await this.httpClient.post('/data/users', payload, {
+          headers: { 'Idempotency-Key': idempotencyKey }
+        });
+        return response.data;
+      });
     });
   }
 
   /**
    * Send data entry to Kryos backend
    */
-  async sendEntryData(entryData, files = []) {
-    if (!entryData || !entryData.externalId || !entryData.dataType) {
-      throw new Error('Entry data must include externalId and dataType');
+  async sendEntryData(entryData, files = [], options = {}) {
+    const entryErrors = this.checkEntryFields(entryData);
+    if (entryErrors.length > 0) {
+      throw new KryosValidationError('Entry data must include externalId and dataType', entryErrors);
     }
 
-    return await this.retryRequest(async () => {
-      if (files && files.length > 0) {
+    const hasFiles = files && files.length > 0;
+    const context = {
+      type: 'entry',
+      operation: 'create',
+      method: 'post',
+      endpoint: '/data/entries',
+      files: hasFiles ? describeFiles(files) : []
+    };
+
+    return await this.withHooks(context, entryData, async (payload) => {
+      if (hasFiles) {
         // Send with files using multipart/form-data
-        return await this.sendWithFiles('/data/entries', entryData, files);
-      } else {
-        // Send JSON data
-        const response = await this.httpClient.post('/data/entries', entryData);
-        return response.data;
+        return await this.uploadWithFiles('/data/entries', payload, files, options);
       }
+
+      // Send JSON data
+      return await this.deliverEntry(payload, options);
     });
   }
 
+  /**
+   * Check the fields every entry needs before it can be sent
+   */
+  checkEntryFields(entryData) {
+    const errors = [];
+    if (!entryData || !entryData.externalId) errors.push('externalId is required');
+    if (!entryData || !entryData.dataType) errors.push('dataType is required');
+    return errors;
+  }
+
   /**
    * Send metrics data to Kryos backend
    */
-  async sendMetrics(metricsData) {
+  async sendMetrics(metricsData, options = {}) {
     if (!metricsData) {
-      throw new Error('Metrics data is required');
+      throw new KryosValidationError('Metrics data is required', ['metricsData is required']);
     }
 
     const payload = {
-      externalId: `metrics_${Date.now()}`,
+      externalId: this.buildExternalId('metrics', metricsData, options),
       dataType: 'custom_data',
       data: {
         type: 'system_metrics',
@@ -170,22 +899,23 @@ class APIModule {
       tags: ['metrics', 'monitoring', 'system']
     };
 
-    return await this.retryRequest(async () => {
-      const response = await this.httpClient.post('/data/entries', payload);
-      return response.data;
+    const context = { type: 'metrics', operation: 'create', method: 'post', endpoint: '/data/entries' };
+    return await this.withHooks(context, payload, async (finalPayload) => {
+      await this.acquireRateLimit('metrics');
+      return await this.deliverEntry(finalPayload, this.withContentKey('metrics', metricsData, options));
     });
   }
 
   /**
    * Send custom event data
    */
-  async sendEvent(eventData) {
+  async sendEvent(eventData, options = {}) {
     if (!eventData || !eventData.eventType) {
-      throw new Error('Event data must include eventType');
+      throw new KryosValidationError('Event data must include eventType', ['eventType is required']);
     }
 
     const payload = {
-      externalId: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      externalId: this.buildExternalId('event', eventData, options),
       dataType: 'event_data',
       data: {
         ...eventData,
@@ -195,22 +925,32 @@ class APIModule {
       tags: ['event', eventData.eventType]
     };
 
-    return await this.retryRequest(async () => {
-      const response = await this.httpClient.post('/data/entries', payload);
-      return response.data;
+    const context = { type: 'event', operation: 'create', method: 'post', endpoint: '/data/entries' };
+    return await this.withHooks(context, payload, async (finalPayload) => {
+      await this.acquireRateLimit('events');
+      return await this.deliverEntry(finalPayload, this.withContentKey('event', eventData, options));
     });
   }
 
   /**
    * Send error report
    */
-  async sendError(errorData) {
+  async sendError(errorData, options = {}) {
     if (!errorData || !errorData.message) {
-      throw new Error('Error data must include message');
+      throw new KryosValidationError('Error data must include message', ['message is required']);
     }
 
+    // Error instances do not serialize their own properties, so hash the fields that are sent
+    const content = {
+      message: errorData.message,
+      stack: errorData.stack,
+      code: errorData.code,
+      severity: errorData.severity,
+      context: errorData.context
+    };
+
     const payload = {
-      externalId: `error_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      externalId: this.buildExternalId('error', content, options),
       dataType: 'custom_data',
       data: {
         type: 'error_report',
@@ -229,40 +969,332 @@ class APIModule {
       tags: ['error', 'monitoring', errorData.severity || 'error']
     };
 
-    return await this.retryRequest(async () => {
-      const response = await this.httpClient.post('/data/entries', payload);
-      return response.data;
+    const context = { type: 'error', operation: 'create', method: 'post', endpoint: '/data/entries' };
+    return await this.withHooks(context, payload, async (finalPayload) => {
+      await this.acquireRateLimit('errors');
+      return await this.deliverEntry(finalPayload, this.withContentKey('error', content, options));
+    });
+  }
+
+  /**
+   * Helper: Retried write with an idempotency key.
+   * Writes that carry a record pass a hook context ({ type, operation }).
+   */
+  async sendWrite(method, endpoint, payload, options = {}, context = null) {
+    const send = async (finalPayload) => {
+      const headers = { 'Idempotency-Key': this.getIdempotencyKey(`${method} ${endpoint}`, finalPayload, options) };
+
+      return await this.retryRequest(async () => {
+        const response = await this.httpClient.request({ method, url: endpoint, data: finalPayload, headers });
+        return response.data;
+      });
+    };
+
+    if (!context) {
+      return await send(payload);
+    }
+    return await this.withHooks({ ...context, method, endpoint }, payload, send);
+  }
+
+  /**
+   * Helper: Retried read that resolves null for 404
+   */
+  async getOne(endpoint) {
+    try {
+      return await this.retryRequest(async () => {
+        const response = await this.httpClient.get(endpoint);
+        return response.data;
+      });
+    } catch (error) {
+      if (error instanceof KryosApiError && error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Build the URL of a single resource
+   */
+  resourcePath(collection, externalId) {
+    if (!externalId || typeof externalId !== 'string') {
+      throw new KryosValidationError('externalId is required', ['externalId must be a non-empty string']);
+    }
+    return `/data/${collection}/${encodeURIComponent(externalId)}`;
+  }
+
+  /**
+   * Get a single user by externalId (null if not found)
+   */
+  async getUser(externalId) {
+    return await this.getOne(this.resourcePath('users', externalId));
+  }
+
+  /**
+   * Partially update a user (PATCH semantics)
+   */
+  async updateUser(externalId, updates, options = {}) {
+    if (!updates || typeof updates !== 'object') {
+      throw new KryosValidationError('User updates must be an object', ['updates must be an object']);
+    }
+    return await this.sendWrite('patch', this.resourcePath('users', externalId), updates, options, {
+      type: 'user',
+      operation: 'update',
+      externalId
+    });
+  }
+
+  /**
+   * Create or replace a user by externalId (PUT semantics)
+   */
+  async upsertUser(userData, options = {}) {
+    if (!userData || !userData.externalId) {
+      throw new KryosValidationError('User data must include externalId', ['externalId is required']);
+    }
+    return await this.sendWrite('put', this.resourcePath('users', userData.externalId), userData, options, {
+      type: 'user',
+      operation: 'upsert'
+    });
+  }
+
+  /**
+   * Delete a user by externalId
+   */
+  async deleteUser(externalId, options = {}) {
+    return await this.deleteRecord('user', 'users', externalId, options);
+  }
+
+  /**
+   * Get a single data entry by externalId (null if not found)
+   */
+  async getEntry(externalId) {
+    return await this.getOne(this.resourcePath('entries', externalId));
+  }
+
+  /**
+   * Partially update a data entry (PATCH semantics)
+   */
+  async updateEntry(externalId, updates, options = {}) {
+    if (!updates || typeof updates !== 'object') {
+      throw new KryosValidationError('Entry updates must be an object', ['updates must be an object']);
+    }
+    return await this.sendWrite('patch', this.resourcePath('entries', externalId), updates, options, {
+      type: 'entry',
+      operation: 'update',
+      externalId
+    });
+  }
+
+  /**
+   * Create or replace a data entry by externalId (PUT semantics)
+   */
+  async upsertEntry(entryData, options = {}) {
+    const entryErrors = this.checkEntryFields(entryData);
+    if (entryErrors.length > 0) {
+      throw new KryosValidationError('Entry data must include externalId and dataType', entryErrors);
+    }
+    return await this.sendWrite('put', this.resourcePath('entries', entryData.externalId), entryData, options, {
+      type: 'entry',
+      operation: 'upsert'
+    });
+  }
+
+  /**
+   * Delete a data entry by externalId
+   */
+  async deleteEntry(externalId, options = {}) {
+    return await this.deleteRecord('entry', 'entries', externalId, options);
+  }
+
+  /**
+   * Add tags to a data entry
+   */
+  async addEntryTags(externalId, tags, options = {}) {
+    const tagList = this.normalizeTags(tags);
+    return await this.sendWrite('post', `${this.resourcePath('entries', externalId)}/tags`, { tags: tagList }, options, {
+      type: 'entry',
+      operation: 'addTags',
+      externalId
+    });
+  }
+
+  /**
+   * Remove tags from a data entry
+   */
+  async removeEntryTags(externalId, tags, options = {}) {
+    const tagList = this.normalizeTags(tags);
+    return await this.sendWrite('delete', `${this.resourcePath('entries', externalId)}/tags`, { tags: tagList }, options, {
+      type: 'entry',
+      operation: 'removeTags',
+      externalId
     });
   }
 
   /**
-   * Send data with files using multipart/form-data
+   * Helper: Delete a user or entry. beforeSend hooks see { externalId } and can
+   * veto the delete, but the request itself has no body
+   */
+  async deleteRecord(type, collection, externalId, options) {
+    const endpoint = this.resourcePath(collection, externalId);
+    const context = { type, operation: 'delete', method: 'delete', endpoint, externalId };
+    return await this.withHooks(context, { externalId }, () => this.sendWrite('delete', endpoint, undefined, options));
+  }
+
+  /**
+   * Helper: Validate a tag or list of tags
+   */
+  normalizeTags(tags) {
+    const tagList = Array.isArray(tags) ? tags : [tags];
+    if (tagList.length === 0 || tagList.some(tag => !tag || typeof tag !== 'string')) {
+      throw new KryosValidationError('Tags must be non-empty strings', ['tags must be a non-empty string or array of strings']);
+    }
+    return tagList;
+  }
+
+  /**
+   * Validate attachments and send them with retries.
+   * Stream attachments can only be read once, so they are never retried.
+   */
+  async uploadWithFiles(endpoint, data, files, options = {}) {
+    // Fail fast on missing files or size limits before any request is made
+    const { files: prepared } = prepareFiles(files, this.config.uploads);
+
+    const chunked = this.config.chunkedUploads;
+    if (chunked.enabled && prepared.some(file => file.source === 'path' && file.size >= chunked.threshold)) {
+      return await this.uploadWithChunkedFiles(endpoint, data, files, prepared, options);
+    }
+
+    await this.acquireRateLimit('uploads');
+    const idempotencyKey = this.getIdempotencyKey(endpoint, { data, files: describeFiles(files) }, options);
+    const maxAttempts = hasStreamFiles(files) ? 1 : null;
+
+    return await this.retryRequest(async () => {
+      return await this.sendWithFiles(endpoint, data, files, idempotencyKey, options);
+    }, maxAttempts);
+  }
+
+  /**
+   * Send the record with its small files, then upload large files in resumable chunks
+   */
+  async uploadWithChunkedFiles(endpoint, data, files, prepared, options = {}) {
+    const { threshold } = this.config.chunkedUploads;
+    const isLarge = (index) => prepared[index].source === 'path' && prepared[index].size >= threshold;
+    const smallFiles = files.filter((file, index) => !isLarge(index));
+    const largeFiles = prepared.filter((file, index) => isLarge(index));
+
+    let result;
+    if (smallFiles.length > 0) {
+      result = await this.uploadWithFiles(endpoint, data, smallFiles, options);
+    } else {
+      const idempotencyKey = this.getIdempotencyKey(endpoint, data, options);
+      result = await this.retryRequest(async () => {
+        const response = await this.httpClient.post(endpoint, data, {
+          headers: { 'Idempotency-Key': idempotencyKey }
+        });
+        return response.data;
+      });
+    }
+
+    const uploads = [];
+    for (const file of largeFiles) {
+      uploads.push(await this.uploadFile(file.path, {
+        filename: file.filename,
+        contentType: file.contentType,
+        attachTo: { collection: endpoint.replace('/data/', ''), externalId: data.externalId },
+        onProgress: options.onUploadProgress
+      }));
+    }
+
+    return { ...result, uploads };
+  }
+
+  /**
+   * Upload a single file using the resumable chunked protocol.
+   * Options: filename, contentType, attachTo ({ collection, externalId }),
+   * partSize, concurrency, onProgress
+   */
+  async uploadFile(filePath, options = {}) {
+    await this.acquireRateLimit('uploads');
+    return await this.chunkedUploader.upload(filePath, options);
+  }
+
+  /**
+   * Send data with files using multipart/form-data.
+   * Files may be paths or { buffer | stream | path, filename, contentType } descriptors.
    */
-  async sendWithFiles(endpoint, data, filePaths) {
+  async sendWithFiles(endpoint, data, files, idempotencyKey = null, options = {}) {
+    const limits = this.config.uploads;
+    const { files: prepared, totalSize } = prepareFiles(files, limits);
     const formData = new FormData();
 
     // Add form fields
     this.flattenAndAddToForm(formData, data);
 
     // Add files
-    for (const filePath of filePaths) {
-      if (!fs.existsSync(filePath)) {
-        throw new Error(`File not found: ${filePath}`);
-      }
-
-      const fileStream = fs.createReadStream(filePath);
-      const fileName = path.basename(filePath);
-      formData.append('files', fileStream, fileName);
+    for (const descriptor of prepared) {
+      appendToForm(formData, descriptor, limits);
     }
 
+    // Content-Length is only known when no stream has an unknown size
+    const contentLength = await new Promise((resolve) => {
+      formData.getLength((error, length) => resolve(error ? null : length));
+    });
+
+    let lastReported = null;
+    const reportProgress = (loaded, total) => {
+      lastReported = { loaded, total };
+      const progress = {
+        endpoint,
+        externalId: data.externalId,
+        loaded,
+        total,
+        percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null
+      };
+
+      this.emit('uploadProgress', progress);
+      if (options.onUploadProgress) {
+        options.onUploadProgress(progress);
+      }
+    };
+
     // Create request with form data headers
     const response = await this.httpClient.post(endpoint, formData, {
+      ...(options.baseURL ? { baseURL: options.baseURL } : {}),
       headers: {
         ...formData.getHeaders(),
-        'Authorization': this.config.getAuthHeader() // Ensure auth header is included
+        ...this.config.getAuthHeaders(), // Ensure auth header is included
+        ...(contentLength !== null ? { 'Content-Length': contentLength } : {}),
+        ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+      },
+      // Multipart bodies are streamed, so recordings use the fields and a file manifest
+      kryosUpload: {
+        fields: data,
+        files: prepared.map(({ filename, contentType, size, source, path: filePath }) => ({
+          filename,
+          contentType,
+          size: size ?? null,
+          source,
+          ...(filePath ? { path: filePath } : {})
+        }))
+      },
+      onUploadProgress: (event) => {
+        reportProgress(event.loaded, event.total || contentLength || totalSize || null);
       }
+    }).catch((error) => {
+      // A stream that outgrew the size limit aborts the request; report the limit, not the socket
+      let cause = error.cause;
+      while (cause) {
+        if (cause instanceof KryosValidationError) throw cause;
+        cause = cause.cause;
+      }
+      throw error;
     });
 
+    // axios throttles progress events and can skip the last one, so report completion once accepted
+    if (lastReported && lastReported.total && lastReported.loaded < lastReported.total) {
+      reportProgress(lastReported.total, lastReported.total);
+    }
+
     return response.data;
   }
 
@@ -311,27 +1343,57 @@ class APIModule {
    * Get data entries from Kryos
    */
   async getEntries(filters = {}) {
-    const { page = 1, limit = 10, dataType, tags } = filters;
+    const { page = 1, limit = 10 } = this.getPaginationOptions(filters);
     
     return await this.retryRequest(async () => {
-      const params = { page, limit };
-      if (dataType) params.dataType = dataType;
-      if (tags) params.tags = Array.isArray(tags) ? tags.join(',') : tags;
+      const params = { page, limit, ...this.buildEntryParams(filters) };
 
       const response = await this.httpClient.get('/data/entries', { params });
       return response.data;
     });
   }
 
+  /**
+   * Helper: Convert entry filters to query params (without pagination)
+   */
+  buildEntryParams(filters = {}) {
+    if (filters instanceof EntryQuery) {
+      return filters.toParams();
+    }
+
+    const { dataType, tags, tagMatch } = filters;
+    const params = {};
+    if (dataType) params.dataType = dataType;
+    if (tags) params.tags = Array.isArray(tags) ? tags.join(',') : tags;
+    if (tags && tagMatch) params.tagMatch = tagMatch;
+    return params;
+  }
+
+  /**
+   * Helper: Read page/limit from plain filters or an EntryQuery
+   */
+  getPaginationOptions(filters = {}) {
+    if (filters instanceof EntryQuery) {
+      return { page: filters.pageNumber, limit: filters.pageSize };
+    }
+    return filters;
+  }
+
+  /**
+   * Start a chainable entry query
+   */
+  entries() {
+    return new EntryQuery(this);
+  }
+
   /**
    * Get files from Kryos
    */
   async getFiles(filters = {}) {
-    const { page = 1, limit = 10, mimetype } = filters;
+    const { page = 1, limit = 10 } = filters;
     
     return await this.retryRequest(async () => {
-      const params = { page, limit };
-      if (mimetype) params.mimetype = mimetype;
+      const params = { page, limit, ...this.buildFileParams(filters) };
 
       const response = await this.httpClient.get('/data/files', { params });
       return response.data;
@@ -339,26 +1401,155 @@ class APIModule {
   }
 
   /**
-   * Batch send multiple data entries
+   * Download a file's content to disk or into a writable stream.
+   * Options: destination (file or directory) or stream, verify, resume, onProgress, signal
+   */
+  async downloadFile(fileId, options = {}) {
+    return await this.downloader.download(fileId, options);
+  }
+
+  /**
+   * Download every file matching filters into options.directory
+   */
+  async downloadFiles(filters = {}, options = {}) {
+    return await this.downloader.downloadAll(filters, options);
+  }
+
+  /**
+   * Re-send an NDJSON file of recorded requests, spool records or plain payloads.
+   * Resolves with { total, succeeded, failed, skipped, lastLine, failuresFile, durationMs }.
+   */
+  async replay(file, options = {}) {
+    return await this.replayer.replay(file, options);
+  }
+
+  /**
+   * Helper: Convert file filters to query params (without pagination)
+   */
+  buildFileParams(filters = {}) {
+    const params = {};
+    if (filters.mimetype) params.mimetype = filters.mimetype;
+    return params;
+  }
+
+  /**
+   * Create a paginator over a list endpoint
+   */
+  paginate(endpoint, itemsKey, params = {}, options = {}) {
+    const fetchPage = (pageParams, signal) => this.retryRequest(async () => {
+      const response = await this.httpClient.get(endpoint, {
+        params: { ...params, ...pageParams },
+        signal
+      });
+      return response.data;
+    });
+
+    return new Paginator(fetchPage, { itemsKey, ...options });
+  }
+
+  /**
+   * Iterate over all users.
+   * Options: limit (page size), page, cursor, concurrency (pages to prefetch), signal
+   */
+  iterateUsers(options = {}) {
+    return this.paginate('/data/users', 'users', {}, options);
+  }
+
+  /**
+   * Iterate over all data entries matching filters (plain object or EntryQuery).
+   * Filters accept the same keys as getEntries plus the iteration options.
+   */
+  iterateEntries(filters = {}, options = {}) {
+    const { limit } = this.getPaginationOptions(filters);
+    const baseOptions = filters instanceof EntryQuery ? { limit } : filters;
+    return this.paginate('/data/entries', 'entries', this.buildEntryParams(filters), { ...baseOptions, ...options });
+  }
+
+  /**
+   * Iterate over all files matching filters.
+   * Filters accept the same keys as getFiles plus the iteration options.
+   */
+  iterateFiles(filters = {}, options = {}) {
+    return this.paginate('/data/files', 'files', this.buildFileParams(filters), { ...filters, ...options });
+  }
+
+  /**
+   * Batch send multiple data entries using the bulk endpoint
    */
   async batchSendEntries(entries) {
     if (!Array.isArray(entries) || entries.length === 0) {
-      throw new Error('Entries must be a non-empty array');
+      throw new KryosValidationError('Entries must be a non-empty array', ['entries must be a non-empty array']);
+    }
+
+    const results = new Array(entries.length);
+    const validIndexes = [];
+    const payloads = new Array(entries.length);
+    const contexts = entries.map(entry => ({
+      type: 'entry',
+      operation: 'batch',
+      method: 'post',
+      endpoint: this.config.batch.endpoint,
+      externalId: entry?.externalId ?? null,
+      files: []
+    }));
+
+    for (const [index, entry] of entries.entries()) {
+      const entryErrors = this.checkEntryFields(entry);
+      if (entryErrors.length > 0) {
+        results[index] = {
+          status: 'rejected',
+          reason: new KryosValidationError('Entry data must include externalId and dataType', entryErrors)
+        };
+        continue;
+      }
+
+      try {
+        payloads[index] = await this.hooks.beforeSend(entry, contexts[index]);
+      } catch (error) {
+        await this.hooks.onError(error, contexts[index]);
+        results[index] = { status: 'rejected', reason: error };
+        continue;
+      }
+
+      if (payloads[index] === null) {
+        this.emit('payloadDropped', contexts[index]);
+        results[index] = { status: 'fulfilled', value: null };
+      } else {
+        validIndexes.push(index);
+      }
     }
 
-    const results = [];
-    const batchSize = 10; // Process in batches to avoid overwhelming the API
+    const batchSize = this.config.batch.maxSize;
+
+    for (let i = 0; i < validIndexes.length; i += batchSize) {
+      const indexes = validIndexes.slice(i, i + batchSize);
+      const batch = indexes.map(index => payloads[index]);
+      let batchResults;
 
-    for (let i = 0; i < entries.length; i += batchSize) {
-      const batch = entries.slice(i, i + batchSize);
-      const batchPromises = batch.map(entry => this.sendEntryData(entry));
-      
       try {
-        const batchResults = await Promise.allSettled(batchPromises);
-        results.push(...batchResults);
+        batchResults = await this.sendBulkEntries(batch);
       } catch (error) {
-        console.error(`Batch ${Math.floor(i / batchSize) + 1} failed:`, error);
-        results.push(...batch.map(() => ({ status: 'rejected', reason: error })));
+        console.error(`Batch ${Math.floor(i / batchSize) + 1} failed:`, error.message);
+        batchResults = batch.map(() => ({ status: 'rejected', reason: error }));
+      }
+
+      indexes.forEach((entryIndex, position) => {
+        results[entryIndex] = batchResults[position];
+      });
+    }
+
+    // afterResponse / onError hooks see each entry's own outcome
+    for (const index of validIndexes) {
+      const result = results[index];
+      if (result.status === 'fulfilled') {
+        try {
+          results[index] = { status: 'fulfilled', value: await this.hooks.afterResponse(result.value, contexts[index]) };
+        } catch (error) {
+          results[index] = { status: 'rejected', reason: error };
+        }
+      }
+      if (results[index].status === 'rejected') {
+        await this.hooks.onError(results[index].reason, contexts[index]);
       }
     }
 
@@ -366,6 +1557,11 @@ class APIModule {
   }
 }
 
-const api = new APIModule();
+/**
+ * Helper: Error for calls on a destroyed instance
+ */
+function destroyedError() {
+  return new KryosError('Kryos SDK instance has been destroyed');
+}
 
-export default api;
\ No newline at end of file
+export default APIModule;
\ No newline at end of file
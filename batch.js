@@ -0,0 +1,145 @@
+/**
+ * Kryos SDK - Batch Module
+ *
+ * Buffers data entries in memory and hands them to a sender in bulk,
+ * flushing when the buffer fills up, on an interval, or on shutdown.
+ * Once closed, entries are sent straight away instead of being buffered.
+ */
+
+import { KryosError } from './errors.js';
+
+class EntryBatcher {
+  constructor(options = {}, sendBatch) {
+    this.maxSize = options.maxSize || 50;
+    this.maxQueueSize = options.maxQueueSize || 1000;
+    this.flushInterval = options.flushInterval || 5000;
+    this.sendBatch = sendBatch;
+    this.queue = [];
+    this.inFlight = new Set();
+    this.flushTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Start the periodic flush timer
+   */
+  start() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => {
+        console.warn('Kryos batch flush failed:', error.message);
+      });
+    }, this.flushInterval);
+
+    // Never keep the process alive just to flush the buffer
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Stop the periodic flush timer
+   */
+  stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Stop buffering: send what is queued and send later entries on their own
+   */
+  close() {
+    this.closed = true;
+    this.stop();
+    return this.flush();
+  }
+
+  /**
+   * Stop the timer and reject every buffered entry with error
+   */
+  discard(error) {
+    this.stop();
+    for (const item of this.queue.splice(0)) {
+      item.reject(error);
+    }
+  }
+
+  /**
+   * Buffer an entry; resolves with that entry's individual result
+   */
+  add(entry, idempotencyKey = null) {
+    if (this.closed) {
+      return new Promise((resolve, reject) => {
+        this.track(this.sendItems([{ entry, idempotencyKey, resolve, reject }]));
+      });
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      return Promise.reject(new KryosError(`Batch queue is full (${this.maxQueueSize} entries)`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ entry, idempotencyKey, resolve, reject });
+
+      if (this.queue.length >= this.maxSize) {
+        this.flush().catch(error => {
+          console.warn('Kryos batch flush failed:', error.message);
+        });
+      }
+    });
+  }
+
+  /**
+   * Send everything currently buffered and wait for in-flight batches
+   */
+  async flush() {
+    while (this.queue.length > 0) {
+      this.track(this.sendItems(this.queue.splice(0, this.maxSize)));
+    }
+
+    await Promise.all([...this.inFlight]);
+  }
+
+  /**
+   * Helper: Keep a send in inFlight until it settles
+   */
+  track(pending) {
+    this.inFlight.add(pending);
+    pending.finally(() => this.inFlight.delete(pending));
+  }
+
+  /**
+   * Send one batch and settle each item's promise
+   */
+  async sendItems(batch) {
+    try {
+      const results = await this.sendBatch(
+        batch.map(item => item.entry),
+        batch.map(item => item.idempotencyKey)
+      );
+
+      batch.forEach((item, index) => {
+        const result = results[index];
+        if (result && result.status === 'rejected') {
+          item.reject(result.reason);
+        } else {
+          item.resolve(result ? result.value : undefined);
+        }
+      });
+    } catch (error) {
+      batch.forEach(item => item.reject(error));
+    }
+  }
+
+  /**
+   * Number of buffered entries
+   */
+  get size() {
+    return this.queue.length;
+  }
+}
+
+export default EntryBatcher;
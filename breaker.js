@@ -0,0 +1,194 @@
+/**
+ * Kryos SDK - Circuit Breaker Module
+ *
+ * Tracks the failure rate of calls to the Kryos backend and short-circuits
+ * further calls while the backend looks unhealthy.
+ *
+ * States:
+ *   closed    - calls flow normally, outcomes are recorded in a rolling window
+ *   open      - calls fail fast until the cooldown elapses
+ *   half-open - a limited number of trial calls decide whether to close again
+ */
+
+import { EventEmitter } from 'events';
+import { KryosCircuitOpenError } from './errors.js';
+
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.state = CircuitState.CLOSED;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+    this.configure(options);
+  }
+
+  /**
+   * Apply settings; the current state and recent outcomes are kept
+   */
+  configure(options = {}) {
+    this.failureRateThreshold = options.failureRateThreshold ?? 0.5;
+    this.minimumRequests = options.minimumRequests ?? 5;
+    this.windowSize = options.windowSize ?? 20;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.halfOpenMaxRequests = options.halfOpenMaxRequests ?? 1;
+    this.outcomes = this.outcomes.slice(-this.windowSize);
+    return this;
+  }
+
+  /**
+   * Run fn through the breaker.
+   * isFailure decides which errors count against the backend's health.
+   */
+  async execute(fn, isFailure = () => true) {
+    if (!this.allowRequest()) {
+      const retryAt = new Date(this.openedAt + this.cooldownMs).toISOString();
+      throw new KryosCircuitOpenError(`Circuit breaker is open, Kryos API calls are paused until ${retryAt}`, { retryAt });
+    }
+
+    const isTrial = this.state === CircuitState.HALF_OPEN;
+    if (isTrial) {
+      this.halfOpenInFlight += 1;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure();
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.halfOpenInFlight -= 1;
+      }
+    }
+  }
+
+  /**
+   * Check whether a call may proceed, moving open -> half-open after cooldown
+   */
+  allowRequest() {
+    if (this.state === CircuitState.OPEN) {
+      if (Date.now() - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+      this.transition(CircuitState.HALF_OPEN);
+    }
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      return this.halfOpenInFlight < this.halfOpenMaxRequests;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.transition(CircuitState.CLOSED);
+      return;
+    }
+    this.pushOutcome(true);
+  }
+
+  /**
+   * Record a failed call
+   */
+  recordFailure() {
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.transition(CircuitState.OPEN);
+      return;
+    }
+
+    this.pushOutcome(false);
+
+    if (this.state === CircuitState.CLOSED &&
+        this.outcomes.length >= this.minimumRequests &&
+        this.getFailureRate() >= this.failureRateThreshold) {
+      this.transition(CircuitState.OPEN);
+    }
+  }
+
+  /**
+   * Add an outcome to the rolling window
+   */
+  pushOutcome(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Failure rate over the rolling window (0..1)
+   */
+  getFailureRate() {
+    if (this.outcomes.length === 0) return 0;
+    const failures = this.outcomes.filter(success => !success).length;
+    return failures / this.outcomes.length;
+  }
+
+  /**
+   * Move to a new state and emit a stateChange event
+   */
+  transition(to) {
+    const from = this.state;
+    if (from === to) return;
+
+    this.state = to;
+
+    if (to === CircuitState.OPEN) {
+      this.openedAt = Date.now();
+    } else if (to === CircuitState.CLOSED) {
+      this.openedAt = null;
+      this.outcomes = [];
+    }
+
+    this.emit('stateChange', { from, to, timestamp: new Date().toISOString() });
+    this.emit(to, { from });
+  }
+
+  /**
+   * Force the breaker back to closed
+   */
+  reset() {
+    this.halfOpenInFlight = 0;
+    this.transition(CircuitState.CLOSED);
+    this.outcomes = [];
+  }
+
+  /**
+   * Get breaker state for health reporting
+   */
+  getState() {
+    return {
+      state: this.state,
+      failureRate: this.getFailureRate(),
+      recentRequests: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === CircuitState.OPEN
+        ? new Date(this.openedAt + this.cooldownMs).toISOString()
+        : null
+    };
+  }
+}
+
+/**
+ * Circuit states
+ */
+CircuitBreaker.State = CircuitState;
+
+export default CircuitBreaker;
@@ -0,0 +1,278 @@
+/**
+ * Kryos SDK - Chunked Upload Module
+ *
+ * Resumable uploads for large files:
+ *
+ *   POST /data/uploads                         init, returns { uploadId }
+ *   PUT  /data/uploads/:uploadId/parts/:n      raw part bytes + X-Content-SHA256
+ *   GET  /data/uploads/:uploadId               confirmed parts (used on resume)
+ *   POST /data/uploads/:uploadId/complete      { parts: [{ partNumber, sha256 }] }
+ *
+ * Each session is persisted to disk after every confirmed part, so an
+ * interrupted upload of the same file to the same target resumes from the
+ * last confirmed part.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { KryosError, KryosApiError, KryosValidationError } from './errors.js';
+
+class ChunkedUploader {
+  constructor(api, options = {}) {
+    this.api = api;
+    this.directory = path.resolve(options.directory || '.kryos-uploads');
+    this.partSize = options.partSize || 8 * 1024 * 1024;
+    this.concurrency = Math.max(1, options.concurrency || 4);
+  }
+
+  /**
+   * Upload a file, resuming a previous session for the same file if one exists.
+   * Options: filename, contentType, attachTo ({ collection, externalId }),
+   * partSize, concurrency, onProgress
+   */
+  async upload(filePath, options = {}) {
+    const stats = await this.statFile(filePath);
+    const sessionPath = this.getSessionPath(filePath, stats, options);
+
+    let session = await this.loadSession(sessionPath);
+    if (session) {
+      session = await this.syncSession(session);
+    }
+    if (!session) {
+      session = await this.initSession(filePath, stats, options);
+    }
+    await this.saveSession(sessionPath, session);
+
+    const totalParts = Math.ceil(session.size / session.partSize) || 1;
+    const pending = [];
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      if (!session.parts[partNumber]) {
+        pending.push(partNumber);
+      }
+    }
+
+    if (pending.length < totalParts) {
+      console.log(`📦 Resuming upload of ${path.basename(filePath)} (${totalParts - pending.length}/${totalParts} parts already confirmed)`);
+    }
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      await this.uploadParts(handle, session, sessionPath, pending, totalParts, options);
+    } finally {
+      await handle.close();
+    }
+
+    const result = await this.api.retryRequest(async () => {
+      const response = await this.api.httpClient.post(`/data/uploads/${encodeURIComponent(session.uploadId)}/complete`, {
+        parts: Object.entries(session.parts)
+          .map(([partNumber, sha256]) => ({ partNumber: Number(partNumber), sha256 }))
+          .sort((a, b) => a.partNumber - b.partNumber)
+      }, {
+        headers: { 'Idempotency-Key': `${session.uploadId}:complete` }
+      });
+      return response.data;
+    });
+
+    await fs.promises.rm(sessionPath, { force: true });
+    return result;
+  }
+
+  /**
+   * Upload pending parts with at most `concurrency` requests in flight
+   */
+  async uploadParts(handle, session, sessionPath, pending, totalParts, options) {
+    const concurrency = Math.max(1, options.concurrency || this.concurrency);
+    const queue = [...pending];
+    let confirmed = totalParts - pending.length;
+    let failure = null;
+    let saveChain = Promise.resolve();
+
+    const worker = async () => {
+      while (queue.length > 0 && !failure) {
+        const partNumber = queue.shift();
+        try {
+          const sha256 = await this.uploadPart(handle, session, partNumber);
+          session.parts[partNumber] = sha256;
+          // Serialize session writes between workers
+          saveChain = saveChain.then(() => this.saveSession(sessionPath, session));
+          await saveChain;
+
+          confirmed += 1;
+          const progress = {
+            uploadId: session.uploadId,
+            filename: session.filename,
+            partNumber,
+            confirmedParts: confirmed,
+            totalParts,
+            percent: Math.round((confirmed / totalParts) * 100)
+          };
+          this.api.emit('uploadProgress', { ...progress, chunked: true });
+          if (options.onProgress) {
+            options.onProgress(progress);
+          }
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+    if (failure) {
+      // Confirmed parts stay in the session file; calling upload() again resumes
+      throw failure;
+    }
+  }
+
+  /**
+   * Read and upload a single part, returning its checksum
+   */
+  async uploadPart(handle, session, partNumber) {
+    const offset = (partNumber - 1) * session.partSize;
+    const length = Math.min(session.partSize, session.size - offset);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, offset);
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const url = `/data/uploads/${encodeURIComponent(session.uploadId)}/parts/${partNumber}`;
+
+    const data = await this.api.retryRequest(async () => {
+      const response = await this.api.httpClient.put(url, buffer, {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Content-SHA256': sha256,
+          'Idempotency-Key': `${session.uploadId}:${partNumber}:${sha256}`
+        }
+      });
+      return response.data;
+    });
+
+    if (data && data.sha256 && data.sha256 !== sha256) {
+      throw new KryosError(`Checksum mismatch for part ${partNumber} of ${session.filename}`, { method: 'PUT', url });
+    }
+
+    return sha256;
+  }
+
+  /**
+   * Start a new upload session on the server
+   */
+  async initSession(filePath, stats, options) {
+    const filename = options.filename || path.basename(filePath);
+    const partSize = options.partSize || this.partSize;
+
+    const data = await this.api.retryRequest(async () => {
+      const response = await this.api.httpClient.post('/data/uploads', {
+        filename,
+        size: stats.size,
+        contentType: options.contentType || 'application/octet-stream',
+        partSize,
+        attachTo: options.attachTo || null
+      });
+      return response.data;
+    });
+
+    const uploadId = data?.uploadId || data?.data?.uploadId;
+    if (!uploadId) {
+      throw new KryosError('Upload init response did not include an uploadId', { method: 'POST', url: '/data/uploads' });
+    }
+
+    return {
+      uploadId,
+      filePath: path.resolve(filePath),
+      filename,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      partSize: data.partSize || partSize,
+      parts: {},
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Reconcile a persisted session with the parts the server confirmed.
+   * Returns null when the server no longer knows the upload.
+   */
+  async syncSession(session) {
+    try {
+      const data = await this.api.retryRequest(async () => {
+        const response = await this.api.httpClient.get(`/data/uploads/${encodeURIComponent(session.uploadId)}`);
+        return response.data;
+      });
+
+      const serverParts = data?.parts || data?.data?.parts;
+      if (Array.isArray(serverParts)) {
+        const confirmed = {};
+        for (const part of serverParts) {
+          if (session.parts[part.partNumber] && (!part.sha256 || part.sha256 === session.parts[part.partNumber])) {
+            confirmed[part.partNumber] = session.parts[part.partNumber];
+          }
+        }
+        session.parts = confirmed;
+      }
+      return session;
+    } catch (error) {
+      if (error instanceof KryosApiError && (error.status === 404 || error.status === 410)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stat the source file
+   */
+  async statFile(filePath) {
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) {
+        throw new KryosValidationError(`Not a file: ${filePath}`, [`${filePath}: path is not a file`]);
+      }
+      return stats;
+    } catch (error) {
+      if (error instanceof KryosValidationError) throw error;
+      throw new KryosValidationError(`File not found: ${filePath}`, [`${filePath}: file does not exist`]);
+    }
+  }
+
+  /**
+   * Session file location; changes whenever the file itself or the upload
+   * target (filename, attachTo, partSize) changes
+   */
+  getSessionPath(filePath, stats, options = {}) {
+    const target = JSON.stringify({
+      filename: options.filename || path.basename(filePath),
+      attachTo: options.attachTo || null,
+      partSize: options.partSize || this.partSize
+    });
+    const key = crypto
+      .createHash('sha256')
+      .update(`${path.resolve(filePath)}:${stats.size}:${stats.mtimeMs}:${target}`)
+      .digest('hex');
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Load a persisted session, if any
+   */
+  async loadSession(sessionPath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(sessionPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Persist a session atomically
+   */
+  async saveSession(sessionPath, session) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const tmpPath = `${sessionPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(session));
+    await fs.promises.rename(tmpPath, sessionPath);
+  }
+}
+
+export default ChunkedUploader;
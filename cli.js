@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Kryos SDK - Command Line Interface
+ *
+ *   kryos replay <file> [options]
+ *
+ * Credentials and the target come from the usual environment variables
+ * (KRYOS_KEY_ID, KRYOS_KEY_SECRET, KRYOS_BASE_URL, KRYOS_AUTH_MODE, ...)
+ * or a kryos.config.json / .kryosrc / package.json#kryos config file.
+ */
+
+import KryosSDK from './index.js';
+
+const USAGE = `Usage: kryos replay <file> [options]
+
+Re-send an NDJSON file of recorded requests, spool records or
+sendEntryData/sendUserData payloads.
+
+Options:
+  --rate <n>            Requests per second (default: unlimited)
+  --concurrency <n>     Requests in flight (default: 1)
+  --base-url <url>      Send to this base URL instead of KRYOS_BASE_URL
+  --method <method>     Only replay requests with this method
+  --endpoint <path>     Only replay requests to this endpoint (prefix match)
+  --data-type <type>    Only replay entries with this dataType
+  --from-line <n>       Skip lines before n (resume an interrupted run)
+  --failures <file>     Where to write failed lines (default: <file>.failures.ndjson)
+  --quiet               Only print failures and the summary
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+  '--rate': 'rate',
+  '--concurrency': 'concurrency',
+  '--base-url': 'baseUrl',
+  '--method': 'method',
+  '--endpoint': 'endpoint',
+  '--data-type': 'dataType',
+  '--from-line': 'fromLine',
+  '--failures': 'failures'
+};
+
+// Numeric options; integers must be whole numbers >= 1, the rest any number > 0
+const NUMERIC_OPTIONS = {
+  rate: { integer: false },
+  concurrency: { integer: true },
+  fromLine: { integer: true }
+};
+
+/**
+ * Parse argv into { command, file, options }
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const parsed = { command, file: null, options: {}, help: command === '-h' || command === '--help' };
+
+  for (let index = 0; index < rest.length; index++) {
+    const arg = rest[index];
+    if (arg === '-h' || arg === '--help') {
+      parsed.help = true;
+    } else if (arg === '--quiet') {
+      parsed.options.quiet = true;
+    } else if (arg.startsWith('--')) {
+      const [flag, inline] = arg.split(/=(.*)/s);
+      const key = OPTIONS[flag];
+      const value = inline ?? rest[++index];
+      if (!key || value === undefined) {
+        throw new Error(key ? `Missing value for ${flag}` : `Unknown option: ${flag}`);
+      }
+      parsed.options[key] = NUMERIC_OPTIONS[key] ? parseNumber(flag, value, NUMERIC_OPTIONS[key]) : value;
+    } else if (!parsed.file) {
+      parsed.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Helper: Parse a numeric option value, rejecting anything that is not a positive number
+ */
+function parseNumber(flag, value, { integer }) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`${flag} must be ${integer ? 'a whole number >= 1' : 'a number > 0'}, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * kryos replay <file>
+ */
+async function replay(file, options) {
+  const kryos = KryosSDK.init({
+    enableDefaultMetrics: false,
+    enableLogging: false
+  });
+
+  const filter = {};
+  if (options.method) filter.method = options.method;
+  if (options.endpoint) filter.endpoint = options.endpoint;
+  if (options.dataType) filter.dataType = options.dataType;
+
+  const summary = await kryos.api.replay(file, {
+    rateLimit: options.rate ?? null,
+    concurrency: options.concurrency ?? 1,
+    rewriteBaseUrl: options.baseUrl,
+    fromLine: options.fromLine ?? 1,
+    failuresFile: options.failures,
+    filter: Object.keys(filter).length > 0 ? filter : null,
+    onResult: (result) => {
+      const target = `${result.method || ''} ${result.endpoint || ''} ${result.externalId || ''}`.trim();
+      if (result.status === 'failed') {
+        console.error(`❌ line ${result.line}: ${target ? `${target} - ` : ''}${result.error}`);
+      } else if (!options.quiet) {
+        console.log(result.status === 'succeeded'
+          ? `✅ line ${result.line}: ${target}`
+          : `⏭️  line ${result.line}: ${target} (${result.reason})`);
+      }
+    }
+  });
+
+  await kryos.shutdown();
+  return summary.failed > 0 ? 1 : 0;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (parsed.help || !parsed.command) {
+    console.log(USAGE);
+    return parsed.help ? 0 : 2;
+  }
+  if (parsed.command !== 'replay' || !parsed.file) {
+    console.error(parsed.command === 'replay' ? `Missing file\n\n${USAGE}` : `Unknown command: ${parsed.command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  return await replay(parsed.file, parsed.options);
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+/**
+ * Kryos SDK - Compression Module
+ *
+ * Compresses JSON request bodies above a size threshold with gzip or
+ * brotli. Multipart forms, streams and binary buffers are sent as-is.
+ */
+
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+export const ENCODINGS = ['gzip', 'br'];
+
+/**
+ * Whether a request body is JSON we are allowed to compress
+ */
+export function isCompressible(data) {
+  if (data === undefined || data === null) return false;
+  if (typeof data === 'string') return true;
+  if (Buffer.isBuffer(data) || ArrayBuffer.isView(data) || data instanceof ArrayBuffer) return false;
+  if (typeof data.getHeaders === 'function' || typeof data.pipe === 'function') return false;
+  if (data instanceof URLSearchParams) return false;
+  return typeof data === 'object';
+}
+
+/**
+ * Compress a request body when it is at least `threshold` bytes.
+ * Resolves with { body, encoding, originalSize } or null when left uncompressed.
+ */
+export async function compressBody(data, { algorithm = 'gzip', threshold = 0, level } = {}) {
+  if (!isCompressible(data)) return null;
+
+  const raw = Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+  if (raw.length < threshold) return null;
+
+  let body;
+  if (algorithm === 'br') {
+    const params = level !== undefined && level !== null
+      ? { [zlib.constants.BROTLI_PARAM_QUALITY]: level }
+      : {};
+    body = await brotliCompress(raw, {
+      params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: raw.length, ...params }
+    });
+  } else {
+    body = await gzip(raw, level !== undefined && level !== null ? { level } : {});
+  }
+
+  // Not worth it when compression doesn't shrink the payload
+  if (body.length >= raw.length) return null;
+
+  return { body, encoding: algorithm, originalSize: raw.length };
+}
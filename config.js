@@ -1,74 +1,384 @@
 /**
  * Kryos SDK - Configuration Module
  * 
- * Handles SDK configuration loading from environment variables,
- * config objects, and provides validation.
+ * Handles SDK configuration loading from config files, environment
+ * variables and config objects, and validates it against the schema
+ * in schema.js.
  */
 
+import fs from 'fs';
+import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { KryosConfigError } from './errors.js';
+import { validateConfig, CONFIG_SCHEMA, ENVIRONMENTS } from './schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Searched in this order in the working directory
+const CONFIG_FILES = ['kryos.config.json', '.kryosrc', 'package.json'];
+
+// Properties that are not user-settable options
+const INTERNAL_KEYS = ['version', 'userAgent', 'sources', 'configFile', 'layers', 'profile'];
+
+// Settings a profile cannot override
+const PROFILE_EXCLUDED_KEYS = ['environment', 'profiles'];
+
+// Object-valued settings that a later layer replaces instead of merging into
+// (a plain-object transport must stay the object the caller passed)
+const REPLACED_KEYS = ['transport'];
+
+// Environment variable -> option path (and parser); the first variable set wins for a path.
+// Values a parser cannot read are kept as strings so validation reports them.
+const ENV_VARIABLES = [
+  ['KRYOS_KEY_ID', 'keyId'],
+  ['KRYOS_KEY_SECRET', 'keySecret'],
+  ['KRYOS_BASE_URL', 'baseUrl'],
+  ['KRYOS_AUTH_MODE', 'authMode'],
+  ['KRYOS_ENABLE_METRICS', 'enableDefaultMetrics', parseBoolean],
+  ['KRYOS_ENABLE_LOGGING', 'enableLogging', parseBoolean],
+  ['KRYOS_TRANSPORT', 'transport'],
+  ['KRYOS_MODE', 'mode'],
+  ['KRYOS_RECORDING_FILE', 'recording.file'],
+  ['KRYOS_TIMEOUT', 'timeout', parseInteger],
+  ['KRYOS_RETRY_ATTEMPTS', 'retryAttempts', parseInteger],
+  ['KRYOS_RETRY_DELAY', 'retryDelay', parseInteger],
+  ['KRYOS_RATE_LIMIT_ENABLED', 'rateLimit.enabled', parseBoolean],
+  ['KRYOS_RATE_LIMIT_POLICY', 'rateLimit.policy'],
+  ['KRYOS_COMPRESSION_ENABLED', 'compression.enabled', parseBoolean],
+  ['KRYOS_COMPRESSION_ALGORITHM', 'compression.algorithm'],
+  ['KRYOS_SPOOL_ENABLED', 'spool.enabled', parseBoolean],
+  ['KRYOS_SPOOL_DIR', 'spool.directory'],
+  ['KRYOS_BATCH_ENABLED', 'batch.enabled', parseBoolean],
+  ['KRYOS_SERVICE_NAME', 'serviceName'],
+  ['KRYOS_SERVICE_VERSION', 'serviceVersion'],
+  ['NODE_ENV', 'environment'],
+  ['KRYOS_ENVIRONMENT', 'environment']
+];
+
 class Config {
   constructor() {
     this.keyId = null;
     this.keySecret = null;
+    this.authMode = 'bearer';
+    this.signatureClockSkewMs = 5 * 60 * 1000;
     this.baseUrl = 'http://localhost:5000/api';
     this.enableDefaultMetrics = true;
     this.enableLogging = true;
     this.timeout = 30000;
     this.retryAttempts = 3;
     this.retryDelay = 1000;
+    this.retry = {
+      maxDelay: 30000,
+      backoffFactor: 2,
+      jitter: true,
+      maxElapsedMs: 120000,
+      onRetry: null
+    };
+    this.idempotency = {
+      deterministicIds: false
+    };
+    this.uploads = {
+      maxFileSize: 100 * 1024 * 1024, // 100MB
+      maxTotalSize: 500 * 1024 * 1024 // 500MB
+    };
+    this.chunkedUploads = {
+      enabled: false,
+      threshold: 64 * 1024 * 1024, // 64MB
+      partSize: 8 * 1024 * 1024, // 8MB
+      concurrency: 4,
+      directory: '.kryos-uploads'
+    };
+    this.compression = {
+      enabled: false,
+      algorithm: 'gzip', // 'gzip' or 'br'
+      threshold: 8 * 1024, // 8KB
+      level: null,
+      acceptCompressed: true
+    };
+    this.rateLimit = {
+      enabled: false,
+      policy: 'queue', // 'queue' or 'drop'
+      maxQueueSize: 1000,
+      minRateFactor: 0.1,
+      recoveryMs: 30000,
+      budgets: {
+        events: { rate: 50, burst: 100 }, // tokens per second
+        errors: { rate: 10, burst: 20 },
+        metrics: { rate: 1, burst: 5 },
+        uploads: { rate: 2, burst: 4 }
+      }
+    };
+    this.circuitBreaker = {
+      enabled: true,
+      failureRateThreshold: 0.5,
+      minimumRequests: 5,
+      windowSize: 20,
+      cooldownMs: 30000,
+      halfOpenMaxRequests: 1
+    };
+    this.transport = 'axios'; // 'axios', 'fetch', 'memory', a Transport instance or an object with request()
+    this.transportOptions = {};
+    this.mode = 'live'; // 'live', 'record' (send and record) or 'dry-run' (record only)
+    this.recording = {
+      file: '.kryos-recordings/requests.ndjson',
+      maxFileSize: 10 * 1024 * 1024, // 10MB
+      maxFiles: 5
+    };
     this.version = '1.0.0';
     this.userAgent = 'Kryos-NodeJS-SDK/1.0.0';
+    this.spool = {
+      enabled: false,
+      directory: '.kryos-spool',
+      maxSizeBytes: 50 * 1024 * 1024, // 50MB
+      maxAgeMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+      segmentMaxBytes: 1024 * 1024, // 1MB
+      replayInterval: 30000
+    };
+    this.batch = {
+      enabled: false,
+      maxSize: 50,
+      maxQueueSize: 1000,
+      flushInterval: 5000,
+      endpoint: '/data/entries/bulk'
+    };
+    this.hooks = {};
+    this.customTags = {};
+    this.serviceName = 'unknown-service';
+    this.serviceVersion = '1.0.0';
+    this.environment = 'development';
+    this.profiles = {}; // { production: { baseUrl, ... } }, merged over the base settings of the active environment
+
+    // Where each setting came from (see explain())
+    this.sources = {};
+    this.configFile = null;
+
+    // Settings as given by each source, lowest precedence first (see resolve())
+    this.layers = [];
+    this.profile = null;
   }
 
   /**
-   * Load configuration from options and environment variables
+   * Load and validate configuration. Precedence, highest first:
+   *   explicit options > environment variables > config file > defaults
+   * Options: configFile (path, or false to skip file discovery), cwd (where to look for config files)
+   * Throws KryosConfigError listing every invalid setting.
    */
   load(options = {}) {
-    // Load from environment variables first
-    this.keyId = process.env.KRYOS_KEY_ID || options.keyId;
-    this.keySecret = process.env.KRYOS_KEY_SECRET || options.keySecret;
-    this.baseUrl = process.env.KRYOS_BASE_URL || options.baseUrl || this.baseUrl;
-    
-    // Optional configurations
-    this.enableDefaultMetrics = process.env.KRYOS_ENABLE_METRICS !== 'false' && 
-                               (options.enableDefaultMetrics !== false);
-    this.enableLogging = process.env.KRYOS_ENABLE_LOGGING !== 'false' && 
-                        (options.enableLogging !== false);
-    
-    // Advanced configurations
-    this.timeout = parseInt(process.env.KRYOS_TIMEOUT) || options.timeout || this.timeout;
-    this.retryAttempts = parseInt(process.env.KRYOS_RETRY_ATTEMPTS) || options.retryAttempts || this.retryAttempts;
-    this.retryDelay = parseInt(process.env.KRYOS_RETRY_DELAY) || options.retryDelay || this.retryDelay;
-
-    // Custom tags for metrics
-    this.customTags = options.customTags || {};
-    
-    // Service information
-    this.serviceName = process.env.KRYOS_SERVICE_NAME || options.serviceName || 'unknown-service';
-    this.serviceVersion = process.env.KRYOS_SERVICE_VERSION || options.serviceVersion || '1.0.0';
-    this.environment = process.env.NODE_ENV || process.env.KRYOS_ENVIRONMENT || 'development';
+    const file = this.readConfigFile(options);
+    const env = readEnvironment();
 
+    this.layers = [];
+    if (file) {
+      this.configFile = file.path;
+      this.layers.push({ values: file.values, describe: () => ({ source: 'file', file: file.path }) });
+    }
+    this.layers.push({ values: env.values, describe: path => ({ source: 'env', variable: env.variables[path] }) });
+    this.layers.push({ values: options, describe: () => ({ source: 'options' }) });
+
+    this.resolve();
+    return this.validate();
+  }
+
+  /**
+   * Rebuild every setting from the defaults and the layers. The environment is
+   * resolved first; each layer's profile for it is applied right after that
+   * layer's base settings, so a higher layer still overrides a lower profile.
+   */
+  resolve() {
+    const defaults = new Config();
+    for (const key of Object.keys(defaults).filter(key => defaults.isOption(key))) {
+      this[key] = defaults[key];
+    }
+    this.sources = {};
+
+    const environment = this.layers.reduce(
+      (current, layer) => (layer.values?.environment !== undefined ? layer.values.environment : current),
+      this.environment
+    );
+    this.profile = null;
+
+    for (const { values, describe } of this.layers) {
+      this.applyLayer(values, describe);
+
+      const profile = isPlainObject(values?.profiles) ? values.profiles[environment] : null;
+      if (isPlainObject(profile)) {
+        const settings = Object.fromEntries(Object.entries(profile).filter(([key]) => !PROFILE_EXCLUDED_KEYS.includes(key)));
+        this.applyLayer(settings, path => ({ ...describe(path), profile: environment }));
+        this.profile = environment;
+      }
+    }
     return this;
   }
 
   /**
-   * Validate configuration
+   * Find and parse the config file: options.configFile, KRYOS_CONFIG_FILE,
+   * or the first of kryos.config.json, .kryosrc and package.json#kryos in cwd
    */
-  isValid() {
-    if (!this.keyId || !this.keySecret) {
-      return false;
+  readConfigFile(options = {}) {
+    if (options.configFile === false) {
+      return null;
     }
 
-    if (!this.baseUrl || !this.baseUrl.startsWith('http')) {
-      return false;
+    const cwd = options.cwd || process.cwd();
+    const explicit = options.configFile || process.env.KRYOS_CONFIG_FILE;
+    if (explicit) {
+      const filePath = path.resolve(cwd, explicit);
+      const source = options.configFile
+        ? { source: 'options' }
+        : { source: 'env', variable: 'KRYOS_CONFIG_FILE' };
+      if (!fs.existsSync(filePath)) {
+        const problem = { key: 'configFile', message: 'file not found', value: filePath, ...source };
+        throw new KryosConfigError(`Kryos config file not found: ${filePath}`, [problem]);
+      }
+      return { path: filePath, values: parseConfigFile(filePath) };
     }
 
-    return true;
+    for (const name of CONFIG_FILES) {
+      const filePath = path.join(cwd, name);
+      if (!fs.existsSync(filePath)) continue;
+
+      if (name === 'package.json') {
+        const values = parseConfigFile(filePath).kryos;
+        if (values && typeof values === 'object') {
+          return { path: `${filePath}#kryos`, values };
+        }
+        continue;
+      }
+      return { path: filePath, values: parseConfigFile(filePath) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Merge one layer of settings over the current values, recording where each came from
+   */
+  applyLayer(values = {}, describeSource) {
+    const merge = (target, layer, prefix) => {
+      for (const [key, value] of Object.entries(layer)) {
+        if (value === undefined) continue;
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+
+        if (isPlainObject(value) && isPlainObject(target[key]) && !REPLACED_KEYS.includes(keyPath)) {
+          target[key] = { ...target[key] };
+          merge(target[key], value, keyPath);
+        } else {
+          target[key] = value;
+          for (const recorded of Object.keys(this.sources)) {
+            if (recorded.startsWith(`${keyPath}.`)) delete this.sources[recorded];
+          }
+          this.sources[keyPath] = describeSource(keyPath);
+        }
+      }
+    };
+
+    const settings = Object.fromEntries(Object.entries(values || {}).filter(([key]) => this.isOption(key)));
+    merge(this, settings, '');
+  }
+
+  /**
+   * Whether a top-level key is a user-settable option
+   */
+  isOption(key) {
+    return Object.prototype.hasOwnProperty.call(this, key) && !INTERNAL_KEYS.includes(key);
+  }
+
+  /**
+   * Report every effective setting and where it came from
+   * ('default', 'file', 'env', 'options' or 'update', plus the profile if one set it):
+   *   { 'rateLimit.enabled': { value: true, source: 'env', variable: 'KRYOS_RATE_LIMIT_ENABLED' }, ... }
+   * Pass a path (e.g. 'baseUrl') to explain a single setting.
+   */
+  explain(keyPath = null) {
+    const report = {};
+
+    const visit = (value, prefix) => {
+      if (isPlainObject(value) && Object.keys(value).length > 0 && !this.sources[prefix]) {
+        for (const [key, child] of Object.entries(value)) {
+          visit(child, `${prefix}.${key}`);
+        }
+        return;
+      }
+      report[prefix] = { value: displayValue(prefix, value), ...this.getSource(prefix) };
+    };
+
+    for (const key of Object.keys(this).filter(key => this.isOption(key))) {
+      visit(this[key], key);
+    }
+
+    if (keyPath) {
+      return report[keyPath] || Object.fromEntries(Object.entries(report).filter(([key]) => key.startsWith(`${keyPath}.`)));
+    }
+    return report;
+  }
+
+  /**
+   * Helper: Source of a setting (the closest recorded path, else the default)
+   */
+  getSource(keyPath) {
+    const parts = keyPath.split('.');
+    for (let length = parts.length; length > 0; length--) {
+      const source = this.sources[parts.slice(0, length).join('.')];
+      if (source) return source;
+    }
+    return { source: 'default' };
+  }
+
+  /**
+   * Every schema violation, with the offending key, its (masked) value and where it was set
+   */
+  getProblems() {
+    const profiles = isPlainObject(this.profiles) ? this.profiles : {};
+
+    // A profile name is also a valid environment. NODE_ENV belongs to the host
+    // application, so any value it sets is accepted as-is.
+    const environments = [...new Set([...ENVIRONMENTS, ...Object.keys(profiles)])];
+    const fromNodeEnv = this.getSource('environment').variable === 'NODE_ENV';
+    const problems = validateConfig(this, {
+      ...CONFIG_SCHEMA,
+      environment: fromNodeEnv ? { type: 'string', required: true } : { enum: environments }
+    });
+
+    // Inactive profiles are checked on their own so mistakes surface before deploying
+    for (const [name, profile] of Object.entries(profiles)) {
+      if (!isPlainObject(profile)) continue;
+      for (const key of PROFILE_EXCLUDED_KEYS.filter(key => key in profile)) {
+        problems.push({ key: `profiles.${name}.${key}`, message: 'cannot be set in a profile', value: profile[key] });
+      }
+      if (name === this.profile) continue;
+
+      const schema = Object.fromEntries(Object.entries(CONFIG_SCHEMA).filter(([key]) => !PROFILE_EXCLUDED_KEYS.includes(key)));
+      for (const problem of validateConfig(profile, schema, { partial: true })) {
+        problems.push({ ...problem, key: `profiles.${name}.${problem.key}` });
+      }
+    }
+
+    return problems.map(problem => ({
+      ...problem,
+      value: displayValue(problem.key, problem.value),
+      ...this.getSource(problem.key)
+    }));
+  }
+
+  /**
+   * Throw a KryosConfigError listing every invalid setting
+   */
+  validate() {
+    const problems = this.getProblems();
+    if (problems.length > 0) {
+      const lines = problems.map(problem => `  - ${formatProblem(problem)}`);
+      throw new KryosConfigError(`Invalid Kryos configuration:\n${lines.join('\n')}`, problems);
+    }
+    return this;
+  }
+
+  /**
+   * Validate configuration
+   */
+  isValid() {
+    return this.getProblems().length === 0;
   }
 
   /**
@@ -85,12 +395,23 @@ class Config {
     return `Bearer ${this.getApiKey()}`;
   }
 
+  /**
+   * Get static authentication headers.
+   * HMAC mode signs each request instead, so nothing static is sent.
+   */
+  getAuthHeaders() {
+    if (this.authMode === 'hmac') {
+      return {};
+    }
+    return { 'Authorization': this.getAuthHeader() };
+  }
+
   /**
    * Get default HTTP headers
    */
   getDefaultHeaders() {
     return {
-      'Authorization': this.getAuthHeader(),
+      ...this.getAuthHeaders(),
       'User-Agent': this.userAgent,
       'Content-Type': 'application/json',
       'X-SDK-Version': this.version,
@@ -108,6 +429,7 @@ class Config {
       serviceName: this.serviceName,
       serviceVersion: this.serviceVersion,
       environment: this.environment,
+      profile: this.profile,
       sdkVersion: this.version,
       nodeVersion: process.version,
       platform: process.platform,
@@ -117,15 +439,51 @@ class Config {
   }
 
   /**
-   * Update configuration at runtime
+   * Update configuration at runtime. Nested objects are merged like load(),
+   * and changing environment switches to that environment's profile.
+   * If the result is invalid nothing changes and a KryosConfigError is thrown.
    */
   update(options = {}) {
-    Object.keys(options).forEach(key => {
-      if (this.hasOwnProperty(key)) {
-        this[key] = options[key];
+    this.layers.push({ values: options || {}, describe: () => ({ source: 'update' }) });
+    this.resolve();
+
+    try {
+      return this.validate();
+    } catch (error) {
+      this.layers.pop();
+      this.resolve();
+      throw error;
+    }
+  }
+
+  /**
+   * Current value of every option, for diff()
+   */
+  snapshot() {
+    return Object.fromEntries(Object.keys(this).filter(key => this.isOption(key)).map(key => [key, this[key]]));
+  }
+
+  /**
+   * Settings that differ from a snapshot(), by path, with credentials masked:
+   *   { 'compression.enabled': { from: false, to: true } }
+   */
+  diff(snapshot) {
+    const changes = {};
+
+    const compare = (before, after, keyPath) => {
+      if (isPlainObject(before) && isPlainObject(after)) {
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+          compare(before[key], after[key], `${keyPath}.${key}`);
+        }
+      } else if (before !== after) {
+        changes[keyPath] = { from: displayValue(keyPath, before), to: displayValue(keyPath, after) };
       }
-    });
-    return this;
+    };
+
+    for (const [key, value] of Object.entries(snapshot)) {
+      compare(value, this[key], key);
+    }
+    return changes;
   }
 
   /**
@@ -135,19 +493,129 @@ class Config {
     return {
       keyId: this.keyId ? '***' + this.keyId.slice(-4) : null, // Mask for security
       baseUrl: this.baseUrl,
+      authMode: this.authMode,
       enableDefaultMetrics: this.enableDefaultMetrics,
       enableLogging: this.enableLogging,
       timeout: this.timeout,
       retryAttempts: this.retryAttempts,
       retryDelay: this.retryDelay,
+      retry: {
+        maxDelay: this.retry.maxDelay,
+        backoffFactor: this.retry.backoffFactor,
+        jitter: this.retry.jitter,
+        maxElapsedMs: this.retry.maxElapsedMs
+      },
+      idempotency: this.idempotency,
+      uploads: this.uploads,
+      chunkedUploads: this.chunkedUploads,
+      circuitBreaker: this.circuitBreaker,
+      compression: this.compression,
+      rateLimit: this.rateLimit,
+      transport: typeof this.transport === 'string' ? this.transport : this.transport?.constructor?.name,
+      mode: this.mode,
+      recording: this.recording,
       serviceName: this.serviceName,
       serviceVersion: this.serviceVersion,
       environment: this.environment,
-      customTags: this.customTags
+      profile: this.profile,
+      profiles: Object.keys(this.profiles || {}),
+      customTags: this.customTags,
+      spool: this.spool,
+      batch: this.batch,
+      configFile: this.configFile
     };
   }
 }
 
-const config = new Config();
+/**
+ * Helper: Read the KRYOS_* environment variables into an options-shaped object
+ */
+function readEnvironment() {
+  const values = {};
+  const variables = {};
+
+  for (const [name, keyPath, parse] of ENV_VARIABLES) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '' || variables[keyPath]) continue;
+
+    const value = parse ? parse(raw) : raw;
+    if (value === undefined) continue;
+
+    const keys = keyPath.split('.');
+    let target = values;
+    for (const key of keys.slice(0, -1)) {
+      target[key] = target[key] || {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+    variables[keyPath] = name;
+  }
+
+  return { values, variables };
+}
+
+/**
+ * Helper: Parse a JSON config file
+ */
+function parseConfigFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const problem = { key: 'configFile', message: error.message, value: filePath, source: 'file', file: filePath };
+    throw new KryosConfigError(`Invalid Kryos config file ${filePath}: ${error.message}`, [problem]);
+  }
+}
+
+function parseBoolean(value) {
+  const normalized = value.trim().toLowerCase();
+  if (['true', '1'].includes(normalized)) return true;
+  if (['false', '0'].includes(normalized)) return false;
+  return value;
+}
+
+function parseInteger(value) {
+  return /^[+-]?\d+$/.test(value.trim()) ? Number(value) : value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Helper: One problem as a line of a KryosConfigError message, e.g.
+ *   timeout: must be an integer >= 1, got "30s" (env KRYOS_TIMEOUT)
+ */
+function formatProblem(problem) {
+  if (problem.message === 'is required' && problem.source === 'default') {
+    const variable = ENV_VARIABLES.find(([, keyPath]) => keyPath === problem.key)?.[0];
+    return `${problem.key}: ${problem.message} (pass it as an option${variable ? `, set ${variable}` : ''} or add it to a config file)`;
+  }
+
+  const got = problem.value === undefined || problem.message === 'is required'
+    ? ''
+    : `, got ${typeof problem.value === 'number' ? String(problem.value) : JSON.stringify(problem.value)}`;
+  const origin = {
+    default: 'default',
+    file: `file ${problem.file}`,
+    env: `env ${problem.variable}`,
+    options: 'options',
+    update: 'update()'
+  }[problem.source];
+  const profile = problem.profile ? `, profile ${problem.profile}` : '';
+  return `${problem.key}: ${problem.message}${got} (${origin}${profile})`;
+}
+
+/**
+ * Helper: Value as shown by explain(), with credentials masked
+ */
+function displayValue(keyPath, value) {
+  const name = keyPath.split('.').pop();
+  if (name === 'keySecret') return value ? '***' : null;
+  if (name === 'keyId') return value ? '***' + String(value).slice(-4) : null;
+  if (typeof value === 'function') return '[Function]';
+  if (Array.isArray(value)) return value.map(item => (typeof item === 'function' ? '[Function]' : item));
+  if (value && typeof value === 'object' && !isPlainObject(value)) return `[${value.constructor?.name || 'Object'}]`;
+  return value;
+}
 
-export default config;
\ No newline at end of file
+export default Config;
\ No newline at end of file
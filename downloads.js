@@ -0,0 +1,286 @@
+/**
+ * Kryos SDK - Downloads Module
+ *
+ * Streams file content to disk or to a writable stream:
+ *
+ *   GET /data/files/:fileId            metadata ({ filename, size, sha256 })
+ *   GET /data/files/:fileId/content    file bytes (honors Range)
+ *
+ * Downloads to disk are written to `<destination>.part` and renamed once the
+ * size and checksum match the metadata. An interrupted download resumes from
+ * the bytes already in the .part file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import util from 'util';
+import { Transform, pipeline as pipelineCallback } from 'stream';
+import { KryosError, KryosNetworkError, KryosValidationError } from './errors.js';
+
+// stream/promises needs Node 15+
+const pipeline = util.promisify(pipelineCallback);
+
+class FileDownloader {
+  constructor(api) {
+    this.api = api;
+  }
+
+  /**
+   * Download a single file.
+   * Options: destination (file or directory path) or stream (writable),
+   * metadata (skip the metadata request), verify (default true),
+   * resume (default true), onProgress, signal
+   */
+  async download(fileId, options = {}) {
+    if (!fileId) {
+      throw new KryosValidationError('fileId is required', ['fileId must be a non-empty string']);
+    }
+    if (!options.destination && !options.stream) {
+      throw new KryosValidationError('A destination or stream is required', ['pass options.destination or options.stream']);
+    }
+
+    const metadata = this.normalizeMetadata(fileId, options.metadata || await this.getMetadata(fileId));
+
+    if (options.stream) {
+      // A writable can't be rewound, so stream downloads are not retried
+      const hash = await this.api.retryRequest(
+        () => this.transfer(metadata, options.stream, 0, null, options),
+        1
+      );
+      this.verify(metadata, hash.size, hash.sha256, options);
+      return { ...metadata, size: hash.size, sha256: hash.sha256 };
+    }
+
+    const destination = await this.resolveDestination(options.destination, metadata.filename);
+    const partPath = `${destination}.part`;
+
+    // Every attempt picks up from whatever is already in the .part file
+    const hash = await this.api.retryRequest(() => this.downloadToPart(metadata, partPath, options));
+
+    try {
+      this.verify(metadata, hash.size, hash.sha256, options);
+    } catch (error) {
+      await fs.promises.rm(partPath, { force: true });
+      throw error;
+    }
+
+    await fs.promises.rename(partPath, destination);
+    return { ...metadata, path: destination, size: hash.size, sha256: hash.sha256 };
+  }
+
+  /**
+   * Download every file matching filters into a directory.
+   * Options: directory (required), concurrency (default 2), signal, plus download options.
+   * Resolves with Promise.allSettled-shaped results.
+   */
+  async downloadAll(filters = {}, options = {}) {
+    const { directory, concurrency = 2, signal, ...downloadOptions } = options;
+    if (!directory) {
+      throw new KryosValidationError('A directory is required', ['pass options.directory']);
+    }
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const iterator = this.api.iterateFiles(filters, { signal })[Symbol.asyncIterator]();
+    const usedNames = new Set();
+    const results = [];
+
+    const worker = async () => {
+      while (true) {
+        const { value: file, done } = await iterator.next();
+        if (done) return;
+
+        const fileId = file.id || file._id || file.fileId;
+        let filename = path.basename(file.filename || file.originalName || file.originalname || String(fileId));
+        // Same name from different files: keep both
+        if (usedNames.has(filename)) {
+          filename = `${fileId}_${filename}`;
+        }
+        usedNames.add(filename);
+
+        try {
+          const value = await this.download(fileId, {
+            ...downloadOptions,
+            metadata: file,
+            destination: path.join(directory, filename)
+          });
+          results.push({ status: 'fulfilled', value });
+        } catch (reason) {
+          console.error(`Failed to download file ${fileId}:`, reason.message);
+          results.push({ status: 'rejected', reason, file });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    return results;
+  }
+
+  /**
+   * One download attempt into the .part file, resuming if it already has bytes
+   */
+  async downloadToPart(metadata, partPath, options) {
+    const resume = options.resume !== false;
+    let offset = 0;
+
+    if (resume) {
+      try {
+        offset = (await fs.promises.stat(partPath)).size;
+      } catch {
+        offset = 0;
+      }
+    }
+
+    // Re-hash what we already have so the final checksum covers the whole file
+    const prefixHash = crypto.createHash('sha256');
+    if (offset > 0) {
+      for await (const chunk of fs.createReadStream(partPath, { end: offset - 1 })) {
+        prefixHash.update(chunk);
+      }
+    }
+
+    return await this.transfer(metadata, null, offset, { partPath, prefixHash }, options);
+  }
+
+  /**
+   * Request the content (from offset) and pipe it to the target while hashing
+   */
+  async transfer(metadata, writable, offset, part, options) {
+    const url = `/data/files/${encodeURIComponent(metadata.id)}/content`;
+    const response = await this.api.httpClient.get(url, {
+      responseType: 'stream',
+      signal: options.signal,
+      // Ranges and sizes refer to the stored bytes, so ask for them unencoded
+      headers: offset > 0 ? { Range: `bytes=${offset}-`, 'Accept-Encoding': 'identity' } : { 'Accept-Encoding': 'identity' },
+      validateStatus: status => (status >= 200 && status < 300) || status === 416
+    }).catch((error) => {
+      // Error bodies arrive as unread streams too
+      error.responseBody?.destroy?.();
+      throw error;
+    });
+
+    let hash = part?.prefixHash || crypto.createHash('sha256');
+    let size = offset;
+
+    if (response.status === 416) {
+      // The .part file already holds everything the server has
+      response.data.destroy();
+      return { size, sha256: hash.digest('hex') };
+    }
+
+    let target = writable;
+    if (part) {
+      const appending = response.status === 206;
+      if (!appending) {
+        // Server ignored the range; start over
+        hash = crypto.createHash('sha256');
+        size = 0;
+      }
+      await fs.promises.mkdir(path.dirname(part.partPath), { recursive: true });
+      target = fs.createWriteStream(part.partPath, { flags: appending ? 'a' : 'w' });
+    }
+
+    const total = metadata.size ?? (Number(response.headers['content-length']) + size || null);
+    const meter = new Transform({
+      transform: (chunk, encoding, callback) => {
+        hash.update(chunk);
+        size += chunk.length;
+        this.reportProgress(metadata, size, total, options);
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(response.data, meter, target);
+    } catch (error) {
+      if (error instanceof KryosError || options.signal?.aborted) throw error;
+      // Connection dropped mid-body: retriable, and a disk download resumes from here
+      throw new KryosNetworkError(`Network Error: download of ${metadata.filename} interrupted: ${error.message}`, {
+        method: 'GET',
+        url,
+        code: error.code,
+        cause: error
+      });
+    }
+    return { size, sha256: hash.digest('hex') };
+  }
+
+  /**
+   * Fetch file metadata
+   */
+  async getMetadata(fileId) {
+    return await this.api.retryRequest(async () => {
+      const response = await this.api.httpClient.get(`/data/files/${encodeURIComponent(fileId)}`);
+      return response.data;
+    });
+  }
+
+  /**
+   * Helper: Pick the fields we rely on out of a metadata response
+   */
+  normalizeMetadata(fileId, raw = {}) {
+    const body = raw?.data && !Array.isArray(raw.data) ? raw.data : raw || {};
+    return {
+      id: fileId,
+      filename: body.filename || body.originalName || body.originalname || String(fileId),
+      contentType: body.mimetype || body.contentType || null,
+      size: typeof body.size === 'number' ? body.size : null,
+      expectedSha256: body.sha256 || body.checksum || null
+    };
+  }
+
+  /**
+   * Helper: Compare the received bytes with the metadata
+   */
+  verify(metadata, size, sha256, options) {
+    if (options.verify === false) return;
+
+    const url = `/data/files/${encodeURIComponent(metadata.id)}/content`;
+    if (metadata.size !== null && metadata.size !== size) {
+      throw new KryosError(`Size mismatch for ${metadata.filename}: expected ${metadata.size} bytes, received ${size}`, { method: 'GET', url });
+    }
+    if (metadata.expectedSha256 && metadata.expectedSha256.toLowerCase() !== sha256) {
+      throw new KryosError(`Checksum mismatch for ${metadata.filename}`, { method: 'GET', url });
+    }
+  }
+
+  /**
+   * Helper: A directory destination gets the file's own name.
+   * A trailing separator always means a directory, created if missing.
+   */
+  async resolveDestination(destination, filename) {
+    if (/[\\/]$/.test(destination)) {
+      await fs.promises.mkdir(destination, { recursive: true });
+      return path.join(destination, path.basename(filename));
+    }
+
+    try {
+      if ((await fs.promises.stat(destination)).isDirectory()) {
+        return path.join(destination, path.basename(filename));
+      }
+    } catch {
+      // Does not exist yet; treat as a file path
+    }
+    return destination;
+  }
+
+  /**
+   * Helper: Emit progress events
+   */
+  reportProgress(metadata, loaded, total, options) {
+    const progress = {
+      fileId: metadata.id,
+      filename: metadata.filename,
+      loaded,
+      total,
+      percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null
+    };
+
+    this.api.emit('downloadProgress', progress);
+    if (options.onProgress) {
+      options.onProgress(progress);
+    }
+  }
+}
+
+export default FileDownloader;
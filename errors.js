@@ -0,0 +1,178 @@
+/**
+ * Kryos SDK - Errors Module
+ *
+ * Error classes thrown by the SDK so callers can decide whether to
+ * retry, alert or drop without parsing error messages.
+ *
+ *   KryosError
+ *   ├── KryosApiError          (server responded with an error status)
+ *   │   └── KryosAuthError     (401 / 403)
+ *   ├── KryosNetworkError      (no response received)
+ *   │   └── KryosTimeoutError  (request exceeded config.timeout)
+ *   ├── KryosValidationError   (payload rejected before sending)
+ *   │   └── KryosConfigError   (invalid SDK configuration)
+ *   ├── KryosCircuitOpenError  (call short-circuited by the circuit breaker)
+ *   └── KryosRateLimitError    (call dropped by the client-side rate limiter)
+ */
+
+import utils from './utils.js';
+
+export class KryosError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.method = details.method || null;
+    this.url = details.url || null;
+    this.attempts = details.attempts || null;
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+
+  /**
+   * Serializable representation (drops the original cause)
+   */
+  toJSON() {
+    const json = {
+      name: this.name,
+      message: this.message,
+      method: this.method,
+      url: this.url,
+      attempts: this.attempts
+    };
+
+    for (const key of ['status', 'code', 'responseBody', 'errors', 'problems']) {
+      if (this[key] !== undefined) {
+        json[key] = this[key];
+      }
+    }
+
+    return json;
+  }
+}
+
+export class KryosApiError extends KryosError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.status = details.status;
+    this.code = details.code || null;
+    this.responseBody = details.responseBody;
+    this.headers = details.headers || {};
+  }
+}
+
+export class KryosAuthError extends KryosApiError {}
+
+export class KryosNetworkError extends KryosError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code || null;
+  }
+}
+
+export class KryosTimeoutError extends KryosNetworkError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout || null;
+  }
+}
+
+export class KryosValidationError extends KryosError {
+  constructor(message, errors = [], details = {}) {
+    super(message, details);
+    this.errors = errors;
+  }
+}
+
+/**
+ * problems: [{ key, message, value, source, file?, variable? }], one per offending key
+ */
+export class KryosConfigError extends KryosValidationError {
+  constructor(message, problems = [], details = {}) {
+    super(message, problems.map(problem => `${problem.key}: ${problem.message}`), details);
+    this.problems = problems;
+  }
+}
+
+export class KryosCircuitOpenError extends KryosError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAt = details.retryAt || null;
+  }
+}
+
+export class KryosRateLimitError extends KryosError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.budget = details.budget || null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * Convert an axios error into the matching Kryos error.
+ * Kryos errors (e.g. thrown by a request interceptor) are returned as they are.
+ */
+export function fromAxiosError(error) {
+  if (error instanceof KryosError) {
+    return error;
+  }
+
+  const details = {
+    method: error.config?.method?.toUpperCase(),
+    url: error.config?.url,
+    cause: sanitizeCause(error)
+  };
+
+  if (error.response) {
+    // Server responded with error status
+    const { status, data, headers } = error.response;
+    const ErrorClass = status === 401 || status === 403 ? KryosAuthError : KryosApiError;
+    return new ErrorClass(`API Error (${status}): ${data?.error || error.message}`, {
+      ...details,
+      status,
+      code: data?.code,
+      responseBody: data,
+      headers
+    });
+  }
+
+  if (error.request) {
+    // Request made but no response received
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new KryosTimeoutError(`Timeout Error: ${error.message}`, {
+        ...details,
+        code: error.code,
+        timeout: error.config?.timeout
+      });
+    }
+    return new KryosNetworkError(`Network Error: ${error.message}`, {
+      ...details,
+      code: error.code
+    });
+  }
+
+  // Something else happened
+  return new KryosError(`Request Error: ${error.message}`, details);
+}
+
+/**
+ * Helper: Copy of an axios error without its request, response and
+ * credential headers, so logging error.cause cannot leak the key secret
+ */
+function sanitizeCause(error) {
+  const cause = new Error(error.message);
+  cause.name = error.name;
+  cause.stack = error.stack;
+  if (error.code) {
+    cause.code = error.code;
+  }
+  if (error.config) {
+    const { method, baseURL, url, timeout, headers } = error.config;
+    cause.config = { method, baseURL, url, timeout, headers: utils.maskHeaders(headers) };
+  }
+  if (error.cause) {
+    cause.cause = error.cause;
+  }
+  return cause;
+}
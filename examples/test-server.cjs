@@ -1,209 +1,156 @@
 const express = require('express');
-const axios = require('axios');
 
 const app = express();
 app.use(express.json());
 
-// Mock SDK for testing - simulates sending data to Kryos backend
-class MockKryosSDK {
-  constructor(config) {
-    this.config = config;
-    this.baseUrl = config.baseUrl || 'http://localhost:5000/api';
-    this.keyId = config.keyId;
-    this.keySecret = config.keySecret;
-  }
+async function main() {
+  // The SDK is an ES module, so load it (and its testing server) dynamically
+  const { default: KryosSDK } = await import('../index.js');
+  const { startTestServer } = await import('../testing.js');
+
+  // Without KRYOS_BASE_URL, run against the local Kryos stand-in
+  const standIn = process.env.KRYOS_BASE_URL
+    ? null
+    : await startTestServer({ keys: { demo_key_id: 'demo_key_secret' } });
+
+  // Initialize SDK
+  const kryos = KryosSDK.init({
+    keyId: process.env.KRYOS_KEY_ID || 'demo_key_id',
+    keySecret: process.env.KRYOS_KEY_SECRET || 'demo_key_secret',
+    baseUrl: process.env.KRYOS_BASE_URL || standIn.url,
+    serviceName: 'kryos-test-server'
+  });
 
-  static init(config) {
-    return new MockKryosSDK(config);
-  }
+  // Add middleware
+  app.use(kryos.getRequestLogger());
+  app.use(kryos.getMetricsMiddleware());
 
-  async testConnection() {
-    try {
-      const response = await axios.get(`${this.baseUrl}/data/health`, {
-        headers: {
-          'Authorization': `Bearer ${this.keyId}.${this.keySecret}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      console.log('✅ Connection to Kryos backend successful');
-      return response.data;
-    } catch (error) {
-      console.error('❌ Failed to connect to Kryos backend:', error.message);
-      throw error;
-    }
-  }
+  // Routes
+  app.get('/', (req, res) => {
+    res.json({ 
+      message: 'Kryos SDK Test Server',
+      status: 'running',
+      timestamp: new Date().toISOString(),
+      endpoints: {
+        'POST /register': 'Register a user',
+        'POST /event': 'Send an event',
+        'GET /test-connection': 'Test Kryos connection',
+        'GET /kryos-state': 'Data received by the local Kryos stand-in'
+      }
+    });
+  });
 
-  async sendUserData(userData) {
+  // Test connection endpoint
+  app.get('/test-connection', async (req, res) => {
     try {
-      const response = await axios.post(`${this.baseUrl}/data/users`, userData, {
-        headers: {
-          'Authorization': `Bearer ${this.keyId}.${this.keySecret}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      console.log('✅ User data sent successfully');
-      return response.data;
+      const result = await kryos.testConnection();
+      res.json({ success: true, result });
     } catch (error) {
-      console.error('❌ Failed to send user data:', error.response?.data || error.message);
-      throw error;
+      res.status(500).json({ success: false, error: error.message });
     }
-  }
+  });
 
-  async sendEntryData(entryData) {
+  // Register user endpoint
+  app.post('/register', async (req, res) => {
     try {
-      const response = await axios.post(`${this.baseUrl}/data/entries`, entryData, {
-        headers: {
-          'Authorization': `Bearer ${this.keyId}.${this.keySecret}`,
-          'Content-Type': 'application/json'
+      const { name, email, phone } = req.body;
+    
+      const userData = {
+        externalId: `user_${Date.now()}`,
+        name,
+        email,
+        phone,
+        metadata: {
+          source: 'test_sdk',
+          timestamp: new Date().toISOString()
         }
+      };
+
+      const result = await kryos.sendUserData(userData);
+    
+      res.json({ 
+        success: true, 
+        message: 'User registered and sent to Kryos',
+        data: result 
       });
-      console.log('✅ Entry data sent successfully');
-      return response.data;
     } catch (error) {
-      console.error('❌ Failed to send entry data:', error.response?.data || error.message);
-      throw error;
-    }
-  }
-
-  getRequestLogger() {
-    return (req, res, next) => {
-      console.log(`📝 ${req.method} ${req.path} - ${new Date().toISOString()}`);
-      next();
-    };
-  }
-
-  getMetricsMiddleware() {
-    return (req, res, next) => {
-      const start = Date.now();
-      res.on('finish', () => {
-        const duration = Date.now() - start;
-        console.log(`📊 ${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
       });
-      next();
-    };
-  }
-}
-
-// Initialize SDK
-const kryos = MockKryosSDK.init({
-  keyId: process.env.KRYOS_KEY_ID || 'demo_key_id',
-  keySecret: process.env.KRYOS_KEY_SECRET || 'demo_key_secret',
-  baseUrl: process.env.KRYOS_BASE_URL || 'http://localhost:5000/api'
-});
-
-// Add middleware
-app.use(kryos.getRequestLogger());
-app.use(kryos.getMetricsMiddleware());
-
-// Routes
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'Kryos SDK Test Server',
-    status: 'running',
-    timestamp: new Date().toISOString(),
-    endpoints: {
-      'POST /register': 'Register a user',
-      'POST /event': 'Send an event',
-      'GET /test-connection': 'Test Kryos connection'
     }
   });
-});
 
-// Test connection endpoint
-app.get('/test-connection', async (req, res) => {
-  try {
-    const result = await kryos.testConnection();
-    res.json({ success: true, result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-// Register user endpoint
-app.post('/register', async (req, res) => {
-  try {
-    const { name, email, phone } = req.body;
+  // Send event endpoint
+  app.post('/event', async (req, res) => {
+    try {
+      const { eventType, data, userId } = req.body;
     
-    const userData = {
-      externalId: `user_${Date.now()}`,
-      name,
-      email,
-      phone,
-      metadata: {
-        source: 'test_sdk',
-        timestamp: new Date().toISOString()
-      }
-    };
+      const entryData = {
+        externalId: `event_${Date.now()}`,
+        dataType: 'event_data',
+        data: {
+          event: eventType,
+          ...data,
+          timestamp: new Date().toISOString()
+        },
+        tags: ['test', eventType]
+      };
 
-    const result = await kryos.sendUserData(userData);
-    
-    res.json({ 
-      success: true, 
-      message: 'User registered and sent to Kryos',
-      data: result 
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
-  }
-});
+      if (userId) {
+        entryData.user = {
+          externalId: userId
+        };
+      }
 
-// Send event endpoint
-app.post('/event', async (req, res) => {
-  try {
-    const { eventType, data, userId } = req.body;
+      const result = await kryos.sendEntryData(entryData);
     
-    const entryData = {
-      externalId: `event_${Date.now()}`,
-      dataType: 'event_data',
-      data: {
-        event: eventType,
-        ...data,
-        timestamp: new Date().toISOString()
-      },
-      tags: ['test', eventType]
-    };
-
-    if (userId) {
-      entryData.user = {
-        externalId: userId
-      };
+      res.json({ 
+        success: true, 
+        message: 'Event sent to Kryos',
+        data: result 
+      });
+    } catch (error) {
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
     }
+  });
 
-    const result = await kryos.sendEntryData(entryData);
-    
-    res.json({ 
-      success: true, 
-      message: 'Event sent to Kryos',
-      data: result 
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+  // Inspect what the stand-in received
+  if (standIn) {
+    app.get('/kryos-state', (req, res) => {
+      res.json({ ...standIn.getState(), requests: standIn.requests.length });
     });
   }
-});
 
-const PORT = process.env.PORT || 3001;
-
-app.listen(PORT, async () => {
-  console.log('\n🚀 Kryos SDK Test Server Started!');
-  console.log(`📍 Server: http://localhost:${PORT}`);
-  console.log(`🎯 Backend: http://localhost:5000/api`);
-  console.log('\n📋 Available Endpoints:');
-  console.log(`   GET  /                - Server info`);
-  console.log(`   GET  /test-connection - Test Kryos connection`);
-  console.log(`   POST /register        - Register user`);
-  console.log(`   POST /event           - Send event`);
-  console.log('\n=====================================\n');
+  const PORT = process.env.PORT || 3001;
+
+  app.listen(PORT, async () => {
+    console.log('\n🚀 Kryos SDK Test Server Started!');
+    console.log(`📍 Server: http://localhost:${PORT}`);
+    console.log(`🎯 Backend: ${kryos.getConfig().baseUrl}${standIn ? ' (local stand-in)' : ''}`);
+    console.log('\n📋 Available Endpoints:');
+    console.log(`   GET  /                - Server info`);
+    console.log(`   GET  /test-connection - Test Kryos connection`);
+    console.log(`   POST /register        - Register user`);
+    console.log(`   POST /event           - Send event`);
+    if (standIn) {
+      console.log(`   GET  /kryos-state     - Data received by the stand-in`);
+    }
+    console.log('\n=====================================\n');
   
-  // Test connection on startup
-  try {
-    await kryos.testConnection();
-  } catch (error) {
-    console.log('⚠️  Could not connect to Kryos backend. Make sure it\'s running on port 5000');
-  }
-});
\ No newline at end of file
+    // Test connection on startup
+    try {
+      await kryos.testConnection();
+    } catch (error) {
+      console.log('⚠️  Could not connect to Kryos backend. Check KRYOS_BASE_URL');
+    }
+  });
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to start test server:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+/**
+ * Kryos SDK - Hooks Module
+ *
+ * Ordered pipeline of user hooks around every record the SDK writes:
+ *
+ *   beforeSend(payload, context)     mutate the payload in place, return a
+ *                                    replacement, or return false/null to drop it
+ *                                    (true or undefined keeps the payload)
+ *   afterResponse(result, context)   inspect the response body, or return a replacement
+ *   onError(error, context)          observe failures (errors thrown here are logged)
+ *
+ * context: { type, operation, method, endpoint, externalId, files }
+ */
+
+import { KryosValidationError } from './errors.js';
+
+export const HOOK_TYPES = ['beforeSend', 'afterResponse', 'onError'];
+
+class HookPipeline {
+  constructor(hooks = {}) {
+    this.hooks = { beforeSend: [], afterResponse: [], onError: [] };
+
+    for (const [type, fns] of Object.entries(hooks || {})) {
+      for (const fn of Array.isArray(fns) ? fns : [fns]) {
+        this.add(type, fn);
+      }
+    }
+  }
+
+  /**
+   * Register a hook; returns a function that removes it again
+   */
+  add(type, fn) {
+    if (!HOOK_TYPES.includes(type)) {
+      throw new KryosValidationError(`Unknown hook type: ${type}`, [`hook type must be one of: ${HOOK_TYPES.join(', ')}`]);
+    }
+    if (typeof fn !== 'function') {
+      throw new KryosValidationError(`${type} hook must be a function`, [`${type} hook must be a function`]);
+    }
+
+    this.hooks[type].push(fn);
+    return () => this.remove(type, fn);
+  }
+
+  /**
+   * Unregister a hook
+   */
+  remove(type, fn) {
+    const list = this.hooks[type] || [];
+    const index = list.indexOf(fn);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  }
+
+  /**
+   * Run beforeSend hooks in order; resolves null when a hook dropped the payload
+   */
+  async beforeSend(payload, context) {
+    let current = payload;
+    for (const hook of this.hooks.beforeSend) {
+      const result = await hook(current, context);
+      if (result === false || result === null) {
+        return null;
+      }
+      if (result !== undefined && result !== true) {
+        current = result;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Run afterResponse hooks in order, each may replace the result
+   */
+  async afterResponse(result, context) {
+    let current = result;
+    for (const hook of this.hooks.afterResponse) {
+      const replacement = await hook(current, context);
+      if (replacement !== undefined) {
+        current = replacement;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Run onError hooks; a failing hook never hides the original error
+   */
+  async onError(error, context) {
+    for (const hook of this.hooks.onError) {
+      try {
+        await hook(error, context);
+      } catch (hookError) {
+        console.warn('Kryos onError hook failed:', hookError.message);
+      }
+    }
+  }
+}
+
+export default HookPipeline;
@@ -14,32 +14,40 @@
  *   });
  */
 
-import config from './config.js';
-import monitoring from './monitoring.js';
-import api from './api.js';
-import middleware from './middleware.js';
+import { EventEmitter } from 'events';
+import Config from './config.js';
+import MonitoringModule from './monitoring.js';
+import APIModule from './api.js';
+import MiddlewareModule from './middleware.js';
 import utils from './utils.js';
+import {
+  KryosError,
+  KryosApiError,
+  KryosAuthError,
+  KryosNetworkError,
+  KryosTimeoutError,
+  KryosValidationError,
+  KryosConfigError,
+  KryosCircuitOpenError,
+  KryosRateLimitError
+} from './errors.js';
+import { signRequest, verifySignature } from './signing.js';
+import { Transport, AxiosTransport, FetchTransport, MemoryTransport } from './transport.js';
 
-class KryosSDK {
+class KryosSDK extends EventEmitter {
   constructor(options = {}) {
-    // Validate required options
-    if (!options.keyId || !options.keySecret) {
-      throw new Error('Kryos SDK: keyId and keySecret are required');
-    }
+    super();
 
-    // Initialize configuration
-    this.config = config.load(options);
-    
-    // Validate configuration
-    if (!this.config.isValid()) {
-      throw new Error('Kryos SDK: Invalid configuration provided');
-    }
+    // Each instance owns its config, API client, metrics registry and middleware.
+    // load() throws a KryosConfigError listing every invalid setting.
+    this.config = new Config().load(options);
 
     // Initialize modules with configuration
-    this.monitoring = monitoring.init(this.config);
-    this.api = api.init(this.config);
-    this.middleware = middleware.init(this.config);
+    this.monitoring = new MonitoringModule().init(this.config);
+    this.api = new APIModule().init(this.config);
+    this.middleware = new MiddlewareModule().init(this.config, this.monitoring, this.api);
     this.utils = utils;
+    this.isDestroyed = false;
 
     // Set up default monitoring if enabled
     if (this.config.enableDefaultMetrics) {
@@ -51,6 +59,14 @@ class KryosSDK {
     console.log(`🔗 API Endpoint: ${this.config.baseUrl}`);
   }
 
+  /**
+   * Register a beforeSend, afterResponse or onError hook.
+   * Returns a function that removes the hook.
+   */
+  addHook(type, fn) {
+    return this.api.addHook(type, fn);
+  }
+
   /**
    * Get current SDK configuration
    */
@@ -64,6 +80,41 @@ class KryosSDK {
     };
   }
 
+  /**
+   * Change configuration at runtime and apply it to every module: the HTTP
+   * client is rebuilt, metric labels are re-applied and default metrics
+   * collection is started or stopped. Nested objects are merged.
+   * Rejects with KryosConfigError (and changes nothing) if the result is invalid.
+   * Resolves with the changes, by path: { 'baseUrl': { from, to } }
+   */
+  async updateConfig(changes = {}) {
+    if (this.isDestroyed) {
+      throw new KryosError('Kryos SDK instance has been destroyed');
+    }
+    if (changes && 'hooks' in changes) {
+      throw new KryosConfigError('hooks cannot be changed with updateConfig(); use addHook() instead', [
+        { key: 'hooks', message: 'cannot be changed at runtime; use addHook() instead', source: 'update' }
+      ]);
+    }
+
+    const snapshot = this.config.snapshot();
+    this.config.update(changes);
+
+    const diff = this.config.diff(snapshot);
+    const changed = Object.keys(diff);
+    if (changed.length === 0) {
+      return diff;
+    }
+
+    const changedKeys = [...new Set(changed.map(keyPath => keyPath.split('.')[0]))];
+    this.monitoring.reconfigure(changedKeys);
+    await this.api.reconfigure(changedKeys);
+
+    console.log(`⚙️ Kryos configuration updated: ${changed.join(', ')}`);
+    this.emit('configChanged', { changed, changes: diff, config: this.config.toJSON() });
+    return diff;
+  }
+
   /**
    * Test API connectivity
    */
@@ -88,27 +139,97 @@ class KryosSDK {
   /**
    * Send user data to Kryos
    */
-  async sendUserData(userData, files = []) {
-    return await this.api.sendUserData(userData, files);
+  async sendUserData(userData, files = [], options = {}) {
+    return await this.api.sendUserData(userData, files, options);
   }
 
   /**
    * Send custom data entry to Kryos
    */
-  async sendEntryData(entryData, files = []) {
-    return await this.api.sendEntryData(entryData, files);
+  async sendEntryData(entryData, files = [], options = {}) {
+    return await this.api.sendEntryData(entryData, files, options);
+  }
+
+  /**
+   * Get a user by externalId (null if not found)
+   */
+  async getUser(externalId) {
+    return await this.api.getUser(externalId);
+  }
+
+  /**
+   * Partially update a user
+   */
+  async updateUser(externalId, updates, options = {}) {
+    return await this.api.updateUser(externalId, updates, options);
+  }
+
+  /**
+   * Create or replace a user
+   */
+  async upsertUser(userData, options = {}) {
+    return await this.api.upsertUser(userData, options);
+  }
+
+  /**
+   * Delete a user
+   */
+  async deleteUser(externalId, options = {}) {
+    return await this.api.deleteUser(externalId, options);
+  }
+
+  /**
+   * Get a data entry by externalId (null if not found)
+   */
+  async getEntry(externalId) {
+    return await this.api.getEntry(externalId);
+  }
+
+  /**
+   * Partially update a data entry
+   */
+  async updateEntry(externalId, updates, options = {}) {
+    return await this.api.updateEntry(externalId, updates, options);
+  }
+
+  /**
+   * Create or replace a data entry
+   */
+  async upsertEntry(entryData, options = {}) {
+    return await this.api.upsertEntry(entryData, options);
+  }
+
+  /**
+   * Delete a data entry
+   */
+  async deleteEntry(externalId, options = {}) {
+    return await this.api.deleteEntry(externalId, options);
+  }
+
+  /**
+   * Add tags to a data entry
+   */
+  async addEntryTags(externalId, tags, options = {}) {
+    return await this.api.addEntryTags(externalId, tags, options);
+  }
+
+  /**
+   * Remove tags from a data entry
+   */
+  async removeEntryTags(externalId, tags, options = {}) {
+    return await this.api.removeEntryTags(externalId, tags, options);
   }
 
   /**
    * Send current metrics to Kryos
    */
-  async sendMetrics(customMetrics = {}) {
+  async sendMetrics(customMetrics = {}, options = {}) {
     const systemMetrics = await this.monitoring.getMetrics();
     return await this.api.sendMetrics({
       system: systemMetrics,
       custom: customMetrics,
       timestamp: new Date().toISOString()
-    });
+    }, options);
   }
 
   /**
@@ -126,13 +247,28 @@ class KryosSDK {
   }
 
   /**
-   * Graceful shutdown - stop metrics collection
+   * Graceful shutdown - flush buffered entries and stop metrics collection
    */
   async shutdown() {
     console.log('🔄 Shutting down Kryos SDK...');
     this.monitoring.stop();
+    this.api.close();
+    await this.api.flush();
+    await this.destroy();
     console.log('✅ Kryos SDK shutdown complete');
   }
+
+  /**
+   * Release this instance's timers, metrics registry and connections.
+   * Buffered entries are rejected, not sent; use shutdown() to flush them first.
+   */
+  async destroy() {
+    if (this.isDestroyed) return;
+    this.isDestroyed = true;
+    this.monitoring.destroy();
+    await this.api.destroy();
+    this.removeAllListeners();
+  }
 }
 
 /**
@@ -152,4 +288,53 @@ KryosSDK.version = '1.0.0';
  */
 KryosSDK.utils = utils;
 
+/**
+ * Export error classes for instanceof checks
+ */
+KryosSDK.errors = {
+  KryosError,
+  KryosApiError,
+  KryosAuthError,
+  KryosNetworkError,
+  KryosTimeoutError,
+  KryosValidationError,
+  KryosConfigError,
+  KryosCircuitOpenError,
+  KryosRateLimitError
+};
+
+/**
+ * Export request signing helpers for servers verifying HMAC-signed requests
+ */
+KryosSDK.signRequest = signRequest;
+KryosSDK.verifySignature = verifySignature;
+
+/**
+ * Export transports for config.transport and tests
+ */
+KryosSDK.transports = {
+  Transport,
+  AxiosTransport,
+  FetchTransport,
+  MemoryTransport
+};
+
+export {
+  signRequest,
+  verifySignature,
+  Transport,
+  AxiosTransport,
+  FetchTransport,
+  MemoryTransport,
+  KryosError,
+  KryosApiError,
+  KryosAuthError,
+  KryosNetworkError,
+  KryosTimeoutError,
+  KryosValidationError,
+  KryosConfigError,
+  KryosCircuitOpenError,
+  KryosRateLimitError
+};
+
 export default KryosSDK;
\ No newline at end of file
@@ -6,6 +6,8 @@
  */
 
 import { performance } from 'perf_hooks';
+import os from 'os';
+import { KryosRateLimitError } from './errors.js';
 
 class MiddlewareModule {
   constructor() {
@@ -170,7 +172,9 @@ class MiddlewareModule {
       if (this.api) {
         setImmediate(() => {
           this.api.sendError(errorInfo).catch(reportError => {
-            console.warn('Failed to send error report:', reportError.message);
+            if (!(reportError instanceof KryosRateLimitError)) {
+              console.warn('Failed to send error report:', reportError.message);
+            }
           });
         });
       }
@@ -288,8 +292,8 @@ class MiddlewareModule {
         health.checks.memory = {
           status: 'healthy',
           used: process.memoryUsage(),
-          free: require('os').freemem(),
-          total: require('os').totalmem()
+          free: os.freemem(),
+          total: os.totalmem()
         };
 
         health.checks.disk = {
@@ -325,6 +329,12 @@ class MiddlewareModule {
             };
             health.status = 'degraded';
           }
+
+          // Circuit breaker state for the Kryos HTTP client
+          const circuitBreaker = this.api.getCircuitBreakerState();
+          if (circuitBreaker) {
+            health.checks.kryosApi.circuitBreaker = circuitBreaker;
+          }
         }
 
         health.responseTime = Date.now() - startTime;
@@ -405,8 +415,10 @@ class MiddlewareModule {
         ...metrics
       });
     } catch (error) {
-      // Don't throw, just log
-      console.warn('Failed to send request metrics:', error.message);
+      // Don't throw, just log (dropping under the rate limit is expected)
+      if (!(error instanceof KryosRateLimitError)) {
+        console.warn('Failed to send request metrics:', error.message);
+      }
     }
   }
 
@@ -425,12 +437,12 @@ class MiddlewareModule {
         ip: req.ip
       });
     } catch (error) {
-      // Don't throw, just log
-      console.warn('Failed to send user activity:', error.message);
+      // Don't throw, just log (dropping under the rate limit is expected)
+      if (!(error instanceof KryosRateLimitError)) {
+        console.warn('Failed to send user activity:', error.message);
+      }
     }
   }
 }
 
-const middleware = new MiddlewareModule();
-
-export default middleware;
\ No newline at end of file
+export default MiddlewareModule;
\ No newline at end of file
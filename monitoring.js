@@ -15,6 +15,7 @@ class MonitoringModule extends EventEmitter {
     this.config = null;
     this.register = new client.Registry();
     this.defaultMetricsInterval = null;
+    this.defaultMetrics = [];
     this.customMetrics = new Map();
     this.isInitialized = false;
   }
@@ -27,12 +28,7 @@ class MonitoringModule extends EventEmitter {
     this.isInitialized = true;
 
     // Set default labels for all metrics
-    this.register.setDefaultLabels({
-      service: config.serviceName,
-      version: config.serviceVersion,
-      environment: config.environment,
-      ...config.customTags
-    });
+    this.applyDefaultLabels();
 
     // Initialize custom metrics
     this.initializeCustomMetrics();
@@ -41,6 +37,36 @@ class MonitoringModule extends EventEmitter {
     return this;
   }
 
+  /**
+   * Label every metric with the service name, version, environment and custom tags
+   */
+  applyDefaultLabels() {
+    this.register.setDefaultLabels({
+      service: this.config.serviceName,
+      version: this.config.serviceVersion,
+      environment: this.config.environment,
+      ...this.config.customTags
+    });
+  }
+
+  /**
+   * Apply changed settings (top-level config keys) after config.update()
+   */
+  reconfigure(changedKeys = []) {
+    const labelKeys = ['serviceName', 'serviceVersion', 'environment', 'customTags'];
+    if (labelKeys.some(key => changedKeys.includes(key))) {
+      this.applyDefaultLabels();
+    }
+
+    if (changedKeys.includes('enableDefaultMetrics')) {
+      if (this.config.enableDefaultMetrics) {
+        this.startDefaultCollection();
+      } else {
+        this.stopDefaultCollection();
+      }
+    }
+  }
+
   /**
    * Initialize custom metrics
    */
@@ -118,12 +144,18 @@ class MonitoringModule extends EventEmitter {
       return;
     }
 
-    // Collect default metrics
-    client.collectDefaultMetrics({
-      register: this.register,
-      timeout: 5000,
-      gcDurationBuckets: [0.001, 0.01, 0.1, 1, 2, 5]
-    });
+    // Collect default metrics; created once, then re-registered on restart
+    if (this.defaultMetrics.length > 0) {
+      this.defaultMetrics.forEach(metric => this.register.registerMetric(metric));
+    } else {
+      const existing = new Set(this.register.getMetricsAsArray());
+      client.collectDefaultMetrics({
+        register: this.register,
+        timeout: 5000,
+        gcDurationBuckets: [0.001, 0.01, 0.1, 1, 2, 5]
+      });
+      this.defaultMetrics = this.register.getMetricsAsArray().filter(metric => !existing.has(metric));
+    }
 
     // Custom system metrics collection
     this.defaultMetricsInterval = setInterval(() => {
@@ -290,6 +322,25 @@ class MonitoringModule extends EventEmitter {
     }
   }
 
+  /**
+   * Stop collection and unregister the default Node.js metrics
+   */
+  stopDefaultCollection() {
+    this.stop();
+    this.defaultMetrics.forEach(metric => this.register.removeSingleMetric(metric.name));
+  }
+
+  /**
+   * Stop collection and unregister every metric from this instance's registry
+   */
+  destroy() {
+    this.stop();
+    this.register.clear();
+    this.customMetrics.clear();
+    this.removeAllListeners();
+    this.isInitialized = false;
+  }
+
   /**
    * Get current system information
    */
@@ -308,6 +359,4 @@ class MonitoringModule extends EventEmitter {
   }
 }
 
-const monitoring = new MonitoringModule();
-
-export default monitoring;
\ No newline at end of file
+export default MonitoringModule;
\ No newline at end of file
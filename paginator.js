@@ -0,0 +1,154 @@
+/**
+ * Kryos SDK - Paginator Module
+ *
+ * Async iterator over paginated list endpoints. Follows page-number or
+ * cursor pagination metadata, optionally prefetches pages ahead, and
+ * stops when an AbortSignal fires.
+ *
+ * Usage:
+ *   for await (const user of kryos.api.iterateUsers({ limit: 100 })) { ... }
+ *   const entries = await kryos.api.iterateEntries({ dataType: 'event_data' }).toArray({ max: 500 });
+ */
+
+class Paginator {
+  /**
+   * fetchPage(params, signal) must resolve with the raw response body.
+   * itemsKey names the array in the response (e.g. 'users').
+   */
+  constructor(fetchPage, options = {}) {
+    this.fetchPage = fetchPage;
+    this.itemsKey = options.itemsKey || 'data';
+    this.limit = options.limit || 10;
+    this.startPage = options.page || 1;
+    this.startCursor = options.cursor || null;
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.signal = options.signal || null;
+  }
+
+  /**
+   * Iterate over individual items
+   */
+  async *[Symbol.asyncIterator]() {
+    for await (const items of this.pages()) {
+      for (const item of items) {
+        if (this.isAborted()) return;
+        yield item;
+      }
+    }
+  }
+
+  /**
+   * Iterate over pages of items
+   */
+  async *pages() {
+    let page = this.startPage;
+    let cursor = this.startCursor;
+    let useCursor = Boolean(cursor);
+    let totalPages = null;
+    let isFirstPage = true;
+    const prefetched = new Map();
+
+    while (!this.isAborted()) {
+      let pending;
+
+      if (useCursor) {
+        pending = this.request({ cursor, limit: this.limit });
+      } else {
+        // The first page decides page vs cursor mode, so only prefetch after it
+        const lookahead = isFirstPage ? 1 : this.concurrency;
+        for (let next = page; next < page + lookahead; next++) {
+          if (!prefetched.has(next) && (totalPages === null || next <= totalPages)) {
+            prefetched.set(next, this.request({ page: next, limit: this.limit }));
+          }
+        }
+        pending = prefetched.get(page);
+        prefetched.delete(page);
+      }
+
+      let response;
+      try {
+        response = await pending;
+      } catch (error) {
+        if (this.isAborted()) return;
+        throw error;
+      }
+
+      const { items, meta } = this.parseResponse(response);
+      if (items.length > 0) {
+        yield items;
+      }
+
+      const nextCursor = meta.nextCursor || meta.next_cursor || null;
+      if (isFirstPage && nextCursor) {
+        useCursor = true;
+      }
+      isFirstPage = false;
+
+      if (useCursor) {
+        if (!nextCursor) return;
+        cursor = nextCursor;
+        continue;
+      }
+
+      totalPages = meta.pages || meta.totalPages || meta.total_pages || totalPages;
+      const hasNext = meta.hasNext ?? meta.hasNextPage ?? meta.has_more ?? null;
+
+      if (hasNext === false) return;
+      if (totalPages !== null && page >= totalPages) return;
+      if (hasNext === null && totalPages === null && items.length < this.limit) return;
+      if (items.length === 0) return;
+
+      page += 1;
+    }
+  }
+
+  /**
+   * Collect items into an array, stopping after max items
+   */
+  async toArray({ max = Infinity } = {}) {
+    const results = [];
+    if (max <= 0) return results;
+
+    for await (const item of this) {
+      results.push(item);
+      if (results.length >= max) break;
+    }
+    return results;
+  }
+
+  /**
+   * Start fetching a page; rejections surface when the page is awaited
+   */
+  request(params) {
+    const pending = this.fetchPage(params, this.signal);
+    pending.catch(() => {});
+    return pending;
+  }
+
+  /**
+   * Extract items and pagination metadata from a response body
+   */
+  parseResponse(response = {}) {
+    const body = response || {};
+    const nested = body.data && !Array.isArray(body.data) ? body.data : {};
+
+    const items = [body[this.itemsKey], nested[this.itemsKey], body.data, body.items]
+      .find(candidate => Array.isArray(candidate)) || [];
+
+    const meta = body.pagination || nested.pagination || body.meta || {
+      nextCursor: body.nextCursor,
+      hasNext: body.hasNext
+    };
+
+    return { items, meta };
+  }
+
+  /**
+   * Whether the caller aborted iteration
+   */
+  isAborted() {
+    return Boolean(this.signal && this.signal.aborted);
+  }
+}
+
+export default Paginator;
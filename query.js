@@ -0,0 +1,241 @@
+/**
+ * Kryos SDK - Query Module
+ *
+ * Chainable query builder for data entries. Serializes to the query
+ * params understood by GET /data/entries and plugs into pagination.
+ *
+ * Usage:
+ *   const recentPurchases = await kryos.api.entries()
+ *     .where('dataType', 'event_data')
+ *     .where('data.amount', '>=', 100)
+ *     .tags(['purchase', 'web'], { match: 'all' })
+ *     .between('2024-01-01', new Date())
+ *     .sort('createdAt', 'desc')
+ *     .select('externalId', 'data.amount')
+ *     .toArray({ max: 500 });
+ *
+ * Serialized params:
+ *   dataType=event_data
+ *   data.amount[gte]=100
+ *   tags=purchase,web&tagMatch=all
+ *   createdFrom=2024-01-01T00:00:00.000Z&createdTo=...
+ *   sort=-createdAt
+ *   fields=externalId,data.amount
+ */
+
+import { KryosValidationError } from './errors.js';
+
+const OPERATORS = {
+  '=': 'eq',
+  '==': 'eq',
+  eq: 'eq',
+  '!=': 'ne',
+  ne: 'ne',
+  '>': 'gt',
+  gt: 'gt',
+  '>=': 'gte',
+  gte: 'gte',
+  '<': 'lt',
+  lt: 'lt',
+  '<=': 'lte',
+  lte: 'lte',
+  in: 'in',
+  startsWith: 'prefix',
+  prefix: 'prefix'
+};
+
+const TOP_LEVEL_FIELDS = ['dataType', 'externalId'];
+
+class EntryQuery {
+  constructor(api) {
+    this.api = api;
+    this.filters = [];
+    this.tagList = null;
+    this.tagMatch = 'any';
+    this.range = null;
+    this.sortFields = [];
+    this.fields = [];
+    this.pageSize = 10;
+    this.pageNumber = 1;
+  }
+
+  /**
+   * Add a filter: where(field, value), where(field, operator, value) or where({ field: value })
+   */
+  where(field, operator, value) {
+    if (field && typeof field === 'object') {
+      Object.entries(field).forEach(([key, fieldValue]) => this.where(key, fieldValue));
+      return this;
+    }
+
+    if (arguments.length === 2) {
+      value = operator;
+      operator = 'eq';
+    }
+
+    const op = OPERATORS[operator];
+    if (!op) {
+      throw new KryosValidationError(`Unsupported query operator: ${operator}`, [`operator must be one of: ${Object.keys(OPERATORS).join(', ')}`]);
+    }
+
+    if (!TOP_LEVEL_FIELDS.includes(field) && !field.startsWith('data.')) {
+      throw new KryosValidationError(`Unsupported query field: ${field}`, [`field must be one of ${TOP_LEVEL_FIELDS.join(', ')} or start with "data."`]);
+    }
+
+    this.filters.push({ field, op, value });
+    return this;
+  }
+
+  /**
+   * Match entries whose externalId starts with prefix
+   */
+  externalIdPrefix(prefix) {
+    return this.where('externalId', 'prefix', prefix);
+  }
+
+  /**
+   * Filter by tags, matching any (default) or all of them
+   */
+  tags(tags, { match = 'any' } = {}) {
+    if (!['any', 'all'].includes(match)) {
+      throw new KryosValidationError(`Unsupported tag match mode: ${match}`, ['match must be "any" or "all"']);
+    }
+    this.tagList = Array.isArray(tags) ? tags : [tags];
+    this.tagMatch = match;
+    return this;
+  }
+
+  /**
+   * Restrict to entries created between from and to (either may be null)
+   */
+  between(from, to = null) {
+    this.range = {
+      from: from === null || from === undefined ? null : this.toISOString(from),
+      to: to === null || to === undefined ? null : this.toISOString(to)
+    };
+    return this;
+  }
+
+  /**
+   * Add a sort field; call repeatedly for secondary sorts
+   */
+  sort(field, direction = 'asc') {
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new KryosValidationError(`Unsupported sort direction: ${direction}`, ['direction must be "asc" or "desc"']);
+    }
+    this.sortFields.push(direction === 'desc' ? `-${field}` : field);
+    return this;
+  }
+
+  /**
+   * Only return the given fields
+   */
+  select(...fields) {
+    this.fields.push(...fields.flat());
+    return this;
+  }
+
+  /**
+   * Page size
+   */
+  limit(limit) {
+    this.pageSize = limit;
+    return this;
+  }
+
+  /**
+   * Page number for get()
+   */
+  page(page) {
+    this.pageNumber = page;
+    return this;
+  }
+
+  /**
+   * Serialize to query params (without pagination)
+   */
+  toParams() {
+    const params = {};
+
+    for (const { field, op, value } of this.filters) {
+      const serialized = Array.isArray(value) ? value.join(',') : this.serializeValue(value);
+
+      if (field === 'externalId' && op === 'prefix') {
+        params.externalIdPrefix = serialized;
+      } else if (op === 'eq') {
+        params[field] = serialized;
+      } else {
+        params[`${field}[${op}]`] = serialized;
+      }
+    }
+
+    if (this.tagList) {
+      params.tags = this.tagList.join(',');
+      params.tagMatch = this.tagMatch;
+    }
+
+    if (this.range) {
+      if (this.range.from) params.createdFrom = this.range.from;
+      if (this.range.to) params.createdTo = this.range.to;
+    }
+
+    if (this.sortFields.length > 0) {
+      params.sort = this.sortFields.join(',');
+    }
+
+    if (this.fields.length > 0) {
+      params.fields = this.fields.join(',');
+    }
+
+    return params;
+  }
+
+  /**
+   * Fetch a single page
+   */
+  async get() {
+    return await this.api.getEntries(this);
+  }
+
+  /**
+   * Iterate over every matching entry
+   */
+  iterate(options = {}) {
+    return this.api.iterateEntries(this, options);
+  }
+
+  /**
+   * Async iteration support: for await (const entry of query)
+   */
+  [Symbol.asyncIterator]() {
+    return this.iterate()[Symbol.asyncIterator]();
+  }
+
+  /**
+   * Collect matching entries into an array
+   */
+  async toArray(options = {}) {
+    return await this.iterate().toArray(options);
+  }
+
+  /**
+   * Helper: Normalize dates to ISO strings
+   */
+  toISOString(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new KryosValidationError(`Invalid date: ${value}`, ['between() expects Date, timestamp or ISO string']);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Helper: Serialize filter values
+   */
+  serializeValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    return value;
+  }
+}
+
+export default EntryQuery;
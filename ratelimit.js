@@ -0,0 +1,344 @@
+/**
+ * Kryos SDK - Rate Limit Module
+ *
+ * Client-side token buckets, one per budget (events, errors, metrics,
+ * uploads); calls against a budget without a bucket are not limited.
+ * When the server signals pressure (429 or X-RateLimit-Remaining: 0)
+ * every budget is slowed down and all requests pause until the server's
+ * window resets; budgets then recover gradually.
+ *
+ * When a budget is exhausted the configured policy decides:
+ *   queue - wait for a token (up to maxQueueSize waiting calls per budget)
+ *   drop  - fail immediately with KryosRateLimitError
+ */
+
+import { EventEmitter } from 'events';
+import utils from './utils.js';
+import { KryosRateLimitError, KryosValidationError } from './errors.js';
+
+class TokenBucket {
+  constructor({ rate, burst }) {
+    this.rate = rate; // tokens per second
+    this.burst = burst || rate;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  /**
+   * Change rate and burst, keeping the tokens already earned (up to the new burst)
+   */
+  configure({ rate, burst }) {
+    this.rate = rate;
+    this.burst = burst || rate;
+    this.tokens = Math.min(this.tokens, this.burst);
+  }
+
+  /**
+   * Add the tokens earned since the last refill at the given rate factor
+   */
+  refill(factor, now = Date.now()) {
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate * factor);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take a token if one is available
+   */
+  tryTake(factor) {
+    this.refill(factor);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Milliseconds until the next token at the given rate factor
+   */
+  msUntilToken(factor) {
+    return Math.ceil(((1 - this.tokens) / (this.rate * factor)) * 1000);
+  }
+}
+
+class RateLimiter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.buckets = new Map();
+
+    // Adaptive state shared by all budgets
+    this.rateFactor = 1;
+    this.lastAdjustedAt = Date.now();
+    this.pausedUntil = 0;
+    this.dropped = 0;
+
+    this.configure(options);
+  }
+
+  /**
+   * Apply settings. Queued calls keep waiting at the new rates; calls queued
+   * on a budget that no longer exists are let through.
+   */
+  configure(options = {}) {
+    this.policy = options.policy || 'queue';
+    this.maxQueueSize = options.maxQueueSize ?? 1000;
+    this.minRateFactor = options.minRateFactor || 0.1;
+    this.recoveryMs = options.recoveryMs || 30000;
+
+    const budgets = options.budgets || {};
+    for (const [name, limits] of Object.entries(budgets)) {
+      assertLimits(name, limits);
+    }
+    for (const [name, bucket] of this.buckets) {
+      if (!budgets[name]) {
+        this.releaseBucket(bucket);
+        this.buckets.delete(name);
+      }
+    }
+    for (const [name, limits] of Object.entries(budgets)) {
+      const bucket = this.buckets.get(name);
+      if (!bucket) {
+        this.buckets.set(name, new TokenBucket(limits));
+        continue;
+      }
+
+      bucket.configure(limits);
+      if (bucket.timer) {
+        clearTimeout(bucket.timer);
+        bucket.timer = null;
+        this.scheduleDrain(bucket);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Wait for (or fail to get) a token from a budget
+   */
+  async acquire(name) {
+    const bucket = this.buckets.get(name);
+    if (!bucket) return;
+
+    const factor = this.getRateFactor();
+    if (!this.isPaused() && bucket.waiters.length === 0 && bucket.tryTake(factor)) {
+      return;
+    }
+
+    if (this.policy === 'drop') {
+      this.dropped += 1;
+      this.emit('dropped', { budget: name });
+      throw new KryosRateLimitError(`Kryos ${name} rate limit exceeded, call dropped`, {
+        budget: name,
+        retryAfterMs: this.msUntilAvailable(bucket)
+      });
+    }
+
+    if (bucket.waiters.length >= this.maxQueueSize) {
+      this.dropped += 1;
+      this.emit('dropped', { budget: name });
+      throw new KryosRateLimitError(`Kryos ${name} rate limit queue is full (${this.maxQueueSize} waiting)`, {
+        budget: name,
+        retryAfterMs: this.msUntilAvailable(bucket)
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      bucket.waiters.push({ resolve, reject });
+      this.scheduleDrain(bucket);
+    });
+  }
+
+  /**
+   * Resolve queued waiters as tokens become available
+   */
+  scheduleDrain(bucket) {
+    if (bucket.timer) return;
+
+    bucket.timer = setTimeout(() => {
+      bucket.timer = null;
+      const factor = this.getRateFactor();
+
+      while (bucket.waiters.length > 0 && !this.isPaused() && bucket.tryTake(factor)) {
+        bucket.waiters.shift().resolve();
+      }
+
+      if (bucket.waiters.length > 0) {
+        this.scheduleDrain(bucket);
+      }
+    }, this.msUntilAvailable(bucket));
+    // Not unref'd: the process must not exit while calls wait for a token
+  }
+
+  /**
+   * Resolve once any server-imposed pause is over
+   */
+  async waitForServer() {
+    while (this.isPaused()) {
+      await utils.sleep(this.pausedUntil - Date.now());
+    }
+  }
+
+  /**
+   * Adapt to the server's rate limit signals (call for every response)
+   */
+  observe(status, headers = {}) {
+    const now = Date.now();
+
+    if (status === 429) {
+      const retryAfter = utils.parseRetryAfter(headers['retry-after']);
+      this.pause(now + (retryAfter ?? this.getResetDelay(headers) ?? 1000));
+      this.slowDown(now);
+      return;
+    }
+
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    if (headers['x-ratelimit-remaining'] !== undefined && remaining <= 0) {
+      const resetDelay = this.getResetDelay(headers);
+      if (resetDelay !== null) {
+        this.pause(now + resetDelay);
+      }
+    }
+  }
+
+  /**
+   * Helper: X-RateLimit-Reset as a delay in ms (accepts epoch seconds or seconds from now)
+   */
+  getResetDelay(headers) {
+    const reset = Number(headers['x-ratelimit-reset']);
+    if (!headers['x-ratelimit-reset'] || Number.isNaN(reset)) {
+      return null;
+    }
+    const delay = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+    return Math.max(0, delay);
+  }
+
+  /**
+   * Pause all budgets until the given time
+   */
+  pause(until) {
+    if (until <= this.pausedUntil) return;
+    this.pausedUntil = until;
+    this.emit('paused', { until: new Date(until).toISOString() });
+  }
+
+  /**
+   * Halve every budget's rate (down to minRateFactor)
+   */
+  slowDown(now = Date.now()) {
+    const factor = Math.max(this.minRateFactor, this.getRateFactor(now) / 2);
+    if (factor !== this.rateFactor) {
+      this.rateFactor = factor;
+      this.emit('rateChange', { factor });
+    }
+    this.lastAdjustedAt = now;
+  }
+
+  /**
+   * Current rate factor; recovers by 10% of full rate per recoveryMs without throttling
+   */
+  getRateFactor(now = Date.now()) {
+    if (this.rateFactor < 1) {
+      const steps = Math.floor((now - this.lastAdjustedAt) / this.recoveryMs);
+      if (steps > 0) {
+        this.rateFactor = Math.min(1, this.rateFactor + steps * 0.1);
+        this.lastAdjustedAt += steps * this.recoveryMs;
+        this.emit('rateChange', { factor: this.rateFactor });
+      }
+    }
+    return this.rateFactor;
+  }
+
+  /**
+   * Whether the server asked us to hold off
+   */
+  isPaused() {
+    return Date.now() < this.pausedUntil;
+  }
+
+  /**
+   * Helper: Milliseconds until a bucket can hand out a token
+   */
+  msUntilAvailable(bucket) {
+    const pause = Math.max(0, this.pausedUntil - Date.now());
+    return Math.max(pause, bucket.msUntilToken(this.getRateFactor()), 0);
+  }
+
+  /**
+   * Current limiter state for diagnostics
+   */
+  getStats() {
+    const factor = this.getRateFactor();
+    const budgets = {};
+    for (const [name, bucket] of this.buckets) {
+      bucket.refill(factor);
+      budgets[name] = {
+        rate: bucket.rate * factor,
+        burst: bucket.burst,
+        tokens: Math.floor(bucket.tokens),
+        queued: bucket.waiters.length
+      };
+    }
+
+    return {
+      rateFactor: factor,
+      pausedUntil: this.isPaused() ? new Date(this.pausedUntil).toISOString() : null,
+      dropped: this.dropped,
+      budgets
+    };
+  }
+
+  /**
+   * Stop timers and let every queued call through (rate limiting was turned off)
+   */
+  release() {
+    for (const bucket of this.buckets.values()) {
+      this.releaseBucket(bucket);
+    }
+  }
+
+  /**
+   * Helper: Clear a bucket's timer and resolve its waiters
+   */
+  releaseBucket(bucket) {
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+    for (const waiter of bucket.waiters.splice(0)) {
+      waiter.resolve();
+    }
+  }
+
+  /**
+   * Stop timers and fail any queued calls
+   */
+  stop() {
+    for (const [name, bucket] of this.buckets) {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+      for (const waiter of bucket.waiters.splice(0)) {
+        waiter.reject(new KryosRateLimitError(`Kryos rate limiter stopped before a ${name} token was available`, { budget: name }));
+      }
+    }
+  }
+}
+
+/**
+ * Helper: A bucket that can never hold a whole token would queue calls forever
+ */
+function assertLimits(name, limits) {
+  const { rate, burst } = limits || {};
+  const errors = [];
+  if (!Number.isFinite(rate) || rate <= 0) {
+    errors.push(`${name}.rate must be a number > 0`);
+  }
+  if (burst !== undefined && burst !== null && (!Number.isFinite(burst) || burst < 1)) {
+    errors.push(`${name}.burst must be a number >= 1`);
+  }
+  if (errors.length > 0) {
+    throw new KryosValidationError(`Invalid rate limit for ${name}`, errors);
+  }
+}
+
+export default RateLimiter;
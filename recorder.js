@@ -0,0 +1,218 @@
+/**
+ * Kryos SDK - Recorder Module
+ *
+ * Captures every outgoing request as one NDJSON line, for debugging what
+ * the SDK actually sends:
+ *
+ *   { timestamp, mode, method, endpoint, params, url, headers, body, files,
+ *     status, durationMs, error }
+ *
+ * Secret headers are masked, compressed bodies are decoded and sensitive
+ * body fields are redacted. Multipart requests are recorded as their form
+ * fields plus a file manifest. The
+ * file rotates at maxFileSize, keeping maxFiles older files
+ * (requests.1.ndjson is the most recent).
+ *
+ * In dry-run mode requests are recorded and answered locally without
+ * touching the network.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import axios, { AxiosHeaders } from 'axios';
+import utils from './utils.js';
+
+class RequestRecorder {
+  constructor(options = {}) {
+    this.file = path.resolve(options.file || '.kryos-recordings/requests.ndjson');
+    this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+    this.currentSize = null;
+    this.recorded = 0;
+    this.writeChain = Promise.resolve();
+    this.warned = false;
+  }
+
+  /**
+   * Wrap an axios adapter so every request is recorded.
+   * With dryRun the adapter is never called and a local success is returned.
+   */
+  wrap(adapter, { dryRun = false } = {}) {
+    return async (requestConfig) => {
+      const entry = this.describe(requestConfig, dryRun ? 'dry-run' : 'record');
+
+      if (dryRun) {
+        this.record({ ...entry, status: 200, durationMs: 0 });
+        return this.dryRunResponse(requestConfig);
+      }
+
+      const startTime = Date.now();
+      try {
+        const response = await adapter(requestConfig);
+        this.record({ ...entry, status: response.status, durationMs: Date.now() - startTime });
+        return response;
+      } catch (error) {
+        this.record({
+          ...entry,
+          status: error.response?.status ?? null,
+          durationMs: Date.now() - startTime,
+          error: error.code || error.message
+        });
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Turn an axios request config into a recording entry
+   */
+  describe(requestConfig, mode) {
+    const headers = AxiosHeaders.from(requestConfig.headers).toJSON();
+    const upload = requestConfig.kryosUpload;
+
+    return {
+      timestamp: new Date().toISOString(),
+      mode,
+      method: (requestConfig.method || 'get').toUpperCase(),
+      endpoint: requestConfig.url,
+      params: requestConfig.params || null,
+      url: axios.getUri(requestConfig),
+      headers: utils.maskHeaders(headers),
+      body: maskBody(upload ? upload.fields : decodeBody(requestConfig.data, headers)),
+      files: upload ? upload.files : []
+    };
+  }
+
+  /**
+   * Append an entry; write failures are reported once and never fail the request
+   */
+  record(entry) {
+    const line = JSON.stringify(entry) + '\n';
+
+    const write = this.writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await this.rotateIfNeeded(Buffer.byteLength(line));
+      await fs.promises.appendFile(this.file, line);
+      this.currentSize += Buffer.byteLength(line);
+      this.recorded += 1;
+    });
+
+    this.writeChain = write.catch((error) => {
+      if (!this.warned) {
+        this.warned = true;
+        console.warn(`Failed to write Kryos recording to ${this.file}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Shift requests.ndjson -> requests.1.ndjson -> ... when the file is full
+   */
+  async rotateIfNeeded(lineBytes) {
+    if (this.currentSize === null) {
+      try {
+        this.currentSize = (await fs.promises.stat(this.file)).size;
+      } catch {
+        this.currentSize = 0;
+      }
+    }
+
+    if (this.currentSize === 0 || this.currentSize + lineBytes <= this.maxFileSize) {
+      return;
+    }
+
+    if (this.maxFiles > 0) {
+      await fs.promises.rm(this.rotatedPath(this.maxFiles), { force: true });
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        await fs.promises.rename(this.rotatedPath(index), this.rotatedPath(index + 1)).catch(() => {});
+      }
+      await fs.promises.rename(this.file, this.rotatedPath(1));
+    } else {
+      await fs.promises.rm(this.file, { force: true });
+    }
+    this.currentSize = 0;
+  }
+
+  /**
+   * Helper: Path of the nth rotated file
+   */
+  rotatedPath(index) {
+    const extension = path.extname(this.file);
+    return `${this.file.slice(0, this.file.length - extension.length)}.${index}${extension}`;
+  }
+
+  /**
+   * Helper: Local response for a dry-run request
+   */
+  dryRunResponse(requestConfig) {
+    const data = { success: true, dryRun: true };
+    return {
+      data: requestConfig.responseType === 'stream' ? Readable.from([]) : JSON.stringify(data),
+      status: 200,
+      statusText: 'OK',
+      headers: AxiosHeaders.from({ 'content-type': 'application/json', 'x-kryos-dry-run': 'true' }),
+      config: requestConfig,
+      request: {}
+    };
+  }
+
+  /**
+   * Resolve once all pending entries are written
+   */
+  async flush() {
+    await this.writeChain;
+  }
+
+  /**
+   * Recorder state for diagnostics
+   */
+  getStats() {
+    return { file: this.file, recorded: this.recorded };
+  }
+}
+
+/**
+ * Helper: Readable form of a request body (JSON parsed, compression undone)
+ */
+function decodeBody(data, headers) {
+  if (data === undefined || data === null) return null;
+  if (typeof data.pipe === 'function') return { stream: true };
+
+  let raw = data;
+  if (Buffer.isBuffer(data)) {
+    const encoding = headers['Content-Encoding'] || headers['content-encoding'];
+    try {
+      if (encoding === 'gzip') raw = zlib.gunzipSync(data).toString('utf8');
+      else if (encoding === 'br') raw = zlib.brotliDecompressSync(data).toString('utf8');
+      else return { binary: true, size: data.length, sha256: crypto.createHash('sha256').update(data).digest('hex') };
+    } catch {
+      return { binary: true, size: data.length };
+    }
+  }
+
+  if (typeof raw === 'string') {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+/**
+ * Helper: Redact sensitive values in a decoded body before it is written to disk.
+ * maskSensitiveData masks every long word, which would also hide externalIds and
+ * dataTypes, so objects are redacted by field name (password, token, secret, key,
+ * auth) and only bodies that are plain text go through the word masker.
+ */
+function maskBody(body) {
+  if (typeof body === 'string') return utils.maskSensitiveData(body);
+  if (body && typeof body === 'object' && !body.binary && !body.stream) return utils.sanitizeData(body);
+  return body;
+}
+
+export default RequestRecorder;
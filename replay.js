@@ -0,0 +1,308 @@
+/**
+ * Kryos SDK - Replay Module
+ *
+ * Re-sends NDJSON files of payloads, e.g. to backfill a staging instance or
+ * to recover data lost in an outage. Each line may be:
+ *
+ *   a recording line   { method, endpoint, params, headers, body, files }  (mode: 'record')
+ *   a spool record     { method, endpoint, payload, headers }
+ *   a plain payload    shaped like sendEntryData / sendUserData input
+ *                      (lines with a dataType are entries, the rest users)
+ *
+ * Reads (GET/HEAD) and resumable upload requests are skipped. Recorded
+ * Idempotency-Keys are reused, so replaying a line twice is safe. Lines that
+ * fail are copied unchanged to a failures file that can be replayed as-is.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import RateLimiter from './ratelimit.js';
+import { KryosValidationError } from './errors.js';
+
+const READ_METHODS = ['get', 'head', 'options'];
+
+class Replayer {
+  constructor(api) {
+    this.api = api;
+  }
+
+  /**
+   * Replay every line of an NDJSON file.
+   * Options: rateLimit (requests per second, or { rate, burst }), filter
+   * ((request, { line }) => boolean, or { method, endpoint, dataType }),
+   * rewriteBaseUrl, concurrency (default 1), fromLine, failuresFile
+   * (default <file>.failures.ndjson, false to disable), onResult, signal
+   */
+  async replay(file, options = {}) {
+    assertPositiveInteger('concurrency', options.concurrency);
+    assertPositiveInteger('fromLine', options.fromLine);
+    const limiter = options.rateLimit === undefined || options.rateLimit === null ? null : createLimiter(options.rateLimit);
+
+    const filePath = path.resolve(file);
+    const failuresFile = options.failuresFile === false
+      ? null
+      : path.resolve(options.failuresFile || defaultFailuresPath(filePath));
+
+    if (this.api.recorder && this.api.recorder.file === filePath) {
+      throw new KryosValidationError('Cannot replay the file this SDK is recording to', ['replay a copy of the recording, or use a different recording.file']);
+    }
+    if (failuresFile === filePath) {
+      throw new KryosValidationError('Replay failures file must differ from the replayed file', ['failuresFile must not be the input file']);
+    }
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      throw new KryosValidationError(`Replay file not found: ${file}`, [`${file}: not found or not readable`]);
+    }
+    if (failuresFile) {
+      await fs.promises.rm(failuresFile, { force: true });
+    }
+
+    const concurrency = options.concurrency || 1;
+    const fromLine = options.fromLine || 1;
+    const startTime = Date.now();
+    const summary = { file: filePath, total: 0, succeeded: 0, failed: 0, skipped: 0, lastLine: fromLine - 1, failuresFile: null, durationMs: 0 };
+
+    // lastLine only advances over lines that are all done, so fromLine: lastLine + 1
+    // never skips a line that was still in flight when a concurrent run stopped
+    const completed = new Set();
+    const complete = (line) => {
+      completed.add(line);
+      while (completed.delete(summary.lastLine + 1)) {
+        summary.lastLine += 1;
+      }
+    };
+
+    let failureChain = Promise.resolve();
+    const recordFailure = (line) => {
+      failureChain = failureChain.then(async () => {
+        await fs.promises.mkdir(path.dirname(failuresFile), { recursive: true });
+        await fs.promises.appendFile(failuresFile, line + '\n');
+        summary.failuresFile = failuresFile;
+      });
+    };
+
+    const inFlight = new Set();
+    const input = fs.createReadStream(filePath);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    try {
+      for await (const line of lines) {
+        lineNumber += 1;
+        if (lineNumber < fromLine) continue;
+        if (options.signal?.aborted) break;
+        if (!line.trim()) {
+          complete(lineNumber);
+          continue;
+        }
+
+        summary.total += 1;
+        const current = lineNumber;
+        const task = this.replayLine(line, current, options, limiter).then((result) => {
+          summary[result.status] += 1;
+          complete(current);
+          if (result.status === 'failed' && failuresFile) {
+            recordFailure(line);
+          }
+          this.api.emit('replayProgress', result);
+          if (options.onResult) {
+            options.onResult(result);
+          }
+        });
+        inFlight.add(task);
+        task.then(() => inFlight.delete(task), () => inFlight.delete(task));
+
+        if (inFlight.size >= concurrency) {
+          await Promise.race(inFlight);
+        }
+      }
+
+      await Promise.all(inFlight);
+      await failureChain;
+    } finally {
+      lines.close();
+      input.destroy();
+      limiter?.stop();
+    }
+
+    summary.durationMs = Date.now() - startTime;
+    console.log(`🔁 Kryos replay of ${path.basename(filePath)}: ${summary.succeeded} sent, ${summary.failed} failed, ${summary.skipped} skipped`);
+    if (summary.failuresFile) {
+      console.log(`🔁 Failed lines written to ${summary.failuresFile}`);
+    }
+    return summary;
+  }
+
+  /**
+   * Replay one line; resolves with a per-line result and never rejects
+   */
+  async replayLine(line, lineNumber, options, limiter) {
+    let request;
+    try {
+      request = this.parseLine(JSON.parse(line));
+    } catch (error) {
+      return { line: lineNumber, status: 'failed', error: error instanceof SyntaxError ? 'invalid JSON' : error.message };
+    }
+
+    const described = {
+      line: lineNumber,
+      method: request.method.toUpperCase(),
+      endpoint: request.endpoint,
+      externalId: request.body?.externalId ?? null
+    };
+
+    if (request.skip) {
+      return { ...described, status: 'skipped', reason: request.skip };
+    }
+    try {
+      if (!this.matchesFilter(request, options.filter, lineNumber)) {
+        return { ...described, status: 'skipped', reason: 'filtered' };
+      }
+      if (limiter) {
+        await limiter.acquire('replay');
+      }
+      await this.send(request, options);
+      return { ...described, status: 'succeeded' };
+    } catch (error) {
+      return { ...described, status: 'failed', error: error.message, statusCode: error.status ?? null };
+    }
+  }
+
+  /**
+   * Normalize a recording line, spool record or plain payload into a request
+   */
+  parseLine(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new KryosValidationError('Line is not a JSON object', ['each line must be a JSON object']);
+    }
+
+    let request;
+    if (typeof record.endpoint === 'string' && ('body' in record || 'payload' in record)) {
+      request = {
+        method: (record.method || 'post').toLowerCase(),
+        endpoint: record.endpoint,
+        params: record.params || null,
+        body: 'body' in record ? record.body : record.payload,
+        files: record.files || [],
+        idempotencyKey: findHeader(record.headers, 'idempotency-key')
+      };
+    } else {
+      if (!record.externalId) {
+        throw new KryosValidationError('Payload is missing externalId', ['externalId is required']);
+      }
+      request = {
+        method: 'post',
+        endpoint: record.dataType ? '/data/entries' : '/data/users',
+        params: null,
+        body: record,
+        files: [],
+        idempotencyKey: null
+      };
+    }
+
+    if (READ_METHODS.includes(request.method)) {
+      request.skip = 'read request';
+    } else if (request.endpoint.startsWith('/data/uploads')) {
+      request.skip = 'resumable upload request';
+    } else if (request.body?.binary || request.body?.stream) {
+      request.skip = 'body was not recorded';
+    } else if (!request.idempotencyKey) {
+      request.idempotencyKey = this.api.getIdempotencyKey(request.endpoint, request.body);
+    }
+
+    return request;
+  }
+
+  /**
+   * Apply a filter function or { method, endpoint, dataType } match
+   */
+  matchesFilter(request, filter, lineNumber) {
+    if (!filter) return true;
+    if (typeof filter === 'function') {
+      return Boolean(filter(request, { line: lineNumber }));
+    }
+
+    if (filter.method && filter.method.toLowerCase() !== request.method) return false;
+    if (filter.endpoint) {
+      const matches = filter.endpoint instanceof RegExp
+        ? filter.endpoint.test(request.endpoint)
+        : request.endpoint === filter.endpoint || request.endpoint.startsWith(`${filter.endpoint.replace(/\/+$/, '')}/`);
+      if (!matches) return false;
+    }
+    if (filter.dataType && request.body?.dataType !== filter.dataType) return false;
+    return true;
+  }
+
+  /**
+   * Send a normalized request with the API module's retries and circuit breaker
+   */
+  async send(request, options = {}) {
+    const baseURL = options.rewriteBaseUrl || undefined;
+
+    if (request.files.length > 0) {
+      const unavailable = request.files.filter(file => !file.path);
+      if (unavailable.length > 0) {
+        throw new KryosValidationError(
+          `Cannot replay ${unavailable.map(file => file.filename).join(', ')}: only files recorded with a path can be re-sent`,
+          unavailable.map(file => `${file.filename}: no path recorded`)
+        );
+      }
+      const files = request.files.map(file => ({ path: file.path, filename: file.filename, contentType: file.contentType }));
+      return await this.api.retryRequest(() => this.api.sendWithFiles(request.endpoint, request.body, files, request.idempotencyKey, { baseURL }));
+    }
+
+    return await this.api.retryRequest(async () => {
+      const response = await this.api.httpClient.request({
+        method: request.method,
+        url: request.endpoint,
+        baseURL,
+        params: request.params || undefined,
+        data: request.body ?? undefined,
+        headers: { 'Idempotency-Key': request.idempotencyKey }
+      });
+      return response.data;
+    });
+  }
+}
+
+/**
+ * Helper: <name>.failures<ext> next to the replayed file
+ */
+function defaultFailuresPath(filePath) {
+  const extension = path.extname(filePath) || '.ndjson';
+  const base = filePath.slice(0, filePath.length - path.extname(filePath).length);
+  return `${base}.failures${extension}`;
+}
+
+/**
+ * Helper: Single-budget limiter pacing replayed requests.
+ * A rate of 0 or NaN would queue every line forever, so it is rejected here.
+ */
+function createLimiter(rateLimit) {
+  const limits = typeof rateLimit === 'number' ? { rate: rateLimit, burst: 1 } : rateLimit;
+  if (!limits || typeof limits !== 'object' || !Number.isFinite(limits.rate) || limits.rate <= 0) {
+    throw new KryosValidationError('Invalid replay rate limit', ['rateLimit must be a number > 0, or { rate, burst } with rate > 0']);
+  }
+  return new RateLimiter({ policy: 'queue', maxQueueSize: Infinity, budgets: { replay: limits } });
+}
+
+/**
+ * Helper: Reject a numeric option that is set but not a whole number >= 1
+ */
+function assertPositiveInteger(name, value) {
+  if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+    throw new KryosValidationError(`Invalid replay option: ${name}`, [`${name} must be an integer >= 1`]);
+  }
+}
+
+/**
+ * Helper: Case-insensitive header lookup
+ */
+function findHeader(headers = {}, name) {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : null;
+}
+
+export default Replayer;
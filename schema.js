@@ -0,0 +1,316 @@
+/**
+ * Kryos SDK - Config Schema Module
+ *
+ * Declarative description of every configuration option. Each entry is a
+ * rule with any of:
+ *
+ *   type        'string', 'integer', 'number', 'boolean', 'url', 'function',
+ *               'object', 'transport' or 'hook'
+ *   enum        allowed values
+ *   min / max   numeric range (inclusive)
+ *   nullable    null is allowed
+ *   required    must be set (a non-empty value)
+ *   properties  rules for the keys of a nested object
+ *   values      rule applied to every value of a map (e.g. rate limit budgets)
+ *   check       function(value) returning [{ key, message }] for constraints
+ *               that span several keys of an object (e.g. compression level)
+ *
+ * validateConfig() returns a flat list of problems, one per offending key:
+ *   [{ key: 'rateLimit.budgets.events.rate', message: 'must be a number > 0', value: -1 }]
+ */
+
+const TRANSPORT_NAMES = ['axios', 'fetch', 'memory'];
+
+// Valid compression levels per algorithm (zlib's gzip levels, brotli qualities)
+const COMPRESSION_LEVELS = { gzip: [-1, 9], br: [0, 11] };
+
+export const ENVIRONMENTS = ['development', 'test', 'staging', 'production'];
+
+const TYPES = {
+  string: {
+    label: 'a string',
+    test: value => typeof value === 'string'
+  },
+  integer: {
+    label: 'an integer',
+    test: value => Number.isInteger(value)
+  },
+  number: {
+    label: 'a number',
+    test: value => typeof value === 'number' && !Number.isNaN(value)
+  },
+  boolean: {
+    label: 'true or false',
+    test: value => typeof value === 'boolean'
+  },
+  url: {
+    label: 'an http(s) URL',
+    test: value => typeof value === 'string' && /^https?:\/\//.test(value) && isParsableUrl(value)
+  },
+  function: {
+    label: 'a function',
+    test: value => typeof value === 'function'
+  },
+  object: {
+    label: 'an object',
+    test: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+  },
+  transport: {
+    label: `one of ${TRANSPORT_NAMES.join(', ')} or an object with a request() method`,
+    test: value => TRANSPORT_NAMES.includes(value) || (value !== null && typeof value === 'object' && typeof value.request === 'function')
+  },
+  hook: {
+    label: 'a function or an array of functions',
+    test: value => (Array.isArray(value) ? value : [value]).every(fn => typeof fn === 'function')
+  }
+};
+
+const positiveInteger = { type: 'integer', min: 1 };
+const nonNegativeInteger = { type: 'integer', min: 0 };
+
+export const CONFIG_SCHEMA = {
+  keyId: { type: 'string', required: true },
+  keySecret: { type: 'string', required: true },
+  authMode: { enum: ['bearer', 'hmac'] },
+  signatureClockSkewMs: nonNegativeInteger,
+  baseUrl: { type: 'url', required: true },
+  enableDefaultMetrics: { type: 'boolean' },
+  enableLogging: { type: 'boolean' },
+  timeout: positiveInteger,
+  retryAttempts: positiveInteger,
+  retryDelay: nonNegativeInteger,
+  retry: {
+    type: 'object',
+    properties: {
+      maxDelay: nonNegativeInteger,
+      backoffFactor: { type: 'number', min: 1 },
+      jitter: { type: 'boolean' },
+      maxElapsedMs: { type: 'number', min: 0 }, // Infinity disables the budget
+      onRetry: { type: 'function', nullable: true }
+    }
+  },
+  idempotency: {
+    type: 'object',
+    properties: {
+      deterministicIds: { type: 'boolean' }
+    }
+  },
+  uploads: {
+    type: 'object',
+    properties: {
+      maxFileSize: positiveInteger,
+      maxTotalSize: positiveInteger
+    }
+  },
+  chunkedUploads: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      threshold: positiveInteger,
+      partSize: positiveInteger,
+      concurrency: positiveInteger,
+      directory: { type: 'string', required: true }
+    }
+  },
+  compression: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      algorithm: { enum: ['gzip', 'br'] },
+      threshold: nonNegativeInteger,
+      level: { type: 'integer', min: -1, max: 11, nullable: true },
+      acceptCompressed: { type: 'boolean' }
+    },
+    check: checkCompressionLevel
+  },
+  rateLimit: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      policy: { enum: ['queue', 'drop'] },
+      maxQueueSize: nonNegativeInteger,
+      minRateFactor: { type: 'number', min: 0, max: 1 },
+      recoveryMs: nonNegativeInteger,
+      budgets: {
+        type: 'object',
+        values: {
+          type: 'object',
+          properties: {
+            rate: { type: 'number', min: 0, exclusiveMin: true, required: true },
+            burst: { type: 'number', min: 1 }
+          }
+        }
+      }
+    }
+  },
+  circuitBreaker: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      failureRateThreshold: { type: 'number', min: 0, max: 1, exclusiveMin: true },
+      minimumRequests: positiveInteger,
+      windowSize: positiveInteger,
+      cooldownMs: nonNegativeInteger,
+      halfOpenMaxRequests: positiveInteger
+    }
+  },
+  transport: { type: 'transport' },
+  transportOptions: { type: 'object' },
+  mode: { enum: ['live', 'record', 'dry-run'] },
+  recording: {
+    type: 'object',
+    properties: {
+      file: { type: 'string', required: true },
+      maxFileSize: positiveInteger,
+      maxFiles: nonNegativeInteger
+    }
+  },
+  spool: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      directory: { type: 'string', required: true },
+      maxSizeBytes: positiveInteger,
+      maxAgeMs: positiveInteger,
+      segmentMaxBytes: positiveInteger,
+      replayInterval: positiveInteger
+    }
+  },
+  batch: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      maxSize: positiveInteger,
+      maxQueueSize: positiveInteger,
+      flushInterval: positiveInteger,
+      endpoint: { type: 'string', required: true }
+    }
+  },
+  hooks: {
+    type: 'object',
+    properties: {
+      beforeSend: { type: 'hook' },
+      afterResponse: { type: 'hook' },
+      onError: { type: 'hook' }
+    }
+  },
+  customTags: { type: 'object' },
+  serviceName: { type: 'string', required: true },
+  serviceVersion: { type: 'string', required: true },
+  environment: { enum: ENVIRONMENTS },
+  profiles: { type: 'object', values: { type: 'object' } }
+};
+
+/**
+ * Check config values against a schema; returns [{ key, message, value }].
+ * With partial (e.g. a profile), settings that are not present are not checked.
+ */
+export function validateConfig(values, schema = CONFIG_SCHEMA, { partial = false } = {}) {
+  const problems = [];
+  for (const [key, rule] of Object.entries(schema)) {
+    checkRule(values[key], rule, key, problems, partial);
+  }
+  return problems;
+}
+
+/**
+ * Helper: Check one value (and its children) against a rule
+ */
+function checkRule(value, rule, key, problems, partial) {
+  if (value === undefined && partial) {
+    return;
+  }
+  if (value === undefined || value === null || (value === '' && rule.required)) {
+    if (rule.required) {
+      problems.push({ key, message: 'is required', value });
+    } else if (value === null && !rule.nullable) {
+      problems.push({ key, message: `must be ${describeRule(rule)}`, value });
+    }
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    problems.push({ key, message: `must be ${describeRule(rule)}`, value });
+    return;
+  }
+  if (rule.type && !TYPES[rule.type].test(value)) {
+    problems.push({ key, message: `must be ${describeRule(rule)}`, value });
+    return;
+  }
+  if (typeof value === 'number' && !isInRange(value, rule)) {
+    problems.push({ key, message: `must be ${describeRule(rule)}`, value });
+    return;
+  }
+
+  if (rule.properties) {
+    for (const [childKey, childRule] of Object.entries(rule.properties)) {
+      checkRule(value[childKey], childRule, `${key}.${childKey}`, problems, partial);
+    }
+  }
+  if (rule.values) {
+    for (const [childKey, child] of Object.entries(value)) {
+      checkRule(child, rule.values, `${key}.${childKey}`, problems, partial);
+    }
+  }
+  if (rule.check) {
+    for (const problem of rule.check(value)) {
+      problems.push({ key: `${key}.${problem.key}`, message: problem.message, value: value[problem.key] });
+    }
+  }
+}
+
+/**
+ * Helper: The level range depends on the algorithm. Out-of-range and
+ * non-integer levels are already reported by the level rule itself.
+ */
+function checkCompressionLevel({ algorithm, level }) {
+  const range = COMPRESSION_LEVELS[algorithm];
+  if (!range || !Number.isInteger(level) || level < -1 || level > 11) {
+    return [];
+  }
+
+  const [min, max] = range;
+  if (level < min || level > max) {
+    return [{ key: 'level', message: `must be an integer between ${min} and ${max} for ${algorithm}, or null` }];
+  }
+  return [];
+}
+
+/**
+ * Helper: Whether a string parses as a URL
+ */
+function isParsableUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Helper: Whether a number satisfies a rule's min/max
+ */
+function isInRange(value, rule) {
+  if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) return false;
+  if (rule.max !== undefined && value > rule.max) return false;
+  return true;
+}
+
+/**
+ * Helper: Human-readable expectation, e.g. 'an integer >= 1' or 'one of "gzip", "br"'
+ */
+function describeRule(rule) {
+  if (rule.enum) {
+    return `one of ${rule.enum.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+
+  let description = TYPES[rule.type].label;
+  if (rule.min !== undefined && rule.max !== undefined && !rule.exclusiveMin) {
+    description += ` between ${rule.min} and ${rule.max}`;
+  } else {
+    if (rule.min !== undefined) description += ` ${rule.exclusiveMin ? '>' : '>='} ${rule.min}`;
+    if (rule.max !== undefined) description += ` <= ${rule.max}`;
+  }
+  return rule.nullable ? `${description} or null` : description;
+}
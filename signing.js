@@ -0,0 +1,112 @@
+/**
+ * Kryos SDK - Request Signing Module
+ *
+ * HMAC-SHA256 request signing so the key secret never leaves the process.
+ * Each request is signed over its method, path, timestamp and body hash;
+ * only the keyId, timestamp and signature are sent.
+ *
+ * Canonical string:
+ *   METHOD\nPATH\nTIMESTAMP\nBODY_SHA256
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADERS = {
+  keyId: 'x-kryos-key-id',
+  timestamp: 'x-kryos-timestamp',
+  contentHash: 'x-kryos-content-sha256',
+  signature: 'x-kryos-signature'
+};
+
+// Multipart bodies are streamed and cannot be hashed up front
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * SHA-256 hex digest of a request body
+ */
+export function hashBody(body) {
+  if (body === undefined || body === null) {
+    body = '';
+  }
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/**
+ * Build the string that gets signed
+ */
+export function buildCanonicalString({ method, path, timestamp, contentHash }) {
+  return [String(method).toUpperCase(), path, String(timestamp), contentHash].join('\n');
+}
+
+/**
+ * Compute the signature headers for a request
+ */
+export function signRequest({ method, path, body, contentHash, keyId, keySecret, timestamp = Date.now() }) {
+  const hash = contentHash || hashBody(body);
+  const signature = crypto
+    .createHmac('sha256', keySecret)
+    .update(buildCanonicalString({ method, path, timestamp, contentHash: hash }))
+    .digest('hex');
+
+  return {
+    'X-Kryos-Key-Id': keyId,
+    'X-Kryos-Timestamp': String(timestamp),
+    'X-Kryos-Content-SHA256': hash,
+    'X-Kryos-Signature': signature
+  };
+}
+
+/**
+ * Verify a signed request (for servers and local test doubles).
+ *
+ * request: { method, path, headers, body } where body is the raw body
+ *          string/Buffer and headers use lower-case names (as in Node/Express)
+ * options: { keySecret } or { getKeySecret: async (keyId) => secret },
+ *          toleranceMs (allowed clock skew, default 5 minutes),
+ *          allowUnsignedPayload (accept multipart bodies, default true)
+ */
+export async function verifySignature(request, options = {}) {
+  const { toleranceMs = 5 * 60 * 1000, allowUnsignedPayload = true } = options;
+  const headers = request.headers || {};
+
+  const keyId = headers[SIGNATURE_HEADERS.keyId];
+  const timestamp = headers[SIGNATURE_HEADERS.timestamp];
+  const contentHash = headers[SIGNATURE_HEADERS.contentHash];
+  const signature = headers[SIGNATURE_HEADERS.signature];
+
+  if (!keyId || !timestamp || !contentHash || !signature) {
+    return { valid: false, keyId, reason: 'missing signature headers' };
+  }
+
+  const skew = Math.abs(Date.now() - Number(timestamp));
+  if (!Number.isFinite(skew) || skew > toleranceMs) {
+    return { valid: false, keyId, reason: 'timestamp outside tolerance' };
+  }
+
+  if (contentHash === UNSIGNED_PAYLOAD) {
+    if (!allowUnsignedPayload) {
+      return { valid: false, keyId, reason: 'unsigned payload not allowed' };
+    }
+  } else if (hashBody(request.body) !== contentHash) {
+    return { valid: false, keyId, reason: 'body hash mismatch' };
+  }
+
+  const keySecret = options.getKeySecret ? await options.getKeySecret(keyId) : options.keySecret;
+  if (!keySecret) {
+    return { valid: false, keyId, reason: 'unknown key' };
+  }
+
+  const expected = signRequest({
+    method: request.method,
+    path: request.path,
+    contentHash,
+    keyId,
+    keySecret,
+    timestamp
+  })['X-Kryos-Signature'];
+
+  const valid = expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+
+  return valid ? { valid: true, keyId } : { valid: false, keyId, reason: 'signature mismatch' };
+}
@@ -0,0 +1,305 @@
+/**
+ * Kryos SDK - Spool Module
+ *
+ * Durable on-disk queue for payloads that could not be delivered.
+ * Records are appended to NDJSON segment files and replayed in order
+ * once the Kryos backend is reachable again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const SEGMENT_PREFIX = 'segment-';
+const SEGMENT_SUFFIX = '.ndjson';
+
+class Spool {
+  constructor(options = {}) {
+    this.currentSegment = null;
+    this.sequence = 0;
+    this.isReplaying = false;
+    this.writeChain = Promise.resolve();
+    this.applyOptions(options);
+  }
+
+  /**
+   * Apply settings once pending writes are done; a new directory starts a new segment
+   */
+  configure(options = {}) {
+    const change = this.writeChain.then(() => this.applyOptions(options));
+    this.writeChain = change.catch(() => {});
+    return change;
+  }
+
+  /**
+   * Helper: Set limits and the directory
+   */
+  applyOptions(options) {
+    const directory = path.resolve(options.directory || '.kryos-spool');
+    if (directory !== this.directory) {
+      this.currentSegment = null;
+    }
+    this.directory = directory;
+    this.maxSizeBytes = options.maxSizeBytes || 50 * 1024 * 1024;
+    this.maxAgeMs = options.maxAgeMs || 7 * 24 * 60 * 60 * 1000;
+    this.segmentMaxBytes = options.segmentMaxBytes || 1024 * 1024;
+  }
+
+  /**
+   * Append a failed request to the spool
+   */
+  async append(record) {
+    const entry = {
+      id: crypto.randomUUID(),
+      enqueuedAt: new Date().toISOString(),
+      ...record
+    };
+    const line = JSON.stringify(entry) + '\n';
+
+    // Serialize writes so segments stay strictly ordered
+    const write = this.writeChain.then(async () => {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      const segment = await this.getWritableSegment(Buffer.byteLength(line));
+      await fs.promises.appendFile(segment, line);
+      await this.enforceLimits();
+    });
+    this.writeChain = write.catch(() => {});
+
+    await write;
+    return entry;
+  }
+
+  /**
+   * Pick the segment to append to, rolling over when it is full
+   */
+  async getWritableSegment(lineBytes) {
+    if (this.currentSegment) {
+      try {
+        const stats = await fs.promises.stat(this.currentSegment);
+        if (stats.size + lineBytes <= this.segmentMaxBytes) {
+          return this.currentSegment;
+        }
+      } catch {
+        // Segment was drained or evicted, start a new one
+      }
+    }
+
+    this.sequence += 1;
+    const name = `${SEGMENT_PREFIX}${String(Date.now()).padStart(15, '0')}-${String(this.sequence).padStart(6, '0')}${SEGMENT_SUFFIX}`;
+    this.currentSegment = path.join(this.directory, name);
+    return this.currentSegment;
+  }
+
+  /**
+   * List segment files, oldest first
+   */
+  async listSegments() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .filter(file => file.startsWith(SEGMENT_PREFIX) && file.endsWith(SEGMENT_SUFFIX))
+      .sort()
+      .map(file => path.join(this.directory, file));
+  }
+
+  /**
+   * Drop expired segments and evict the oldest ones above the size limit.
+   * The segment being written to is never evicted, even when it alone is
+   * over maxSizeBytes.
+   */
+  async enforceLimits() {
+    const segments = await this.listSegments();
+    const now = Date.now();
+    const evictable = [];
+    let totalSize = 0;
+
+    for (const segment of segments) {
+      const stats = await statSegment(segment);
+      if (!stats) continue;
+
+      const isCurrent = segment === this.currentSegment;
+      if (!isCurrent && now - stats.mtimeMs > this.maxAgeMs) {
+        await this.removeSegment(segment, 'expired');
+        continue;
+      }
+      if (!isCurrent) {
+        evictable.push({ segment, size: stats.size });
+      }
+      totalSize += stats.size;
+    }
+
+    while (totalSize > this.maxSizeBytes && evictable.length > 0) {
+      const oldest = evictable.shift();
+      await this.removeSegment(oldest.segment, 'size limit exceeded');
+      totalSize -= oldest.size;
+    }
+  }
+
+  /**
+   * Delete a segment file
+   */
+  async removeSegment(segment, reason = null) {
+    await fs.promises.rm(segment, { force: true });
+    if (segment === this.currentSegment) {
+      this.currentSegment = null;
+    }
+    if (reason) {
+      console.warn(`🗑️ Kryos spool dropped ${path.basename(segment)} (${reason})`);
+    }
+  }
+
+  /**
+   * Read all records from a segment, skipping corrupt lines.
+   * A segment evicted in the meantime reads as empty.
+   */
+  async readSegment(segment) {
+    let content;
+    try {
+      content = await fs.promises.readFile(segment, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const records = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        console.warn(`Skipping corrupt spool record in ${path.basename(segment)}`);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Get spool statistics
+   */
+  async getStats() {
+    const segments = await this.listSegments();
+    let records = 0;
+    let sizeBytes = 0;
+
+    let count = 0;
+
+    for (const segment of segments) {
+      const stats = await statSegment(segment);
+      if (!stats) continue;
+      count += 1;
+      sizeBytes += stats.size;
+      records += (await this.readSegment(segment)).length;
+    }
+
+    return { segments: count, records, sizeBytes };
+  }
+
+  /**
+   * Check whether any records are waiting
+   */
+  async hasPending() {
+    return (await this.listSegments()).length > 0;
+  }
+
+  /**
+   * Replay spooled records in order through sendFn.
+   * sendFn should throw to stop the replay (record stays spooled) or
+   * return false to drop a record that can never succeed.
+   */
+  async replay(sendFn) {
+    if (this.isReplaying) {
+      return { sent: 0, dropped: 0, remaining: null, skipped: true };
+    }
+
+    this.isReplaying = true;
+    const result = { sent: 0, dropped: 0, remaining: 0 };
+
+    try {
+      await this.writeChain;
+
+      // New appends go to a fresh segment while we drain the existing ones
+      this.currentSegment = null;
+      const segments = await this.listSegments();
+
+      for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        const records = await this.readSegment(segment);
+
+        for (let index = 0; index < records.length; index++) {
+          const record = records[index];
+
+          if (Date.now() - Date.parse(record.enqueuedAt) > this.maxAgeMs) {
+            result.dropped += 1;
+            continue;
+          }
+
+          try {
+            const delivered = await sendFn(record);
+            if (delivered === false) {
+              result.dropped += 1;
+            } else {
+              result.sent += 1;
+            }
+          } catch (error) {
+            // Keep the undelivered tail of this segment for the next replay
+            const remaining = records.slice(index);
+            await this.rewriteSegment(segment, remaining);
+            result.remaining = remaining.length;
+            for (const rest of segments.slice(i + 1)) {
+              result.remaining += (await this.readSegment(rest)).length;
+            }
+            result.error = error.message;
+            return result;
+          }
+        }
+
+        await this.removeSegment(segment);
+      }
+
+      return result;
+    } finally {
+      this.isReplaying = false;
+    }
+  }
+
+  /**
+   * Atomically replace a segment with the given records
+   */
+  async rewriteSegment(segment, records) {
+    const tmpPath = `${segment}.tmp`;
+    const content = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    await fs.promises.writeFile(tmpPath, content);
+    await fs.promises.rename(tmpPath, segment);
+  }
+
+  /**
+   * Remove every spooled record
+   */
+  async clear() {
+    await this.writeChain;
+    for (const segment of await this.listSegments()) {
+      await this.removeSegment(segment);
+    }
+  }
+}
+
+/**
+ * Helper: Stat a segment, or null when it was removed in the meantime
+ */
+async function statSegment(segment) {
+  try {
+    return await fs.promises.stat(segment);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export default Spool;
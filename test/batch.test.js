@@ -0,0 +1,120 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KryosSDK, { KryosError, KryosApiError } from '../index.js';
+import { startTestServer } from '../testing.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+});
+
+/**
+ * Helper: SDK against the test server with batching on and a long flush interval
+ */
+function createSdk(overrides = {}) {
+  return KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    batch: { enabled: true, maxSize: 10, flushInterval: 60000 },
+    ...overrides
+  }));
+}
+
+/**
+ * Helper: Send entries with the given externalIds
+ */
+function sendEntries(kryos, externalIds) {
+  return externalIds.map(externalId => kryos.sendEntryData({ externalId, dataType: 'custom_data' }));
+}
+
+test('entries are sent in one bulk request once a batch is full', async () => {
+  const kryos = createSdk({ batch: { enabled: true, maxSize: 3, flushInterval: 60000 } });
+
+  await Promise.all(sendEntries(kryos, ['e1', 'e2', 'e3']));
+
+  assert.equal(server.find({ method: 'POST', path: '/data/entries/bulk' }).length, 1);
+  assert.equal(server.find({ method: 'POST', path: /^\/data\/entries$/ }).length, 0);
+  assert.equal(server.getState().entries.length, 3);
+  await kryos.shutdown();
+});
+
+test('entries are flushed on the interval', async () => {
+  const kryos = createSdk({ batch: { enabled: true, maxSize: 10, flushInterval: 20 } });
+
+  const results = await Promise.all(sendEntries(kryos, ['e1', 'e2']));
+
+  assert.equal(results.length, 2);
+  assert.equal(server.find({ method: 'POST', path: '/data/entries/bulk' }).length, 1);
+  await kryos.shutdown();
+});
+
+test('an entry the backend rejects fails on its own', async () => {
+  const kryos = createSdk({ batch: { enabled: true, maxSize: 2, flushInterval: 60000 } });
+  kryos.addHook('beforeSend', (payload) => {
+    if (payload.externalId === 'bad') {
+      return { ...payload, dataType: undefined };
+    }
+  });
+
+  const [good, bad] = await Promise.allSettled(sendEntries(kryos, ['good', 'bad']));
+
+  assert.equal(good.status, 'fulfilled');
+  assert.equal(bad.status, 'rejected');
+  assert.ok(bad.reason instanceof KryosApiError);
+  assert.match(bad.reason.message, /Entry bad rejected: dataType is required/);
+  await kryos.shutdown();
+});
+
+test('shutdown flushes buffered entries', async () => {
+  const kryos = createSdk();
+  const sends = sendEntries(kryos, ['e1', 'e2']);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(server.requests.length, 0);
+
+  await kryos.shutdown();
+  await Promise.all(sends);
+
+  assert.equal(server.getState().entries.length, 2);
+});
+
+test('shutdown delivers entries sent while it is starting', { timeout: 5000 }, async () => {
+  const kryos = createSdk();
+
+  // Not awaited: the send is still running its hooks when shutdown() begins
+  const [send] = sendEntries(kryos, ['late']);
+  const shutdown = kryos.shutdown();
+
+  await Promise.all([send, shutdown]);
+  assert.deepEqual(server.getState().entries.map(entry => entry.externalId), ['late']);
+});
+
+test('sends after destroy reject instead of queueing', async () => {
+  const kryos = createSdk();
+  await kryos.destroy();
+
+  await assert.rejects(
+    kryos.sendEntryData({ externalId: 'after', dataType: 'custom_data' }),
+    error => error instanceof KryosError && error.message === 'Kryos SDK instance has been destroyed'
+  );
+  assert.equal(server.find({ method: 'POST' }).length, 0);
+});
+
+test('destroy rejects entries still buffered', async () => {
+  const kryos = createSdk();
+  const [send] = sendEntries(kryos, ['buffered']);
+  await new Promise(resolve => setImmediate(resolve));
+
+  await kryos.destroy();
+  await assert.rejects(send, /destroyed/);
+  assert.equal(server.find({ method: 'POST' }).length, 0);
+});
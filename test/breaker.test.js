@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CircuitBreaker from '../breaker.js';
+import KryosSDK from '../index.js';
+import { KryosCircuitOpenError } from '../errors.js';
+import { startTestServer } from '../testing.js';
+
+const { State } = CircuitBreaker;
+
+const succeed = () => Promise.resolve('ok');
+const fail = () => Promise.reject(new Error('backend down'));
+
+/**
+ * Helper: Run n failing calls through the breaker
+ */
+async function failTimes(breaker, n) {
+  for (let i = 0; i < n; i++) {
+    await assert.rejects(breaker.execute(fail), /backend down/);
+  }
+}
+
+test('opens once the failure rate crosses the threshold', async () => {
+  const breaker = new CircuitBreaker({ minimumRequests: 4, failureRateThreshold: 0.5, cooldownMs: 60000 });
+  const changes = [];
+  breaker.on('stateChange', ({ from, to }) => changes.push(`${from}->${to}`));
+
+  await breaker.execute(succeed);
+  await breaker.execute(succeed);
+  await failTimes(breaker, 1);
+  assert.equal(breaker.state, State.CLOSED);
+
+  await failTimes(breaker, 1);
+  assert.equal(breaker.state, State.OPEN);
+  assert.deepEqual(changes, ['closed->open']);
+
+  let called = false;
+  await assert.rejects(breaker.execute(() => { called = true; }), KryosCircuitOpenError);
+  assert.equal(called, false);
+});
+
+test('errors that are not failures do not open the breaker', async () => {
+  const breaker = new CircuitBreaker({ minimumRequests: 2 });
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(breaker.execute(fail, () => false));
+  }
+  assert.equal(breaker.state, State.CLOSED);
+  assert.equal(breaker.getFailureRate(), 0);
+});
+
+test('a successful trial after the cooldown closes the breaker', async () => {
+  const breaker = new CircuitBreaker({ minimumRequests: 1, cooldownMs: 0 });
+
+  await failTimes(breaker, 1);
+  assert.equal(breaker.state, State.OPEN);
+
+  assert.equal(await breaker.execute(succeed), 'ok');
+  assert.equal(breaker.state, State.CLOSED);
+  assert.equal(breaker.getState().recentRequests, 0);
+});
+
+test('a failed trial reopens the breaker', async () => {
+  const breaker = new CircuitBreaker({ minimumRequests: 1, cooldownMs: 0 });
+  const changes = [];
+  breaker.on('stateChange', ({ from, to }) => changes.push(`${from}->${to}`));
+
+  await failTimes(breaker, 2);
+
+  assert.equal(breaker.state, State.OPEN);
+  assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->open']);
+});
+
+test('half-open allows only halfOpenMaxRequests trials at once', async () => {
+  const breaker = new CircuitBreaker({ minimumRequests: 1, cooldownMs: 0, halfOpenMaxRequests: 1 });
+  await failTimes(breaker, 1);
+
+  let finishTrial;
+  const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+  await assert.rejects(breaker.execute(succeed), KryosCircuitOpenError);
+
+  finishTrial('done');
+  assert.equal(await trial, 'done');
+  assert.equal(breaker.state, State.CLOSED);
+});
+
+test('configure changes settings without resetting state', async () => {
+  const breaker = new CircuitBreaker({ minimumRequests: 1, cooldownMs: 60000 });
+  await failTimes(breaker, 1);
+
+  breaker.configure({ minimumRequests: 10, cooldownMs: 0 });
+
+  assert.equal(breaker.state, State.OPEN);
+  assert.equal(breaker.minimumRequests, 10);
+  assert.equal(await breaker.execute(succeed), 'ok');
+  assert.equal(breaker.state, State.CLOSED);
+});
+
+test('the SDK stops calling the API while the breaker is open', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const server = await startTestServer();
+  const kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 1,
+    circuitBreaker: { enabled: true, minimumRequests: 2, cooldownMs: 60000 }
+  }));
+
+  try {
+    server.inject({ status: 503, times: 2 });
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(kryos.sendEntryData({ externalId: `e${i}`, dataType: 'custom_data' }));
+    }
+    assert.equal(kryos.api.getCircuitBreakerState().state, State.OPEN);
+
+    await assert.rejects(kryos.sendEntryData({ externalId: 'e2', dataType: 'custom_data' }), KryosCircuitOpenError);
+    assert.equal(server.requests.length, 2);
+  } finally {
+    await kryos.shutdown();
+    await server.stop();
+  }
+});
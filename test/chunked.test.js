@@ -0,0 +1,139 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import KryosSDK from '../index.js';
+import { startTestServer } from '../testing.js';
+
+const CONTENT = crypto.randomBytes(10 * 1024);
+
+let server;
+let kryos;
+let tmpDir;
+let sessionDir;
+let filePath;
+
+before(async () => {
+  server = await startTestServer();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-chunked-'));
+  filePath = path.join(tmpDir, 'dump.bin');
+  fs.writeFileSync(filePath, CONTENT);
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  sessionDir = fs.mkdtempSync(path.join(tmpDir, 'sessions-'));
+  kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 1,
+    circuitBreaker: { enabled: false },
+    chunkedUploads: { enabled: true, threshold: 4096, partSize: 4096, concurrency: 1, directory: sessionDir }
+  }));
+  t.after(() => kryos.shutdown());
+});
+
+/**
+ * Helper: Part numbers PUT so far, in order
+ */
+function uploadedParts() {
+  return server.find({ method: 'PUT' })
+    .filter(request => request.status === 200)
+    .map(request => Number(request.path.split('/').pop()));
+}
+
+/**
+ * Helper: Upload session init requests received so far
+ */
+function sessionInits() {
+  return server.find({ method: 'POST' }).filter(request => request.path === '/data/uploads');
+}
+
+test('a large file is uploaded in checksummed parts and the session is removed', async () => {
+  const result = await kryos.api.uploadFile(filePath, { attachTo: { collection: 'entries', externalId: 'e1' } });
+
+  assert.deepEqual(uploadedParts(), [1, 2, 3]);
+  const stored = server.getState().files[0];
+  assert.equal(stored.size, CONTENT.length);
+  assert.equal(stored.sha256, crypto.createHash('sha256').update(CONTENT).digest('hex'));
+  assert.ok(result);
+  assert.deepEqual(fs.readdirSync(sessionDir), []);
+});
+
+test('a failed upload resumes from the last confirmed part', async () => {
+  server.inject({ status: 500, method: 'PUT', path: /\/parts\/3$/ });
+
+  await assert.rejects(kryos.api.uploadFile(filePath));
+  assert.deepEqual(uploadedParts(), [1, 2]);
+  assert.equal(fs.readdirSync(sessionDir).length, 1);
+
+  await kryos.api.uploadFile(filePath);
+
+  assert.deepEqual(uploadedParts(), [1, 2, 3]);
+  assert.equal(sessionInits().length, 1);
+  assert.equal(server.getState().files.length, 1);
+  assert.deepEqual(fs.readdirSync(sessionDir), []);
+});
+
+test('a different attachTo or partSize does not resume the old session', async () => {
+  const options = { attachTo: { collection: 'entries', externalId: 'e1' } };
+  server.inject({ status: 500, method: 'PUT', path: /\/parts\/2$/ });
+  await assert.rejects(kryos.api.uploadFile(filePath, options));
+
+  server.inject({ status: 500, method: 'PUT', path: /\/parts\/2$/ });
+  await assert.rejects(kryos.api.uploadFile(filePath, { attachTo: { collection: 'entries', externalId: 'e2' } }));
+
+  await kryos.api.uploadFile(filePath, { ...options, partSize: 8192 });
+
+  assert.equal(sessionInits().length, 3);
+  const init = sessionInits()[2];
+  assert.deepEqual(init.body.attachTo, { collection: 'entries', externalId: 'e1' });
+  assert.equal(init.body.partSize, 8192);
+});
+
+test('a session the server no longer knows starts over', async () => {
+  server.inject({ status: 500, method: 'PUT', path: /\/parts\/2$/ });
+  await assert.rejects(kryos.api.uploadFile(filePath));
+
+  server.reset(); // forgets the upload
+  await kryos.api.uploadFile(filePath);
+
+  assert.deepEqual(uploadedParts(), [1, 2, 3]);
+  assert.equal(server.getState().files.length, 1);
+});
+
+test('the completion request is idempotent', async () => {
+  await kryos.api.uploadFile(filePath);
+
+  const [complete] = server.find({ method: 'POST', path: /\/complete$/ });
+  const uploadId = complete.path.split('/')[3];
+  assert.equal(complete.headers['idempotency-key'], `${uploadId}:complete`);
+
+  const replay = await kryos.api.httpClient.post(complete.path, complete.body, {
+    headers: { 'Idempotency-Key': complete.headers['idempotency-key'] }
+  });
+  assert.equal(replay.headers['idempotent-replayed'], 'true');
+  assert.equal(server.getState().files.length, 1);
+});
+
+test('entries with large path files upload them in parts after the record', async () => {
+  const small = { buffer: Buffer.from('note'), filename: 'note.txt' };
+
+  const result = await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }, [small, filePath]);
+
+  assert.equal(result.uploads.length, 1);
+  const [init] = sessionInits();
+  assert.deepEqual(init.body.attachTo, { collection: 'entries', externalId: 'e1' });
+  assert.deepEqual(server.getState().files.map(file => file.filename).sort(), ['dump.bin', 'note.txt']);
+});
@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startTestServer } from '../testing.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+let server;
+let directory;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-cli-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+/**
+ * Helper: Run the CLI against the test server; resolves with { code, stdout, stderr }
+ */
+function run(args) {
+  const [keyId, keySecret] = Object.entries(server.keys)[0];
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('KRYOS_')));
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], {
+      cwd: directory,
+      env: { ...env, KRYOS_KEY_ID: keyId, KRYOS_KEY_SECRET: keySecret, KRYOS_BASE_URL: server.url }
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout, stderr }));
+  });
+}
+
+/**
+ * Helper: Write NDJSON payload lines into the temp directory
+ */
+function writeLines(lines) {
+  const file = path.join(directory, 'input.ndjson');
+  fs.writeFileSync(file, lines.map(line => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n') + '\n');
+  return file;
+}
+
+test('--help prints the usage', async () => {
+  const { code, stdout } = await run(['--help']);
+
+  assert.equal(code, 0);
+  assert.match(stdout, /Usage: kryos replay <file>/);
+});
+
+test('bad commands and options exit with status 2', async () => {
+  assert.equal((await run([])).code, 2);
+  assert.equal((await run(['export', 'file.ndjson'])).code, 2);
+  assert.equal((await run(['replay'])).code, 2);
+
+  const unknown = await run(['replay', 'file.ndjson', '--speed', '3']);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown option: --speed/);
+});
+
+test('numeric options must be positive numbers', async () => {
+  const file = writeLines([{ externalId: 'e1', dataType: 'custom_data' }]);
+
+  for (const [flag, value, expected] of [
+    ['--rate', '0', /--rate must be a number > 0, got "0"/],
+    ['--rate', 'abc', /--rate must be a number > 0/],
+    ['--rate', '', /--rate must be a number > 0/],
+    ['--concurrency', '0', /--concurrency must be a whole number >= 1/],
+    ['--concurrency', '1.5', /--concurrency must be a whole number >= 1/],
+    ['--from-line', '-3', /--from-line must be a whole number >= 1/],
+    ['--from-line', 'next', /--from-line must be a whole number >= 1/]
+  ]) {
+    const { code, stderr } = await run(['replay', file, `${flag}=${value}`]);
+    assert.equal(code, 2, `${flag}=${value}`);
+    assert.match(stderr, expected);
+  }
+
+  assert.equal(server.requests.length, 0);
+});
+
+test('a file is replayed with filters and exits 1 when a line failed', async () => {
+  const file = writeLines([
+    { externalId: 'e1', dataType: 'order' },
+    { externalId: 'e2', dataType: 'custom_data' },
+    'not json',
+    { externalId: 'e4', dataType: 'order' }
+  ]);
+
+  const { code, stdout, stderr } = await run(['replay', file, '--data-type', 'order', '--rate', '50', '--concurrency', '2']);
+
+  assert.equal(code, 1);
+  assert.deepEqual(server.find({ method: 'POST' }).map(request => request.body.externalId).sort(), ['e1', 'e4']);
+  assert.match(stdout, /line 2: POST \/data\/entries e2 \(filtered\)/);
+  assert.match(stderr, /line 3: invalid JSON/);
+  assert.equal(fs.readFileSync(path.join(directory, 'input.failures.ndjson'), 'utf8'), 'not json\n');
+});
+
+test('--from-line resumes and --quiet prints only the summary', async () => {
+  const file = writeLines([1, 2, 3].map(n => ({ externalId: `e${n}`, dataType: 'custom_data' })));
+
+  const { code, stdout } = await run(['replay', file, '--from-line', '2', '--quiet']);
+
+  assert.equal(code, 0);
+  assert.deepEqual(server.find({ method: 'POST' }).map(request => request.body.externalId), ['e2', 'e3']);
+  assert.doesNotMatch(stdout, /line \d/);
+  assert.match(stdout, /2 sent, 0 failed, 0 skipped/);
+});
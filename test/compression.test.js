@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import KryosSDK, { KryosConfigError } from '../index.js';
+import { compressBody, isCompressible } from '../compression.js';
+import { startTestServer } from '../testing.js';
+
+const LARGE = { externalId: 'e1', dataType: 'custom_data', data: { lines: Array.from({ length: 200 }, (_, n) => `line ${n}`) } };
+
+/**
+ * Helper: The compression.level problems reported for an init
+ */
+async function levelProblems(compression) {
+  let kryos;
+  try {
+    kryos = KryosSDK.init({
+      keyId: 'id',
+      keySecret: 'secret',
+      configFile: false,
+      enableLogging: false,
+      enableDefaultMetrics: false,
+      compression
+    });
+  } catch (error) {
+    assert.ok(error instanceof KryosConfigError);
+    return error.problems.filter(problem => problem.key === 'compression.level').map(problem => problem.message);
+  }
+  await kryos.shutdown();
+  return [];
+}
+
+/**
+ * Helper: A test server with an SDK instance that compresses bodies of 100 bytes or more
+ */
+async function setup(t, overrides = {}) {
+  t.mock.method(console, 'log', () => {});
+  const server = await startTestServer();
+  const kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    compression: { enabled: true, threshold: 100 },
+    ...overrides
+  }));
+  t.after(async () => {
+    await kryos.shutdown();
+    await server.stop();
+  });
+  return { server, kryos };
+}
+
+test('only JSON bodies are compressible', () => {
+  assert.equal(isCompressible({ a: 1 }), true);
+  assert.equal(isCompressible('text'), true);
+  assert.equal(isCompressible(Buffer.from('bytes')), false);
+  assert.equal(isCompressible(Readable.from(['x'])), false);
+  assert.equal(isCompressible({ getHeaders: () => ({}) }), false);
+  assert.equal(isCompressible(new URLSearchParams('a=1')), false);
+  assert.equal(isCompressible(null), false);
+});
+
+test('bodies round-trip through gzip and brotli', async () => {
+  const raw = JSON.stringify(LARGE);
+
+  const gzipped = await compressBody(LARGE, { algorithm: 'gzip', level: 9 });
+  assert.equal(gzipped.encoding, 'gzip');
+  assert.equal(gzipped.originalSize, raw.length);
+  assert.equal(zlib.gunzipSync(gzipped.body).toString(), raw);
+
+  const brotli = await compressBody(LARGE, { algorithm: 'br', level: 11 });
+  assert.equal(brotli.encoding, 'br');
+  assert.equal(zlib.brotliDecompressSync(brotli.body).toString(), raw);
+});
+
+test('small and incompressible bodies are left alone', async () => {
+  assert.equal(await compressBody(LARGE, { threshold: 1024 * 1024 }), null);
+  assert.equal(await compressBody(crypto.randomBytes(64).toString('base64')), null);
+});
+
+test('the compression level is checked against the algorithm', async (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  assert.deepEqual(await levelProblems({ algorithm: 'gzip', level: -1 }), []);
+  assert.deepEqual(await levelProblems({ algorithm: 'gzip', level: 9 }), []);
+  assert.deepEqual(await levelProblems({ algorithm: 'br', level: 0 }), []);
+  assert.deepEqual(await levelProblems({ algorithm: 'br', level: 11 }), []);
+  assert.deepEqual(await levelProblems({ algorithm: 'gzip', level: null }), []);
+
+  assert.deepEqual(await levelProblems({ algorithm: 'gzip', level: 10 }), ['must be an integer between -1 and 9 for gzip, or null']);
+  assert.deepEqual(await levelProblems({ level: 11 }), ['must be an integer between -1 and 9 for gzip, or null']);
+  assert.deepEqual(await levelProblems({ algorithm: 'br', level: -1 }), ['must be an integer between 0 and 11 for br, or null']);
+  assert.deepEqual(await levelProblems({ algorithm: 'br', level: 12 }), ['must be an integer between -1 and 11 or null']);
+  assert.deepEqual(await levelProblems({ algorithm: 'gzip', level: 2.5 }), ['must be an integer between -1 and 11 or null']);
+});
+
+test('large JSON bodies are sent compressed, small ones as-is', async (t) => {
+  const { server, kryos } = await setup(t, { compression: { enabled: true, threshold: 100, algorithm: 'br', level: 5 } });
+
+  await kryos.sendEntryData(LARGE);
+  await kryos.sendEntryData({ externalId: 'e2', dataType: 'custom_data' });
+
+  const [large, small] = server.find({ method: 'POST', path: '/data/entries' });
+  assert.equal(large.headers['content-encoding'], 'br');
+  assert.ok(large.size < JSON.stringify(LARGE).length);
+  assert.deepEqual(large.body.data, LARGE.data);
+  assert.equal(large.status, 201);
+  assert.equal(small.headers['content-encoding'], undefined);
+});
+
+test('signed requests are signed over the compressed bytes', async (t) => {
+  const { server, kryos } = await setup(t, { authMode: 'hmac' });
+
+  await kryos.sendEntryData(LARGE);
+
+  const [request] = server.find({ method: 'POST', path: '/data/entries' });
+  assert.equal(request.headers['content-encoding'], 'gzip');
+  assert.equal(request.status, 201);
+});
+
+test('acceptCompressed controls Accept-Encoding', async (t) => {
+  const { server, kryos } = await setup(t, { compression: { enabled: false, acceptCompressed: false } });
+
+  await kryos.getUser('missing');
+
+  assert.equal(server.requests[0].headers['accept-encoding'], 'identity');
+});
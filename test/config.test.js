@@ -0,0 +1,191 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Config from '../config.js';
+import { KryosConfigError } from '../errors.js';
+
+const credentials = { keyId: 'key_id', keySecret: 'key_secret' };
+
+let cwd;
+
+beforeEach((t) => {
+  // Start from a clean environment and restore it afterwards
+  const saved = { ...process.env };
+  for (const name of Object.keys(process.env).filter(name => name.startsWith('KRYOS_') || name === 'NODE_ENV')) {
+    delete process.env[name];
+  }
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-config-'));
+
+  t.after(() => {
+    process.env = saved;
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+});
+
+/**
+ * Helper: Write kryos.config.json in the test's working directory
+ */
+function writeConfigFile(values) {
+  fs.writeFileSync(path.join(cwd, 'kryos.config.json'), JSON.stringify(values));
+}
+
+/**
+ * Helper: Load config from the test's working directory
+ */
+function load(options = {}) {
+  return new Config().load({ cwd, ...options });
+}
+
+/**
+ * Helper: The KryosConfigError thrown when loading options
+ */
+function loadError(options) {
+  try {
+    load(options);
+  } catch (error) {
+    assert.ok(error instanceof KryosConfigError);
+    return error;
+  }
+  assert.fail('expected a KryosConfigError');
+}
+
+test('options override environment variables, which override the config file', () => {
+  writeConfigFile({ ...credentials, timeout: 1000, retryAttempts: 2, serviceName: 'from-file' });
+  process.env.KRYOS_TIMEOUT = '2000';
+  process.env.KRYOS_RETRY_ATTEMPTS = '4';
+
+  const config = load({ timeout: 3000 });
+
+  assert.equal(config.timeout, 3000);
+  assert.equal(config.retryAttempts, 4);
+  assert.equal(config.serviceName, 'from-file');
+  assert.equal(config.retryDelay, 1000);
+
+  assert.equal(config.explain('timeout').source, 'options');
+  assert.deepEqual(config.explain('retryAttempts'), { value: 4, source: 'env', variable: 'KRYOS_RETRY_ATTEMPTS' });
+  assert.equal(config.explain('serviceName').source, 'file');
+  assert.equal(config.explain('retryDelay').source, 'default');
+});
+
+test('nested settings merge across sources', () => {
+  writeConfigFile({ ...credentials, rateLimit: { policy: 'drop', maxQueueSize: 10 } });
+  process.env.KRYOS_RATE_LIMIT_ENABLED = 'true';
+
+  const config = load({ rateLimit: { maxQueueSize: 20 } });
+
+  assert.equal(config.rateLimit.enabled, true);
+  assert.equal(config.rateLimit.policy, 'drop');
+  assert.equal(config.rateLimit.maxQueueSize, 20);
+  assert.equal(config.rateLimit.budgets.events.rate, 50);
+});
+
+test('configFile: false skips file discovery', () => {
+  writeConfigFile({ ...credentials, serviceName: 'from-file' });
+
+  const config = load({ ...credentials, configFile: false });
+
+  assert.equal(config.serviceName, 'unknown-service');
+  assert.equal(config.configFile, null);
+});
+
+test('config files are discovered in order, or named explicitly', () => {
+  fs.writeFileSync(path.join(cwd, 'package.json'), JSON.stringify({ name: 'app', kryos: { ...credentials, serviceName: 'from-package' } }));
+  assert.equal(load().configFile, path.join(cwd, 'package.json#kryos'));
+
+  fs.writeFileSync(path.join(cwd, '.kryosrc'), JSON.stringify({ ...credentials, serviceName: 'from-rc' }));
+  assert.equal(load().serviceName, 'from-rc');
+
+  fs.writeFileSync(path.join(cwd, 'custom.json'), JSON.stringify({ ...credentials, serviceName: 'from-custom' }));
+  assert.equal(load({ configFile: 'custom.json' }).serviceName, 'from-custom');
+
+  process.env.KRYOS_CONFIG_FILE = 'missing.json';
+  const [problem] = loadError().problems;
+  assert.deepEqual([problem.key, problem.message, problem.variable], ['configFile', 'file not found', 'KRYOS_CONFIG_FILE']);
+});
+
+test('every invalid setting is reported with its source', () => {
+  process.env.KRYOS_TIMEOUT = '30s';
+
+  const error = loadError({ keyId: 'key_id', retryAttempts: 0, compression: { algorithm: 'zip' } });
+  const problems = Object.fromEntries(error.problems.map(problem => [problem.key, problem]));
+
+  assert.deepEqual(Object.keys(problems).sort(), ['compression.algorithm', 'keySecret', 'retryAttempts', 'timeout']);
+  assert.equal(problems.timeout.variable, 'KRYOS_TIMEOUT');
+  assert.equal(problems.timeout.value, '30s');
+  assert.equal(problems.retryAttempts.source, 'options');
+  assert.match(error.message, /timeout: must be an integer >= 1, got "30s" \(env KRYOS_TIMEOUT\)/);
+});
+
+test('credentials are masked in problems', () => {
+  const error = loadError({ keyId: 'key_id', keySecret: 42 });
+
+  assert.ok(!JSON.stringify(error.problems).includes('42'));
+});
+
+test('NODE_ENV accepts any value', () => {
+  process.env.NODE_ENV = 'local';
+
+  const config = load(credentials);
+
+  assert.equal(config.environment, 'local');
+  assert.equal(config.explain('environment').variable, 'NODE_ENV');
+});
+
+test('KRYOS_ENVIRONMENT and options must name a known environment', () => {
+  process.env.KRYOS_ENVIRONMENT = 'local';
+  assert.deepEqual(loadError(credentials).problems.map(problem => problem.key), ['environment']);
+
+  delete process.env.KRYOS_ENVIRONMENT;
+  assert.deepEqual(loadError({ ...credentials, environment: 'local' }).problems.map(problem => problem.key), ['environment']);
+  assert.equal(load({ ...credentials, environment: 'local', profiles: { local: {} } }).environment, 'local');
+});
+
+test('a rejected update leaves the previous settings in place', () => {
+  const config = load(credentials);
+
+  assert.throws(() => config.update({ timeout: 0 }), KryosConfigError);
+  assert.equal(config.timeout, 30000);
+
+  config.update({ timeout: 500 });
+  assert.equal(config.timeout, 500);
+  assert.equal(config.explain('timeout').source, 'update');
+});
+
+test('the active profile applies over its layer, below higher layers', () => {
+  writeConfigFile({
+    ...credentials,
+    timeout: 1000,
+    profiles: { production: { timeout: 5000, retryAttempts: 5 } }
+  });
+
+  const config = load({ environment: 'production', retryAttempts: 2 });
+
+  assert.equal(config.profile, 'production');
+  assert.equal(config.timeout, 5000);
+  assert.equal(config.explain('timeout').profile, 'production');
+  assert.equal(config.retryAttempts, 2);
+});
+
+test('inactive profiles are validated too', () => {
+  const error = loadError({ ...credentials, profiles: { production: { timeout: -1, environment: 'test' } } });
+
+  assert.deepEqual(error.problems.map(problem => problem.key).sort(), ['profiles.production.environment', 'profiles.production.timeout']);
+});
+
+test('changing the environment switches to its profile', () => {
+  const config = load({
+    ...credentials,
+    timeout: 1000,
+    profiles: { staging: { timeout: 2000 }, production: { timeout: 5000 } }
+  });
+  assert.equal(config.profile, null);
+
+  config.update({ environment: 'staging' });
+  assert.deepEqual([config.profile, config.timeout], ['staging', 2000]);
+
+  config.update({ environment: 'production' });
+  assert.deepEqual([config.profile, config.timeout], ['production', 5000]);
+  assert.equal(config.explain('timeout').profile, 'production');
+});
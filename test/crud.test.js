@@ -0,0 +1,158 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KryosSDK, { KryosApiError, KryosValidationError } from '../index.js';
+import { startTestServer } from '../testing.js';
+
+let server;
+let kryos;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 1,
+    circuitBreaker: { enabled: false }
+  }));
+  t.after(() => kryos.shutdown());
+});
+
+test('getUser and getEntry resolve null for unknown ids', async () => {
+  assert.equal(await kryos.getUser('missing'), null);
+  assert.equal(await kryos.getEntry('missing'), null);
+});
+
+test('getUser returns the stored user', async () => {
+  await kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com' });
+
+  const result = await kryos.getUser('u1');
+
+  assert.equal(result.data.externalId, 'u1');
+  assert.equal(result.data.name, 'Ada');
+});
+
+test('updateUser patches only the given fields', async () => {
+  await kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com' });
+
+  await kryos.updateUser('u1', { name: 'Ada L.' });
+
+  const [request] = server.find({ method: 'PATCH', path: '/data/users/u1' });
+  assert.deepEqual(request.body, { name: 'Ada L.' });
+  const { data } = await kryos.getUser('u1');
+  assert.equal(data.name, 'Ada L.');
+  assert.equal(data.email, 'ada@example.com');
+});
+
+test('upsertUser creates and then replaces a user', async () => {
+  await kryos.upsertUser({ externalId: 'u1', name: 'Ada', email: 'ada@example.com' });
+  await kryos.upsertUser({ externalId: 'u1', name: 'Grace', email: 'grace@example.com' });
+
+  assert.equal(server.find({ method: 'PUT', path: '/data/users/u1' }).length, 2);
+  const { data } = await kryos.getUser('u1');
+  assert.equal(data.name, 'Grace');
+});
+
+test('deleteUser removes the user without sending a body', async () => {
+  await kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com' });
+
+  await kryos.deleteUser('u1');
+
+  const [request] = server.find({ method: 'DELETE', path: '/data/users/u1' });
+  assert.equal(request.size, 0);
+  assert.equal(await kryos.getUser('u1'), null);
+});
+
+test('deleting an unknown record rejects with a 404', async () => {
+  await assert.rejects(kryos.deleteUser('missing'), error => error instanceof KryosApiError && error.status === 404);
+});
+
+test('entries are updated, upserted and deleted', async () => {
+  await kryos.upsertEntry({ externalId: 'e1', dataType: 'custom_data', data: { amount: 5, currency: 'EUR' } });
+  await kryos.updateEntry('e1', { data: { amount: 7 } });
+
+  const { data } = await kryos.getEntry('e1');
+  assert.deepEqual(data.data, { amount: 7, currency: 'EUR' });
+
+  await kryos.deleteEntry('e1');
+  assert.equal(await kryos.getEntry('e1'), null);
+});
+
+test('entry tags are added and removed', async () => {
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data', tags: ['web'] });
+
+  await kryos.addEntryTags('e1', ['purchase', 'web']);
+  assert.deepEqual((await kryos.getEntry('e1')).data.tags, ['web', 'purchase']);
+
+  await kryos.removeEntryTags('e1', 'web');
+  assert.deepEqual((await kryos.getEntry('e1')).data.tags, ['purchase']);
+});
+
+test('invalid arguments are rejected before anything is sent', async () => {
+  const calls = [
+    () => kryos.getUser(''),
+    () => kryos.updateUser('u1', null),
+    () => kryos.upsertUser({ name: 'no id' }),
+    () => kryos.deleteEntry(42),
+    () => kryos.addEntryTags('e1', []),
+    () => kryos.removeEntryTags('e1', ['ok', ''])
+  ];
+
+  for (const call of calls) {
+    await assert.rejects(call(), KryosValidationError);
+  }
+  assert.equal(server.requests.length, 0);
+});
+
+test('deletes and tag changes run the hooks', async () => {
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+  const seen = [];
+  kryos.addHook('beforeSend', (payload, context) => {
+    seen.push({ payload, operation: context.operation, method: context.method, externalId: context.externalId });
+  });
+  kryos.addHook('afterResponse', (result, context) => ({ ...result, operation: context.operation }));
+
+  const tagged = await kryos.addEntryTags('e1', 'web');
+  await kryos.removeEntryTags('e1', 'web');
+  await kryos.deleteEntry('e1');
+
+  assert.equal(tagged.operation, 'addTags');
+  assert.deepEqual(seen, [
+    { payload: { tags: ['web'] }, operation: 'addTags', method: 'post', externalId: 'e1' },
+    { payload: { tags: ['web'] }, operation: 'removeTags', method: 'delete', externalId: 'e1' },
+    { payload: { externalId: 'e1' }, operation: 'delete', method: 'delete', externalId: 'e1' }
+  ]);
+});
+
+test('a beforeSend hook can veto a delete', async () => {
+  await kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com' });
+  const dropped = [];
+  kryos.api.on('payloadDropped', context => dropped.push(context.operation));
+  kryos.addHook('beforeSend', (payload, context) => (context.operation === 'delete' ? false : undefined));
+
+  assert.equal(await kryos.deleteUser('u1'), null);
+
+  assert.deepEqual(dropped, ['delete']);
+  assert.equal(server.find({ method: 'DELETE' }).length, 0);
+  assert.notEqual(await kryos.getUser('u1'), null);
+});
+
+test('onError hooks see failed deletes', async () => {
+  const failures = [];
+  kryos.addHook('onError', (error, context) => failures.push([context.operation, error.status]));
+
+  await assert.rejects(kryos.deleteEntry('missing'), KryosApiError);
+
+  assert.deepEqual(failures, [['delete', 404]]);
+});
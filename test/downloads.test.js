@@ -0,0 +1,171 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import KryosSDK, { KryosError } from '../index.js';
+import { startTestServer } from '../testing.js';
+
+const CONTENT = crypto.randomBytes(4096);
+const SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+let server;
+let kryos;
+let tmpDir;
+let fileId;
+
+before(async () => {
+  server = await startTestServer();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-downloads-'));
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async (t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryDelay: 1,
+    circuitBreaker: { enabled: false }
+  }));
+  t.after(() => kryos.shutdown());
+
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }, [{ buffer: CONTENT, filename: 'export.bin' }]);
+  fileId = server.getState().files[0].id;
+  server.requests = [];
+});
+
+/**
+ * Helper: Range headers of the content requests received so far
+ */
+function contentRanges() {
+  return server.find({ method: 'GET', path: `/data/files/${fileId}/content` }).map(request => request.headers.range ?? null);
+}
+
+/**
+ * Helper: A fresh destination path for one test
+ */
+function destinationFor(name) {
+  return path.join(fs.mkdtempSync(path.join(tmpDir, 'dest-')), name);
+}
+
+test('a file is downloaded to disk and verified', async () => {
+  const destination = destinationFor('export.bin');
+
+  const result = await kryos.api.downloadFile(fileId, { destination });
+
+  assert.equal(result.path, destination);
+  assert.equal(result.sha256, SHA256);
+  assert.deepEqual(fs.readFileSync(destination), CONTENT);
+  assert.equal(fs.existsSync(`${destination}.part`), false);
+});
+
+test('a directory destination keeps the file name', async () => {
+  const directory = `${fs.mkdtempSync(path.join(tmpDir, 'dest-'))}/nested/`;
+
+  const result = await kryos.api.downloadFile(fileId, { destination: directory });
+
+  assert.equal(result.path, path.join(directory, 'export.bin'));
+});
+
+test('an existing .part file is resumed with a Range request', async () => {
+  const destination = destinationFor('export.bin');
+  fs.writeFileSync(`${destination}.part`, CONTENT.subarray(0, 1000));
+
+  const result = await kryos.api.downloadFile(fileId, { destination });
+
+  assert.deepEqual(contentRanges(), ['bytes=1000-']);
+  assert.equal(result.sha256, SHA256);
+  assert.deepEqual(fs.readFileSync(destination), CONTENT);
+});
+
+test('a complete .part file is accepted when the server answers 416', async () => {
+  const destination = destinationFor('export.bin');
+  fs.writeFileSync(`${destination}.part`, CONTENT);
+
+  await kryos.api.downloadFile(fileId, { destination });
+
+  assert.deepEqual(contentRanges(), [`bytes=${CONTENT.length}-`]);
+  assert.deepEqual(fs.readFileSync(destination), CONTENT);
+});
+
+test('resume: false starts over', async () => {
+  const destination = destinationFor('export.bin');
+  fs.writeFileSync(`${destination}.part`, Buffer.from('stale bytes'));
+
+  await kryos.api.downloadFile(fileId, { destination, resume: false });
+
+  assert.deepEqual(contentRanges(), [null]);
+  assert.deepEqual(fs.readFileSync(destination), CONTENT);
+});
+
+test('a corrupt .part file fails verification and is removed', async () => {
+  const destination = destinationFor('export.bin');
+  fs.writeFileSync(`${destination}.part`, Buffer.alloc(1000));
+
+  await assert.rejects(kryos.api.downloadFile(fileId, { destination }), (error) => {
+    assert.equal(error.constructor, KryosError);
+    assert.match(error.message, /Checksum mismatch/);
+    return true;
+  });
+
+  assert.equal(fs.existsSync(`${destination}.part`), false);
+  assert.equal(fs.existsSync(destination), false);
+
+  // The next attempt downloads from scratch
+  await kryos.api.downloadFile(fileId, { destination });
+  assert.deepEqual(fs.readFileSync(destination), CONTENT);
+});
+
+test('size mismatches are reported unless verification is off', async () => {
+  const metadata = { filename: 'export.bin', size: CONTENT.length + 1 };
+
+  await assert.rejects(kryos.api.downloadFile(fileId, { destination: destinationFor('a.bin'), metadata }), /Size mismatch/);
+
+  const result = await kryos.api.downloadFile(fileId, { destination: destinationFor('b.bin'), metadata, verify: false });
+  assert.equal(result.size, CONTENT.length);
+});
+
+test('a dropped connection is retried', async () => {
+  server.inject({ disconnect: true, path: `/data/files/${fileId}/content` });
+  const destination = destinationFor('export.bin');
+
+  await kryos.api.downloadFile(fileId, { destination });
+
+  assert.equal(contentRanges().length, 2);
+  assert.deepEqual(fs.readFileSync(destination), CONTENT);
+});
+
+test('downloads stream into a writable', async () => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const progress = [];
+
+  const result = await kryos.api.downloadFile(fileId, { stream, onProgress: event => progress.push(event.percent) });
+
+  assert.equal(result.sha256, SHA256);
+  assert.deepEqual(Buffer.concat(chunks), CONTENT);
+  assert.equal(progress[progress.length - 1], 100);
+});
+
+test('downloadFiles exports every matching file and keeps duplicate names apart', async () => {
+  await kryos.sendEntryData({ externalId: 'e2', dataType: 'custom_data' }, [{ buffer: Buffer.from('second'), filename: 'export.bin' }]);
+  const directory = fs.mkdtempSync(path.join(tmpDir, 'bulk-'));
+
+  const results = await kryos.api.downloadFiles({}, { directory });
+
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled']);
+  const secondId = server.getState().files[1].id;
+  assert.deepEqual(fs.readdirSync(directory).sort(), [`${secondId}_export.bin`, 'export.bin'].sort());
+});
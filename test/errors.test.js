@@ -0,0 +1,134 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import util from 'util';
+import KryosSDK, {
+  KryosError,
+  KryosApiError,
+  KryosAuthError,
+  KryosNetworkError,
+  KryosTimeoutError,
+  KryosValidationError
+} from '../index.js';
+import { startTestServer } from '../testing.js';
+
+let server;
+let kryos;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 1,
+    timeout: 200,
+    circuitBreaker: { enabled: false }
+  }));
+  t.after(() => kryos.shutdown());
+});
+
+/**
+ * Helper: The error a send rejects with
+ */
+function sendError() {
+  return kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }).then(
+    () => assert.fail('expected the send to fail'),
+    error => error
+  );
+}
+
+test('error responses become KryosApiError with status and body', async () => {
+  server.inject({ status: 422, body: { success: false, error: 'bad entry', code: 'INVALID' } });
+
+  const error = await sendError();
+
+  assert.ok(error instanceof KryosApiError);
+  assert.equal(error.status, 422);
+  assert.equal(error.code, 'INVALID');
+  assert.equal(error.message, 'API Error (422): bad entry');
+  assert.equal(error.method, 'POST');
+  assert.equal(error.url, '/data/entries');
+  assert.deepEqual(error.responseBody, { success: false, error: 'bad entry', code: 'INVALID' });
+});
+
+test('401 and 403 become KryosAuthError', async () => {
+  for (const status of [401, 403]) {
+    server.inject({ status });
+    const error = await sendError();
+    assert.ok(error instanceof KryosAuthError);
+    assert.ok(error instanceof KryosApiError);
+  }
+});
+
+test('a dropped connection becomes KryosNetworkError', async () => {
+  server.inject({ disconnect: true });
+
+  const error = await sendError();
+
+  assert.ok(error instanceof KryosNetworkError);
+  assert.ok(!(error instanceof KryosTimeoutError));
+  assert.equal(error.attempts, 1);
+});
+
+test('a slow response becomes KryosTimeoutError', async () => {
+  server.inject({ latency: 1000 });
+
+  const error = await sendError();
+
+  assert.ok(error instanceof KryosTimeoutError);
+  assert.equal(error.timeout, 200);
+});
+
+test('the cause never exposes the key secret', async () => {
+  const { keySecret } = server.sdkOptions();
+
+  for (const failure of [{ status: 500 }, { disconnect: true }]) {
+    server.inject(failure);
+    const error = await sendError();
+
+    assert.ok(error.cause instanceof Error);
+    assert.equal(error.cause.config.url, '/data/entries');
+    assert.match(error.cause.config.headers.Authorization, /\.\*\*\*\*$/);
+    assert.ok(!util.inspect(error.cause, { depth: Infinity }).includes(keySecret));
+    assert.ok(!util.inspect(error, { depth: Infinity }).includes(keySecret));
+  }
+});
+
+test('Kryos errors thrown by request interceptors are passed through', async () => {
+  const thrown = new KryosValidationError('payload too large', ['body: too large']);
+  kryos.api.httpClient.interceptors.request.use(() => { throw thrown; });
+
+  const error = await sendError();
+
+  assert.equal(error, thrown);
+});
+
+test('other interceptor failures become KryosError', async () => {
+  kryos.api.httpClient.interceptors.request.use(() => { throw new Error('boom'); });
+
+  const error = await sendError();
+
+  assert.equal(error.constructor, KryosError);
+  assert.equal(error.message, 'Request Error: boom');
+});
+
+test('toJSON leaves out the cause', async () => {
+  server.inject({ status: 500 });
+
+  const json = (await sendError()).toJSON();
+
+  assert.equal(json.name, 'KryosApiError');
+  assert.equal(json.status, 500);
+  assert.equal(json.cause, undefined);
+});
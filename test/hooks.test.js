@@ -0,0 +1,208 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KryosSDK, { KryosApiError, KryosValidationError } from '../index.js';
+import HookPipeline from '../hooks.js';
+import { startTestServer } from '../testing.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Helper: An SDK instance whose hooks record every call as [hook, type, operation, externalId]
+ */
+function init(t, overrides = {}) {
+  const calls = [];
+  const record = hook => (value, context) => {
+    calls.push([hook, context.type, context.operation, context.externalId]);
+  };
+  const kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 1,
+    circuitBreaker: { enabled: false },
+    hooks: { beforeSend: record('beforeSend'), afterResponse: record('afterResponse'), onError: record('onError') },
+    ...overrides
+  }));
+  t.after(() => kryos.shutdown());
+  return { kryos, calls };
+}
+
+/**
+ * Helper: Body of the last POST to a path
+ */
+function lastBody(path) {
+  return server.find({ method: 'POST', path }).pop().body;
+}
+
+test('hooks run in order and can replace or drop a payload', async () => {
+  const pipeline = new HookPipeline({ beforeSend: [payload => ({ ...payload, a: 1 }), payload => { payload.b = 2; }, () => true] });
+
+  assert.deepEqual(await pipeline.beforeSend({}, {}), { a: 1, b: 2 });
+
+  pipeline.add('beforeSend', () => false);
+  assert.equal(await pipeline.beforeSend({}, {}), null);
+  assert.throws(() => pipeline.add('beforeRequest', () => {}), KryosValidationError);
+  assert.throws(() => pipeline.add('onError', 'not a function'), KryosValidationError);
+});
+
+test('every record type runs beforeSend and afterResponse with its context', async (t) => {
+  const { kryos, calls } = init(t);
+
+  await kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com' });
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+  await kryos.api.sendEvent({ eventType: 'signup' });
+  await kryos.api.sendError(new Error('boom'));
+  await kryos.sendMetrics({ cpu: 0.5 });
+  await kryos.updateEntry('e1', { data: { a: 1 } });
+  await kryos.upsertUser({ externalId: 'u2', name: 'Grace', email: 'grace@example.com' });
+
+  const summary = calls.map(([hook, type, operation]) => `${hook} ${type} ${operation}`);
+  assert.deepEqual(summary, [
+    'beforeSend user create', 'afterResponse user create',
+    'beforeSend entry create', 'afterResponse entry create',
+    'beforeSend event create', 'afterResponse event create',
+    'beforeSend error create', 'afterResponse error create',
+    'beforeSend metrics create', 'afterResponse metrics create',
+    'beforeSend entry update', 'afterResponse entry update',
+    'beforeSend user upsert', 'afterResponse user upsert'
+  ]);
+  assert.deepEqual(calls.slice(0, 4).map(call => call[3]), ['u1', 'u1', 'e1', 'e1']);
+  const [, event] = server.find({ method: 'POST', path: '/data/entries' });
+  assert.equal(calls[4][3], event.body.externalId);
+});
+
+test('beforeSend changes reach the server for every type', async (t) => {
+  const { kryos } = init(t, {
+    hooks: {
+      beforeSend: (payload) => {
+        payload.tags = [...(payload.tags || []), 'scrubbed'];
+        delete payload.secret;
+      }
+    }
+  });
+
+  await kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com', secret: 'x' });
+  assert.equal(lastBody('/data/users').secret, undefined);
+
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data', secret: 'x' });
+  await kryos.api.sendEvent({ eventType: 'signup' });
+  await kryos.api.sendError(new Error('boom'));
+  await kryos.sendMetrics({ cpu: 0.5 });
+
+  for (const request of server.find({ method: 'POST', path: '/data/entries' })) {
+    assert.ok(request.body.tags.includes('scrubbed'));
+    assert.equal(request.body.secret, undefined);
+  }
+});
+
+test('a dropped payload is never sent and resolves null', async (t) => {
+  const { kryos } = init(t, { hooks: { beforeSend: (payload, context) => context.type !== 'event' } });
+  const dropped = [];
+  kryos.api.on('payloadDropped', context => dropped.push(context.type));
+
+  assert.equal(await kryos.api.sendEvent({ eventType: 'health_probe' }), null);
+  assert.notEqual(await kryos.api.sendError(new Error('kept')), null);
+
+  assert.deepEqual(dropped, ['event']);
+  assert.equal(server.find({ method: 'POST' }).length, 1);
+});
+
+test('afterResponse can replace the result', async (t) => {
+  const { kryos } = init(t, { hooks: { afterResponse: (result, context) => ({ ...result, seenBy: context.type }) } });
+
+  const result = await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+
+  assert.equal(result.seenBy, 'entry');
+  assert.equal(result.data.externalId, 'e1');
+});
+
+test('onError sees failed sends of every type; its own errors are ignored', async (t) => {
+  const { kryos, calls } = init(t);
+  kryos.addHook('onError', () => { throw new Error('reporter down'); });
+  server.inject({ status: 500, times: Infinity });
+
+  await assert.rejects(kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com' }), KryosApiError);
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }), KryosApiError);
+  await assert.rejects(kryos.api.sendEvent({ eventType: 'signup' }), KryosApiError);
+  await assert.rejects(kryos.api.sendError(new Error('boom')), KryosApiError);
+  await assert.rejects(kryos.sendMetrics({ cpu: 0.5 }), KryosApiError);
+
+  assert.deepEqual(calls.filter(call => call[0] === 'onError').map(call => call[1]), ['user', 'entry', 'event', 'error', 'metrics']);
+});
+
+test('a throwing beforeSend rejects the call and reaches onError', async (t) => {
+  const { kryos, calls } = init(t);
+  kryos.addHook('beforeSend', () => { throw new Error('enrichment failed'); });
+
+  await assert.rejects(kryos.api.sendEvent({ eventType: 'signup' }), /enrichment failed/);
+
+  assert.deepEqual(calls.map(call => call[0]), ['beforeSend', 'onError']);
+  assert.equal(server.requests.length, 0);
+});
+
+test('entries buffered by the batcher run their hooks with their own result', async (t) => {
+  const { kryos, calls } = init(t, { batch: { enabled: true, maxSize: 2, flushInterval: 60000 } });
+  kryos.addHook('beforeSend', (payload) => ({ ...payload, data: { ...payload.data, hooked: true } }));
+
+  const [first, second] = await Promise.all([
+    kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }),
+    kryos.api.sendEvent({ eventType: 'signup' })
+  ]);
+
+  assert.equal(first.data.externalId, 'e1');
+  assert.equal(second.data.dataType, 'event_data');
+  const [bulk] = server.find({ method: 'POST', path: '/data/entries/bulk' });
+  assert.deepEqual(bulk.body.entries.map(entry => entry.data.hooked), [true, true]);
+  assert.deepEqual(calls.map(call => `${call[0]} ${call[1]}`).sort(), [
+    'afterResponse entry', 'afterResponse event', 'beforeSend entry', 'beforeSend event'
+  ]);
+});
+
+test('batchSendEntries runs the hooks for each entry', async (t) => {
+  const { kryos, calls } = init(t, { batch: { enabled: false, maxSize: 2 } });
+  kryos.addHook('beforeSend', (payload) => (payload.externalId === 'drop' ? null : undefined));
+  kryos.addHook('beforeSend', (payload) => {
+    if (payload.externalId === 'bad') throw new Error('rejected by hook');
+  });
+
+  const results = await kryos.api.batchSendEntries([
+    { externalId: 'e1', dataType: 'custom_data' },
+    { externalId: 'drop', dataType: 'custom_data' },
+    { externalId: 'bad', dataType: 'custom_data' },
+    { externalId: 'e2', dataType: 'custom_data' },
+    { externalId: 'e3', dataType: 'custom_data' }
+  ]);
+
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+  assert.equal(results[1].value, null);
+  assert.deepEqual(server.find({ method: 'POST', path: '/data/entries/bulk' }).map(request => request.body.entries.length), [2, 1]);
+  assert.deepEqual(calls.filter(call => call[0] === 'afterResponse').map(call => call[3]), ['e1', 'e2', 'e3']);
+  assert.deepEqual(calls.filter(call => call[0] === 'onError').map(call => [call[2], call[3]]), [['batch', 'bad']]);
+});
+
+test('batchSendEntries reports a failed bulk request to onError for each entry', async (t) => {
+  const { kryos, calls } = init(t);
+  server.inject({ status: 500, path: '/data/entries/bulk' });
+
+  const results = await kryos.api.batchSendEntries([
+    { externalId: 'e1', dataType: 'custom_data' },
+    { externalId: 'e2', dataType: 'custom_data' }
+  ]);
+
+  assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+  assert.deepEqual(calls.filter(call => call[0] === 'onError').map(call => call[3]), ['e1', 'e2']);
+});
@@ -0,0 +1,106 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KryosSDK from '../index.js';
+import { startTestServer } from '../testing.js';
+
+let server;
+let kryos;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryDelay: 1,
+    circuitBreaker: { enabled: false }
+  }));
+  t.after(() => kryos.shutdown());
+});
+
+/**
+ * Helper: Idempotency keys of the POSTs received so far, in order
+ */
+function sentKeys() {
+  return server.find({ method: 'POST' }).map(request => request.headers['idempotency-key']);
+}
+
+test('retries reuse the key', async () => {
+  server.inject({ status: 503, times: 2 });
+
+  await kryos.api.sendEvent({ eventType: 'signup', userId: 'u1' });
+
+  const keys = sentKeys();
+  assert.equal(keys.length, 3);
+  assert.ok(keys[0]);
+  assert.equal(new Set(keys).size, 1);
+});
+
+test('re-sending the same event, error or metrics reuses the key', async () => {
+  const failure = new Error('database unavailable');
+  const sends = [
+    () => kryos.api.sendEvent({ eventType: 'signup', userId: 'u1' }),
+    () => kryos.api.sendError(failure),
+    () => kryos.api.sendMetrics({ cpu: 0.5 })
+  ];
+
+  for (const send of sends) {
+    server.reset();
+    await send();
+    await new Promise(resolve => setTimeout(resolve, 5)); // a later timestamp
+    await send();
+
+    const [first, second] = server.find({ method: 'POST' });
+    assert.equal(first.headers['idempotency-key'], second.headers['idempotency-key']);
+    assert.notEqual(first.body.externalId, second.body.externalId);
+  }
+});
+
+test('different content gets a different key', async () => {
+  await kryos.api.sendEvent({ eventType: 'signup', userId: 'u1' });
+  await kryos.api.sendEvent({ eventType: 'signup', userId: 'u2' });
+  await kryos.api.sendError(new Error('first'));
+  await kryos.api.sendError(new Error('second'));
+  await kryos.api.sendEvent({ eventType: 'signup', userId: 'u1' }, { idempotencyKey: 'caller-key' });
+
+  const keys = sentKeys();
+  assert.equal(new Set(keys).size, 5);
+  assert.equal(keys[4], 'caller-key');
+});
+
+test('deterministic ids keep the same externalId and key', async () => {
+  const event = { eventType: 'payment_captured', paymentId: 'p1' };
+
+  await kryos.api.sendEvent(event, { deterministicId: true });
+  await kryos.api.sendEvent(event, { deterministicId: true });
+
+  const [first, second] = server.find({ method: 'POST' });
+  assert.equal(first.body.externalId, second.body.externalId);
+  assert.equal(first.headers['idempotency-key'], second.headers['idempotency-key']);
+});
+
+test('entries are keyed by their payload', async () => {
+  const entry = { externalId: 'e1', dataType: 'custom_data', data: { amount: 5 } };
+
+  await kryos.sendEntryData(entry);
+  await kryos.sendEntryData(entry);
+  await kryos.sendEntryData({ ...entry, data: { amount: 6 } });
+  await kryos.sendEntryData(entry, [], { idempotencyKey: 'order-1' });
+
+  const keys = sentKeys();
+  assert.equal(keys[0], keys[1]);
+  assert.notEqual(keys[0], keys[2]);
+  assert.equal(keys[3], 'order-1');
+  assert.equal(server.find({ method: 'POST' })[1].status, 201);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import KryosSDK from '../index.js';
+
+/**
+ * Helper: An SDK instance with its own service name, shut down after the test
+ */
+function init(t, serviceName, overrides = {}) {
+  const kryos = KryosSDK.init({
+    keyId: `${serviceName}_key`,
+    keySecret: `${serviceName}_secret`,
+    baseUrl: `http://${serviceName}.invalid/api`,
+    configFile: false,
+    enableLogging: false,
+    enableDefaultMetrics: false,
+    serviceName,
+    ...overrides
+  });
+  t.after(() => kryos.shutdown());
+  return kryos;
+}
+
+/**
+ * Helper: Number of active timers in the process
+ */
+function activeTimers() {
+  return process.getActiveResourcesInfo().filter(resource => resource === 'Timeout').length;
+}
+
+test('instances keep separate metrics registries', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const alpha = init(t, 'alpha');
+  const beta = init(t, 'beta');
+
+  assert.notEqual(alpha.monitoring.register, beta.monitoring.register);
+
+  // The same metric name can exist in both registries
+  alpha.monitoring.createCounter('orders_total', 'Orders').inc(3);
+  beta.monitoring.createCounter('orders_total', 'Orders').inc();
+
+  const alphaMetrics = await alpha.monitoring.getMetrics();
+  const betaMetrics = await beta.monitoring.getMetrics();
+  assert.match(alphaMetrics, /kryos_orders_total\{service="alpha".*\} 3/);
+  assert.match(betaMetrics, /kryos_orders_total\{service="beta".*\} 1/);
+  assert.doesNotMatch(betaMetrics, /service="alpha"/);
+});
+
+test('instances keep separate configs', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const alpha = init(t, 'alpha');
+  const beta = init(t, 'beta', { timeout: 5000, customTags: { team: 'beta' } });
+
+  await alpha.updateConfig({ timeout: 1234, customTags: { team: 'alpha' } });
+
+  assert.equal(alpha.config.timeout, 1234);
+  assert.equal(beta.config.timeout, 5000);
+  assert.deepEqual(beta.config.customTags, { team: 'beta' });
+  assert.equal(alpha.getConfig().baseUrl, 'http://alpha.invalid/api');
+  assert.equal(beta.getConfig().baseUrl, 'http://beta.invalid/api');
+  assert.equal(alpha.api.httpClient.defaults.timeout, 1234);
+  assert.equal(beta.api.httpClient.defaults.timeout, 5000);
+  assert.notEqual(alpha.config, beta.config);
+});
+
+test('middleware records into its own instance', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const alpha = init(t, 'alpha');
+  const beta = init(t, 'beta');
+  assert.notEqual(alpha.middleware, beta.middleware);
+
+  const logger = alpha.getRequestLogger();
+  const res = { statusCode: 200, end() {} };
+  logger({ method: 'GET', url: '/orders/42', ip: '127.0.0.1' }, res, () => {});
+  res.end();
+
+  assert.match(await alpha.monitoring.getMetrics(), /kryos_http_requests_total\{method="GET",route="\/orders\/:id",status_code="200"/);
+  assert.doesNotMatch(await beta.monitoring.getMetrics(), /route="\/orders\/:id"/);
+});
+
+test('destroy releases timers and the metrics registry', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const before = activeTimers();
+  const kryos = init(t, 'alpha', {
+    enableDefaultMetrics: true,
+    batch: { enabled: true, maxSize: 10, flushInterval: 60000 }
+  });
+  const other = init(t, 'beta');
+  assert.ok(activeTimers() > before);
+
+  await kryos.destroy();
+
+  assert.equal(activeTimers(), before);
+  assert.equal(kryos.monitoring.defaultMetricsInterval, null);
+  assert.deepEqual(await kryos.monitoring.register.getMetricsAsJSON(), []);
+  assert.match(await other.monitoring.getMetrics(), /kryos_http_requests_total/);
+});
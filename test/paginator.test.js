@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Paginator from '../paginator.js';
+import KryosSDK from '../index.js';
+import { startTestServer } from '../testing.js';
+
+/**
+ * Helper: fetchPage over `total` numbered items using page numbers, recording each call
+ */
+function pagedSource(total, { withPages = true } = {}) {
+  const items = Array.from({ length: total }, (_, index) => index + 1);
+  const calls = [];
+  const fetchPage = async ({ page, limit }) => {
+    calls.push(page);
+    const pages = Math.max(1, Math.ceil(total / limit));
+    const pagination = withPages ? { page, pages, hasNext: page < pages } : {};
+    return { success: true, items: items.slice((page - 1) * limit, page * limit), pagination };
+  };
+  return { fetchPage, calls };
+}
+
+/**
+ * Helper: fetchPage over numbered items using offset cursors ('c2' = after item 2), recording each call
+ */
+function cursorSource(total, limit) {
+  const calls = [];
+  const fetchPage = async ({ page, cursor }) => {
+    calls.push(cursor || `page ${page}`);
+    const start = cursor ? Number(cursor.slice(1)) : 0;
+    const items = Array.from({ length: Math.min(limit, total - start) }, (_, index) => start + index + 1);
+    const next = start + limit < total ? `c${start + limit}` : null;
+    return { items, pagination: { nextCursor: next } };
+  };
+  return { fetchPage, calls };
+}
+
+test('iterates every page and stops at the last one', async () => {
+  const { fetchPage, calls } = pagedSource(7);
+  const paginator = new Paginator(fetchPage, { itemsKey: 'items', limit: 3 });
+
+  const items = [];
+  for await (const item of paginator) {
+    items.push(item);
+  }
+
+  assert.deepEqual(items, [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(calls, [1, 2, 3]);
+});
+
+test('stops on a short page when the response has no page count', async () => {
+  const { fetchPage, calls } = pagedSource(6, { withPages: false });
+
+  const items = await new Paginator(fetchPage, { itemsKey: 'items', limit: 4 }).toArray();
+
+  assert.deepEqual(items, [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(calls, [1, 2]);
+});
+
+test('follows cursors once the first page returns one', async () => {
+  const { fetchPage, calls } = cursorSource(5, 2);
+
+  const items = await new Paginator(fetchPage, { itemsKey: 'items', limit: 2 }).toArray();
+
+  assert.deepEqual(items, [1, 2, 3, 4, 5]);
+  assert.deepEqual(calls, ['page 1', 'c2', 'c4']);
+});
+
+test('starts from a given cursor', async () => {
+  const { fetchPage, calls } = cursorSource(5, 2);
+
+  const items = await new Paginator(fetchPage, { itemsKey: 'items', limit: 2, cursor: 'c2' }).toArray();
+
+  assert.deepEqual(items, [3, 4, 5]);
+  assert.deepEqual(calls, ['c2', 'c4']);
+});
+
+test('toArray stops fetching once max items are collected', async () => {
+  const { fetchPage, calls } = pagedSource(100);
+  const paginator = new Paginator(fetchPage, { itemsKey: 'items', limit: 10 });
+
+  assert.deepEqual(await paginator.toArray({ max: 15 }), Array.from({ length: 15 }, (_, index) => index + 1));
+  assert.deepEqual(calls, [1, 2]);
+  assert.deepEqual(await paginator.toArray({ max: 0 }), []);
+});
+
+test('prefetches up to concurrency pages without passing the last page', async () => {
+  const { fetchPage, calls } = pagedSource(9);
+
+  const items = await new Paginator(fetchPage, { itemsKey: 'items', limit: 2, concurrency: 3 }).toArray();
+
+  assert.equal(items.length, 9);
+  assert.deepEqual(calls.sort(), [1, 2, 3, 4, 5]);
+});
+
+test('an aborted signal ends iteration quietly', async () => {
+  const controller = new AbortController();
+  const { fetchPage } = pagedSource(50);
+  const items = [];
+
+  for await (const item of new Paginator(fetchPage, { itemsKey: 'items', limit: 5, signal: controller.signal })) {
+    items.push(item);
+    if (item === 7) controller.abort();
+  }
+
+  assert.deepEqual(items, [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('page errors reject the iteration', async () => {
+  const paginator = new Paginator(async () => { throw new Error('backend down'); });
+
+  await assert.rejects(paginator.toArray(), /backend down/);
+});
+
+test('iterateUsers walks the API page by page', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const server = await startTestServer();
+  const kryos = KryosSDK.init(server.sdkOptions({ configFile: false, enableLogging: false }));
+
+  try {
+    for (let n = 1; n <= 5; n++) {
+      await kryos.sendUserData({ externalId: `u${n}`, name: `User ${n}`, email: `u${n}@example.com` });
+    }
+
+    const users = await kryos.api.iterateUsers({ limit: 2 }).toArray();
+
+    assert.deepEqual(users.map(user => user.externalId), ['u1', 'u2', 'u3', 'u4', 'u5']);
+    assert.deepEqual(server.find({ method: 'GET', path: '/data/users' }).map(request => request.query.page), ['1', '2', '3']);
+  } finally {
+    await kryos.shutdown();
+    await server.stop();
+  }
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EntryQuery from '../query.js';
+import KryosSDK, { KryosValidationError } from '../index.js';
+import { startTestServer } from '../testing.js';
+
+/**
+ * Helper: Params of a query built by fn
+ */
+function params(fn) {
+  return fn(new EntryQuery(null)).toParams();
+}
+
+test('equality filters serialize as plain params', () => {
+  assert.deepEqual(params(query => query.where('dataType', 'event_data').where('data.plan', '=', 'pro')), {
+    dataType: 'event_data',
+    'data.plan': 'pro'
+  });
+  assert.deepEqual(params(query => query.where({ dataType: 'custom_data', 'data.region': 'eu' })), {
+    dataType: 'custom_data',
+    'data.region': 'eu'
+  });
+});
+
+test('operators serialize as field[op]', () => {
+  const serialized = params(query => query
+    .where('data.amount', '>=', 100)
+    .where('data.amount', '<', 500)
+    .where('data.status', '!=', 'void')
+    .where('data.country', 'in', ['DE', 'FR'])
+    .where('data.sku', 'startsWith', 'AB-'));
+
+  assert.deepEqual(serialized, {
+    'data.amount[gte]': 100,
+    'data.amount[lt]': 500,
+    'data.status[ne]': 'void',
+    'data.country[in]': 'DE,FR',
+    'data.sku[prefix]': 'AB-'
+  });
+});
+
+test('an externalId prefix has its own param', () => {
+  assert.deepEqual(params(query => query.externalIdPrefix('order_')), { externalIdPrefix: 'order_' });
+});
+
+test('tags serialize with their match mode', () => {
+  assert.deepEqual(params(query => query.tags('web')), { tags: 'web', tagMatch: 'any' });
+  assert.deepEqual(params(query => query.tags(['purchase', 'web'], { match: 'all' })), { tags: 'purchase,web', tagMatch: 'all' });
+});
+
+test('date ranges and date values serialize as ISO strings', () => {
+  const from = new Date('2024-01-01T00:00:00Z');
+
+  assert.deepEqual(params(query => query.between(from, '2024-02-01')), {
+    createdFrom: '2024-01-01T00:00:00.000Z',
+    createdTo: '2024-02-01T00:00:00.000Z'
+  });
+  assert.deepEqual(params(query => query.between(null, from.getTime())), { createdTo: '2024-01-01T00:00:00.000Z' });
+  assert.deepEqual(params(query => query.between(from)), { createdFrom: '2024-01-01T00:00:00.000Z' });
+  assert.deepEqual(params(query => query.where('data.paidAt', '>', from)), { 'data.paidAt[gt]': '2024-01-01T00:00:00.000Z' });
+});
+
+test('sorting and field selection serialize as lists', () => {
+  const serialized = params(query => query.sort('createdAt', 'desc').sort('externalId').select('externalId', ['data.amount']));
+
+  assert.deepEqual(serialized, { sort: '-createdAt,externalId', fields: 'externalId,data.amount' });
+});
+
+test('invalid queries throw KryosValidationError', () => {
+  const invalid = [
+    query => query.where('data.amount', 'between', 1),
+    query => query.where('userId', 'u1'),
+    query => query.sort('createdAt', 'down'),
+    query => query.tags('web', { match: 'some' }),
+    query => query.between('not a date')
+  ];
+
+  for (const build of invalid) {
+    assert.throws(() => build(new EntryQuery(null)), KryosValidationError);
+  }
+});
+
+test('queries run against the entries endpoint', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const server = await startTestServer();
+  const kryos = KryosSDK.init(server.sdkOptions({ configFile: false, enableLogging: false }));
+
+  try {
+    for (const [externalId, amount] of [['o1', 50], ['o2', 150], ['o3', 300]]) {
+      await kryos.sendEntryData({ externalId, dataType: 'event_data', data: { amount }, tags: ['purchase'] });
+    }
+
+    const result = await kryos.api.entries()
+      .where('data.amount', '>=', 100)
+      .tags('purchase')
+      .sort('data.amount', 'desc')
+      .limit(5)
+      .get();
+
+    assert.deepEqual(result.entries.map(entry => entry.externalId), ['o3', 'o2']);
+    const [request] = server.find({ method: 'GET', path: '/data/entries' });
+    assert.deepEqual(request.query, {
+      page: '1',
+      limit: '5',
+      'data.amount[gte]': '100',
+      tags: 'purchase',
+      tagMatch: 'any',
+      sort: '-data.amount'
+    });
+  } finally {
+    await kryos.shutdown();
+    await server.stop();
+  }
+});
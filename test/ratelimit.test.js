@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimiter from '../ratelimit.js';
+import KryosSDK, { KryosRateLimitError, KryosValidationError } from '../index.js';
+import { startTestServer } from '../testing.js';
+
+/**
+ * Helper: Replace Date.now with a clock the test advances by hand
+ */
+function fakeClock(t, start = 1_000_000) {
+  const clock = { now: start };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+test('a budget hands out its burst, then refills at its rate', async (t) => {
+  const clock = fakeClock(t);
+  const limiter = new RateLimiter({ policy: 'drop', budgets: { events: { rate: 10, burst: 2 } } });
+
+  await limiter.acquire('events');
+  await limiter.acquire('events');
+  await assert.rejects(limiter.acquire('events'), KryosRateLimitError);
+
+  clock.now += 100;
+  await limiter.acquire('events');
+  await assert.rejects(limiter.acquire('events'), KryosRateLimitError);
+});
+
+test('calls against a budget without a bucket are not limited', async () => {
+  const limiter = new RateLimiter({ policy: 'drop', budgets: { events: { rate: 1, burst: 1 } } });
+
+  for (let n = 0; n < 10; n++) {
+    await limiter.acquire('metrics');
+  }
+  assert.deepEqual(Object.keys(limiter.getStats().budgets), ['events']);
+});
+
+test('the drop policy fails fast with the budget and a retry hint', async (t) => {
+  fakeClock(t);
+  const limiter = new RateLimiter({ policy: 'drop', budgets: { errors: { rate: 4, burst: 1 } } });
+  const dropped = [];
+  limiter.on('dropped', event => dropped.push(event));
+
+  await limiter.acquire('errors');
+  const error = await limiter.acquire('errors').then(() => assert.fail('expected a drop'), error => error);
+
+  assert.ok(error instanceof KryosRateLimitError);
+  assert.equal(error.budget, 'errors');
+  assert.equal(error.retryAfterMs, 250);
+  assert.deepEqual(dropped, [{ budget: 'errors' }]);
+  assert.equal(limiter.getStats().dropped, 1);
+});
+
+test('the queue policy waits for tokens in call order', async () => {
+  const limiter = new RateLimiter({ policy: 'queue', budgets: { events: { rate: 100, burst: 1 } } });
+  const order = [];
+  const started = Date.now();
+
+  await Promise.all([1, 2, 3].map(n => limiter.acquire('events').then(() => order.push(n))));
+
+  assert.deepEqual(order, [1, 2, 3]);
+  assert.ok(Date.now() - started >= 15);
+});
+
+test('a full queue rejects instead of waiting', async () => {
+  const limiter = new RateLimiter({ policy: 'queue', maxQueueSize: 1, budgets: { events: { rate: 1, burst: 1 } } });
+
+  await limiter.acquire('events');
+  const queued = limiter.acquire('events');
+  await assert.rejects(limiter.acquire('events'), /queue is full/);
+
+  limiter.stop();
+  await assert.rejects(queued, /stopped/);
+});
+
+test('release lets queued calls through', async () => {
+  const limiter = new RateLimiter({ policy: 'queue', budgets: { events: { rate: 0.01, burst: 1 } } });
+
+  await limiter.acquire('events');
+  const queued = limiter.acquire('events');
+  limiter.release();
+
+  await queued;
+});
+
+test('a 429 pauses every budget and halves the rates down to the minimum', (t) => {
+  const clock = fakeClock(t);
+  const limiter = new RateLimiter({ minRateFactor: 0.2, budgets: { events: { rate: 10 } } });
+  const changes = [];
+  limiter.on('rateChange', ({ factor }) => changes.push(factor));
+
+  limiter.observe(429, { 'retry-after': '2' });
+
+  assert.equal(limiter.isPaused(), true);
+  assert.equal(limiter.getStats().pausedUntil, new Date(clock.now + 2000).toISOString());
+  assert.equal(limiter.getStats().budgets.events.rate, 5);
+
+  limiter.observe(429, {});
+  limiter.observe(429, {});
+  assert.deepEqual(changes, [0.5, 0.25, 0.2]);
+
+  clock.now += 2000;
+  assert.equal(limiter.isPaused(), false);
+});
+
+test('rates recover gradually without further throttling', (t) => {
+  const clock = fakeClock(t);
+  const limiter = new RateLimiter({ recoveryMs: 1000, budgets: { events: { rate: 10 } } });
+
+  limiter.observe(429, {});
+  assert.equal(limiter.getRateFactor(), 0.5);
+
+  clock.now += 2500;
+  assert.equal(limiter.getRateFactor(), 0.7);
+
+  clock.now += 10000;
+  assert.equal(limiter.getRateFactor(), 1);
+});
+
+test('X-RateLimit-Remaining: 0 pauses until the reset', (t) => {
+  const clock = fakeClock(t);
+  const limiter = new RateLimiter({ budgets: {} });
+
+  limiter.observe(200, { 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': '3' });
+  assert.equal(limiter.isPaused(), false);
+
+  limiter.observe(200, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '3' });
+  assert.equal(limiter.getStats().pausedUntil, new Date(clock.now + 3000).toISOString());
+  assert.equal(limiter.getRateFactor(), 1);
+});
+
+test('configure keeps earned tokens and drops removed budgets', async (t) => {
+  fakeClock(t);
+  const limiter = new RateLimiter({ policy: 'drop', budgets: { events: { rate: 1, burst: 5 }, errors: { rate: 1 } } });
+  await limiter.acquire('events');
+
+  limiter.configure({ policy: 'drop', budgets: { events: { rate: 1, burst: 3 } } });
+
+  assert.equal(limiter.getStats().budgets.events.tokens, 3);
+  assert.equal(limiter.getStats().budgets.errors, undefined);
+});
+
+test('budgets that could never refill are rejected', () => {
+  for (const limits of [{ rate: 0 }, { rate: NaN }, { rate: -1 }, { rate: Infinity }, { rate: 1, burst: 0.5 }, {}]) {
+    assert.throws(() => new RateLimiter({ budgets: { replay: limits } }), KryosValidationError);
+  }
+
+  const limiter = new RateLimiter({ budgets: { events: { rate: 1 } } });
+  assert.throws(() => limiter.configure({ budgets: { events: { rate: 0 } } }), KryosValidationError);
+  assert.equal(limiter.getStats().budgets.events.rate, 1);
+});
+
+test('the SDK applies budgets and slows down after a 429', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const server = await startTestServer();
+  const kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryDelay: 1,
+    circuitBreaker: { enabled: false },
+    rateLimit: { enabled: true, policy: 'drop', budgets: { events: { rate: 0.5, burst: 2 } } }
+  }));
+  t.after(async () => {
+    await kryos.shutdown();
+    await server.stop();
+  });
+
+  await kryos.api.sendEvent({ eventType: 'a' });
+  await kryos.api.sendEvent({ eventType: 'b' });
+  await assert.rejects(kryos.api.sendEvent({ eventType: 'c' }), KryosRateLimitError);
+  assert.equal(server.find({ method: 'POST' }).length, 2);
+
+  server.inject({ status: 429, retryAfter: 0 });
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+
+  assert.equal(kryos.api.getRateLimitStats().rateFactor, 0.5);
+  assert.deepEqual(server.find({ method: 'POST', path: '/data/entries' }).map(request => request.status), [201, 201, 429, 201]);
+});
@@ -0,0 +1,128 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import KryosSDK from '../index.js';
+import { startTestServer } from '../testing.js';
+
+let server;
+let directory;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-recorder-'));
+  t.mock.method(console, 'log', () => {});
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+/**
+ * Helper: Send one event with the given options and return the recording
+ */
+async function recordEvent(overrides) {
+  const file = path.join(directory, 'requests.ndjson');
+  const kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    recording: { file },
+    ...overrides
+  }));
+
+  await kryos.api.sendEvent({ eventType: 'signup' });
+  await kryos.shutdown();
+
+  const raw = fs.readFileSync(file, 'utf8');
+  return { lines: raw.trim().split('\n').map(line => JSON.parse(line)), raw };
+}
+
+test('bearer credentials keep only the key id', async () => {
+  const { lines, raw } = await recordEvent({ mode: 'record' });
+  const [keyId, keySecret] = Object.entries(server.keys)[0];
+
+  assert.equal(lines[0].headers.Authorization, `Bearer ${keyId}.****`);
+  assert.equal(lines[0].status, 201);
+  assert.ok(!raw.includes(keySecret));
+});
+
+test('signed requests mask the signature and credentials', async () => {
+  const { lines, raw } = await recordEvent({ mode: 'record', authMode: 'hmac' });
+  const [, keySecret] = Object.entries(server.keys)[0];
+  const headers = Object.fromEntries(Object.entries(lines[0].headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  assert.equal(headers['x-kryos-signature'], '****');
+  assert.ok(!raw.includes(keySecret));
+});
+
+test('dry-run records without sending', async () => {
+  const { lines } = await recordEvent({ mode: 'dry-run' });
+
+  assert.equal(lines[0].mode, 'dry-run');
+  assert.equal(lines[0].method, 'POST');
+  assert.equal(server.requests.length, 0);
+});
+
+test('sensitive body fields are redacted, the rest is kept', async () => {
+  const file = path.join(directory, 'requests.ndjson');
+  const kryos = KryosSDK.init(server.sdkOptions({ configFile: false, enableLogging: false, mode: 'record', recording: { file } }));
+
+  await kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com', password: 'hunter2', profile: { apiKey: 'sk_live_123' } });
+  await kryos.shutdown();
+
+  const [line] = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+  assert.equal(line.body.externalId, 'u1');
+  assert.equal(line.body.email, 'ada@example.com');
+  assert.equal(line.body.password, '[REDACTED]');
+  assert.equal(line.body.profile.apiKey, '[REDACTED]');
+  assert.equal(server.getState().users[0].password, 'hunter2');
+});
+
+test('compressed bodies are decoded before they are masked', async () => {
+  const { lines } = await recordEvent({
+    mode: 'record',
+    compression: { enabled: true, threshold: 10 },
+    hooks: { beforeSend: payload => ({ ...payload, data: { ...payload.data, token: 'abc123' } }) }
+  });
+
+  assert.equal(lines[0].headers['Content-Encoding'], 'gzip');
+  assert.equal(lines[0].body.dataType, 'event_data');
+  assert.equal(lines[0].body.data.token, '[REDACTED]');
+});
+
+test('multipart uploads record masked fields and a file manifest', async () => {
+  const file = path.join(directory, 'requests.ndjson');
+  const kryos = KryosSDK.init(server.sdkOptions({ configFile: false, enableLogging: false, mode: 'dry-run', recording: { file } }));
+
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data', data: { secret: 'x' } }, [{ buffer: Buffer.from('hello'), filename: 'a.txt' }]);
+  await kryos.shutdown();
+
+  const [line] = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+  assert.equal(line.body.externalId, 'e1');
+  assert.equal(line.body.data.secret, '[REDACTED]');
+  assert.deepEqual(line.files.map(entry => [entry.filename, entry.size]), [['a.txt', 5]]);
+});
+
+test('the file rotates at maxFileSize', async () => {
+  const file = path.join(directory, 'requests.ndjson');
+  const kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    mode: 'dry-run',
+    recording: { file, maxFileSize: 200, maxFiles: 2 }
+  }));
+
+  for (let n = 0; n < 4; n++) {
+    await kryos.api.sendEvent({ eventType: `event_${n}` });
+  }
+  await kryos.shutdown();
+
+  assert.deepEqual(fs.readdirSync(directory).sort(), ['requests.1.ndjson', 'requests.2.ndjson', 'requests.ndjson']);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).body.data.eventType, 'event_3');
+});
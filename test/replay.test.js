@@ -0,0 +1,139 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import KryosSDK, { KryosValidationError } from '../index.js';
+import { startTestServer } from '../testing.js';
+
+let server;
+let kryos;
+let directory;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-replay-'));
+  t.mock.method(console, 'log', () => {});
+  kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 1,
+    circuitBreaker: { enabled: false }
+  }));
+  t.after(async () => {
+    await kryos.shutdown();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
+
+/**
+ * Helper: Write NDJSON lines (objects are serialized, strings written as-is) and return the path
+ */
+function writeLines(lines) {
+  const file = path.join(directory, 'input.ndjson');
+  fs.writeFileSync(file, lines.map(line => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n') + '\n');
+  return file;
+}
+
+/**
+ * Helper: externalIds of the records the server received, in order
+ */
+function sentIds() {
+  return server.find({ method: 'POST' }).map(request => request.body.externalId);
+}
+
+test('recordings, spool records and plain payloads are replayed', async () => {
+  const file = writeLines([
+    { mode: 'record', method: 'POST', endpoint: '/data/entries', headers: { 'Idempotency-Key': 'k1' }, body: { externalId: 'e1', dataType: 'custom_data' }, files: [] },
+    { method: 'post', endpoint: '/data/entries', payload: { externalId: 'e2', dataType: 'custom_data' }, headers: {} },
+    { externalId: 'u1', name: 'Ada', email: 'ada@example.com' },
+    { mode: 'record', method: 'GET', endpoint: '/data/entries/e1', body: null },
+    'not json'
+  ]);
+
+  const summary = await kryos.api.replay(file);
+
+  assert.deepEqual(sentIds(), ['e1', 'e2', 'u1']);
+  assert.equal(server.requests[0].headers['idempotency-key'], 'k1');
+  assert.deepEqual([summary.succeeded, summary.skipped, summary.failed, summary.lastLine], [3, 1, 1, 5]);
+  assert.equal(fs.readFileSync(summary.failuresFile, 'utf8'), 'not json\n');
+});
+
+test('lastLine stops below the first line that was never replayed', async () => {
+  const file = writeLines([
+    { externalId: 'u1', name: 'Ada', email: 'ada@example.com' },
+    { externalId: 'e2', dataType: 'custom_data' },
+    { externalId: 'e3', dataType: 'custom_data' },
+    { externalId: 'e4', dataType: 'custom_data' }
+  ]);
+  server.inject({ latency: 200, path: '/data/users' });
+  const controller = new AbortController();
+
+  const summary = await kryos.api.replay(file, {
+    concurrency: 2,
+    signal: controller.signal,
+    onResult: result => result.line === 2 && controller.abort()
+  });
+
+  assert.deepEqual(sentIds(), ['u1', 'e2']);
+  assert.equal(summary.lastLine, 2);
+
+  const resumed = await kryos.api.replay(file, { fromLine: summary.lastLine + 1 });
+  assert.deepEqual(sentIds().slice(2), ['e3', 'e4']);
+  assert.equal(resumed.lastLine, 4);
+});
+
+test('fromLine skips earlier lines and blank lines count as done', async () => {
+  const file = writeLines([
+    { externalId: 'e1', dataType: 'custom_data' },
+    '',
+    { externalId: 'e3', dataType: 'custom_data' },
+    '   '
+  ]);
+
+  const summary = await kryos.api.replay(file, { fromLine: 2 });
+
+  assert.deepEqual(sentIds(), ['e3']);
+  assert.deepEqual([summary.total, summary.lastLine], [1, 4]);
+});
+
+test('rateLimit paces the requests', async () => {
+  const file = writeLines([1, 2, 3].map(n => ({ externalId: `e${n}`, dataType: 'custom_data' })));
+  const started = Date.now();
+
+  await kryos.api.replay(file, { rateLimit: 20 });
+
+  assert.equal(sentIds().length, 3);
+  assert.ok(Date.now() - started >= 90);
+});
+
+test('invalid rate, concurrency and fromLine reject before anything is sent', async () => {
+  const file = writeLines([{ externalId: 'e1', dataType: 'custom_data' }]);
+  const failuresFile = path.join(directory, 'failures.ndjson');
+  fs.writeFileSync(failuresFile, 'kept\n');
+
+  for (const options of [
+    { rateLimit: 0 },
+    { rateLimit: NaN },
+    { rateLimit: -5 },
+    { rateLimit: { rate: 0 } },
+    { rateLimit: 'fast' },
+    { concurrency: 0 },
+    { concurrency: 1.5 },
+    { fromLine: 0 },
+    { fromLine: NaN }
+  ]) {
+    await assert.rejects(kryos.api.replay(file, { ...options, failuresFile }), KryosValidationError, JSON.stringify(options));
+  }
+
+  assert.equal(server.requests.length, 0);
+  assert.equal(fs.readFileSync(failuresFile, 'utf8'), 'kept\n');
+});
@@ -0,0 +1,181 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import KryosSDK, { KryosApiError, KryosNetworkError } from '../index.js';
+import utils from '../utils.js';
+import { startTestServer } from '../testing.js';
+
+let server;
+let delays;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  delays = [];
+  t.mock.method(utils, 'sleep', async (ms) => { delays.push(ms); });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Helper: A function failing the first `failures` calls, then returning 'ok'
+ */
+function flaky(failures, error = new Error('temporary')) {
+  let calls = 0;
+  const fn = async () => {
+    calls += 1;
+    if (calls <= failures) throw error;
+    return 'ok';
+  };
+  fn.calls = () => calls;
+  return fn;
+}
+
+/**
+ * Helper: SDK against the test server, without jitter so delays are predictable
+ */
+function createSdk(overrides = {}) {
+  return KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 4,
+    retryDelay: 100,
+    circuitBreaker: { enabled: false },
+    ...overrides,
+    retry: { jitter: false, ...overrides.retry }
+  }));
+}
+
+test('backoff grows by backoffFactor and is capped at maxDelay', async () => {
+  const fn = flaky(4);
+
+  const result = await utils.retry(fn, { maxAttempts: 5, initialDelay: 100, backoffFactor: 3, maxDelay: 1000, onRetry: () => {} });
+
+  assert.equal(result, 'ok');
+  assert.deepEqual(delays, [100, 300, 900, 1000]);
+});
+
+test('full jitter keeps each delay between 0 and the backoff', async (t) => {
+  t.mock.method(Math, 'random', () => 0.5);
+
+  await utils.retry(flaky(3), { maxAttempts: 4, initialDelay: 100, jitter: true, onRetry: () => {} });
+
+  assert.deepEqual(delays, [50, 100, 200]);
+});
+
+test('the last error is thrown once attempts run out', async () => {
+  const fn = flaky(Infinity);
+
+  await assert.rejects(utils.retry(fn, { maxAttempts: 3, initialDelay: 1, onRetry: () => {} }), /temporary/);
+  assert.equal(fn.calls(), 3);
+});
+
+test('shouldRetry stops retrying immediately', async () => {
+  const fn = flaky(Infinity);
+
+  await assert.rejects(utils.retry(fn, { maxAttempts: 5, shouldRetry: () => false }));
+  assert.equal(fn.calls(), 1);
+  assert.deepEqual(delays, []);
+});
+
+test('maxElapsedMs stops before a retry that would exceed the budget', async (t) => {
+  // Sleeping advances the clock, so time spent waiting counts against the budget
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(utils, 'sleep', async (ms) => {
+    delays.push(ms);
+    now += ms;
+  });
+  const fn = flaky(Infinity);
+
+  await assert.rejects(utils.retry(fn, { maxAttempts: 10, initialDelay: 100, maxElapsedMs: 500, onRetry: () => {} }));
+  assert.deepEqual(delays, [100, 200]);
+  assert.equal(fn.calls(), 3);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(utils.parseRetryAfter('2'), 2000);
+  assert.equal(utils.parseRetryAfter(''), null);
+  assert.equal(utils.parseRetryAfter('soon'), null);
+
+  const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+  const ms = utils.parseRetryAfter(inFiveSeconds);
+  assert.ok(ms > 3000 && ms <= 5000);
+});
+
+test('5xx responses and dropped connections are retried', async () => {
+  const kryos = createSdk();
+  server.inject({ status: 503, path: '/data/entries' });
+  server.inject({ disconnect: true, path: '/data/entries' });
+
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+
+  assert.equal(server.find({ method: 'POST', path: '/data/entries' }).length, 3);
+  assert.deepEqual(delays, [100, 200]);
+  await kryos.shutdown();
+});
+
+test('4xx responses other than 408 and 429 are not retried', async () => {
+  const kryos = createSdk();
+
+  for (const status of [400, 401, 404, 409]) {
+    server.reset();
+    server.inject({ status, path: '/data/entries' });
+    await assert.rejects(kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }), KryosApiError);
+    assert.equal(server.find({ method: 'POST' }).length, 1, `status ${status}`);
+  }
+
+  for (const status of [408, 429]) {
+    server.reset();
+    server.inject({ status, path: '/data/entries' });
+    await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+    assert.equal(server.find({ method: 'POST' }).length, 2, `status ${status}`);
+  }
+  await kryos.shutdown();
+});
+
+test('Retry-After replaces the computed delay', async () => {
+  const kryos = createSdk();
+  server.inject({ status: 429, retryAfter: 3, path: '/data/entries' });
+
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+
+  assert.deepEqual(delays, [3000]);
+  await kryos.shutdown();
+});
+
+test('onRetry is called before each retry and the error reports its attempts', async () => {
+  const calls = [];
+  const kryos = createSdk({
+    retryAttempts: 3,
+    retry: { onRetry: (error, info) => calls.push({ status: error.status, ...info }) }
+  });
+  server.inject({ status: 503, times: Infinity, path: '/data/entries' });
+
+  const error = await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }).catch(error => error);
+
+  assert.ok(error instanceof KryosApiError);
+  assert.equal(error.attempts, 3);
+  assert.deepEqual(calls, [
+    { status: 503, attempt: 1, maxAttempts: 3, delay: 100 },
+    { status: 503, attempt: 2, maxAttempts: 3, delay: 200 }
+  ]);
+  await kryos.shutdown();
+});
+
+test('the retry budget applies to API requests', async () => {
+  const kryos = createSdk({ retryAttempts: 10, retry: { maxElapsedMs: 350 } });
+  server.inject({ disconnect: true, times: Infinity, path: '/data/entries' });
+
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }), KryosNetworkError);
+
+  assert.deepEqual(delays, [100, 200]);
+  await kryos.shutdown();
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import KryosSDK from '../index.js';
+import { signRequest, verifySignature, hashBody, UNSIGNED_PAYLOAD } from '../signing.js';
+import { startTestServer } from '../testing.js';
+
+const keyId = 'key_id';
+const keySecret = 'key_secret';
+const body = JSON.stringify({ externalId: 'e1', dataType: 'custom_data' });
+
+/**
+ * Helper: A signed request as a server would see it (lower-case header names)
+ */
+function signedRequest(overrides = {}, signOptions = {}) {
+  const request = { method: 'POST', path: '/api/data/entries', body, ...overrides };
+  const headers = signRequest({ method: 'POST', path: '/api/data/entries', body, keyId, keySecret, ...signOptions });
+  return {
+    ...request,
+    headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  };
+}
+
+test('a signed request verifies with the same secret', async () => {
+  assert.deepEqual(await verifySignature(signedRequest(), { keySecret }), { valid: true, keyId });
+  assert.deepEqual(
+    await verifySignature(signedRequest(), { getKeySecret: async id => (id === keyId ? keySecret : null) }),
+    { valid: true, keyId }
+  );
+});
+
+test('signatures cover the body, path and method', async () => {
+  const cases = [
+    [{ body: body.replace('e1', 'e2') }, 'body hash mismatch'],
+    [{ path: '/api/data/users' }, 'signature mismatch'],
+    [{ method: 'PUT' }, 'signature mismatch']
+  ];
+
+  for (const [tampered, reason] of cases) {
+    assert.deepEqual(await verifySignature(signedRequest(tampered), { keySecret }), { valid: false, keyId, reason });
+  }
+});
+
+test('a tampered content hash does not verify', async () => {
+  const request = signedRequest({ body: 'forged' });
+  request.headers['x-kryos-content-sha256'] = hashBody('forged');
+
+  assert.equal((await verifySignature(request, { keySecret })).reason, 'signature mismatch');
+});
+
+test('the wrong secret or an unknown key does not verify', async () => {
+  assert.equal((await verifySignature(signedRequest(), { keySecret: 'other' })).reason, 'signature mismatch');
+  assert.equal((await verifySignature(signedRequest(), { getKeySecret: async () => null })).reason, 'unknown key');
+});
+
+test('timestamps outside the clock-skew tolerance are rejected', async () => {
+  const stale = signedRequest({}, { timestamp: Date.now() - 10 * 60 * 1000 });
+  const ahead = signedRequest({}, { timestamp: Date.now() + 10 * 60 * 1000 });
+  const slightlyOff = signedRequest({}, { timestamp: Date.now() - 60 * 1000 });
+
+  assert.equal((await verifySignature(stale, { keySecret })).reason, 'timestamp outside tolerance');
+  assert.equal((await verifySignature(ahead, { keySecret })).reason, 'timestamp outside tolerance');
+  assert.equal((await verifySignature(slightlyOff, { keySecret })).valid, true);
+  assert.equal((await verifySignature(slightlyOff, { keySecret, toleranceMs: 1000 })).valid, false);
+});
+
+test('missing headers are rejected', async () => {
+  const request = signedRequest();
+  delete request.headers['x-kryos-signature'];
+
+  assert.equal((await verifySignature(request, { keySecret })).reason, 'missing signature headers');
+});
+
+test('unsigned payloads are accepted unless disallowed', async () => {
+  const request = signedRequest({ body: 'multipart' }, { contentHash: UNSIGNED_PAYLOAD });
+
+  assert.equal((await verifySignature(request, { keySecret })).valid, true);
+  assert.equal((await verifySignature(request, { keySecret, allowUnsignedPayload: false })).reason, 'unsigned payload not allowed');
+});
+
+test('the SDK signs requests in hmac mode without sending the secret', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const server = await startTestServer();
+  const options = server.sdkOptions({ configFile: false, enableLogging: false, authMode: 'hmac' });
+  const kryos = KryosSDK.init(options);
+
+  try {
+    await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+    await kryos.api.sendEvent({ eventType: 'signup' });
+
+    const requests = server.find({ method: 'POST' });
+    assert.deepEqual(requests.map(request => request.status), [201, 201]);
+    for (const request of requests) {
+      assert.equal(request.headers.authorization, undefined);
+      assert.equal(request.headers['x-kryos-key-id'], options.keyId);
+      assert.ok(!JSON.stringify(request.headers).includes(options.keySecret));
+    }
+  } finally {
+    await kryos.shutdown();
+    await server.stop();
+  }
+});
@@ -0,0 +1,158 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Spool from '../spool.js';
+import KryosSDK from '../index.js';
+import { startTestServer } from '../testing.js';
+
+let directory;
+
+beforeEach((t) => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-spool-'));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+/**
+ * Helper: Spool in the test's directory with one record per segment by default
+ */
+function createSpool(options = {}) {
+  return new Spool({ directory, segmentMaxBytes: 1, ...options });
+}
+
+/**
+ * Helper: Append records numbered from..to (inclusive)
+ */
+async function appendRange(spool, from, to) {
+  for (let n = from; n <= to; n++) {
+    await spool.append({ method: 'post', endpoint: '/data/events', payload: { n } });
+  }
+}
+
+/**
+ * Helper: Replay everything and return the record numbers in delivery order
+ */
+async function replayAll(spool) {
+  const seen = [];
+  await spool.replay(async (record) => { seen.push(record.payload.n); });
+  return seen;
+}
+
+test('replays records across segments in the order they were appended', async () => {
+  const spool = createSpool({ segmentMaxBytes: 200 });
+  await appendRange(spool, 1, 6);
+  assert.ok((await spool.listSegments()).length > 1);
+
+  const seen = [];
+  const result = await spool.replay(async (record) => { seen.push(record.payload.n); });
+
+  assert.deepEqual(seen, [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(result, { sent: 6, dropped: 0, remaining: 0 });
+  assert.equal(await spool.hasPending(), false);
+});
+
+test('a failed send keeps the unsent tail for the next replay', async () => {
+  const spool = createSpool({ segmentMaxBytes: 300 });
+  await appendRange(spool, 1, 5);
+
+  const first = [];
+  const result = await spool.replay(async (record) => {
+    if (record.payload.n === 3) throw new Error('backend down');
+    first.push(record.payload.n);
+  });
+
+  assert.deepEqual(first, [1, 2]);
+  assert.equal(result.sent, 2);
+  assert.equal(result.remaining, 3);
+  assert.equal(result.error, 'backend down');
+  assert.deepEqual(await replayAll(spool), [3, 4, 5]);
+});
+
+test('records the sender gives up on are dropped', async () => {
+  const spool = createSpool();
+  await appendRange(spool, 1, 3);
+
+  const result = await spool.replay(async record => record.payload.n !== 2);
+
+  assert.deepEqual(result, { sent: 2, dropped: 1, remaining: 0 });
+});
+
+test('the oldest segments are evicted above maxSizeBytes', async () => {
+  const probe = createSpool({ directory: path.join(directory, 'probe') });
+  await appendRange(probe, 1, 1);
+  const recordBytes = (await probe.getStats()).sizeBytes;
+
+  const spool = createSpool({ maxSizeBytes: recordBytes * 3 });
+  await appendRange(spool, 1, 6);
+
+  assert.equal((await spool.getStats()).segments, 3);
+  assert.deepEqual(await replayAll(spool), [4, 5, 6]);
+});
+
+test('the segment being written is never evicted', async () => {
+  const spool = createSpool({ maxSizeBytes: 10, segmentMaxBytes: 1024 });
+  await appendRange(spool, 1, 3);
+
+  assert.deepEqual(await replayAll(spool), [1, 2, 3]);
+});
+
+test('expired segments and records are dropped', async () => {
+  const spool = createSpool({ maxAgeMs: 60000 });
+  await appendRange(spool, 1, 2);
+
+  // Age the first segment past maxAgeMs; the next append evicts it
+  const [oldest] = await spool.listSegments();
+  const past = new Date(Date.now() - 120000);
+  await fs.promises.utimes(oldest, past, past);
+  await appendRange(spool, 3, 3);
+  assert.deepEqual(await replayAll(spool), [2, 3]);
+
+  // Records are also checked against their enqueuedAt on replay
+  await spool.append({ payload: { n: 4 }, enqueuedAt: past.toISOString() });
+  assert.deepEqual(await spool.replay(async () => {}), { sent: 0, dropped: 1, remaining: 0 });
+});
+
+test('a segment removed during replay is skipped', async () => {
+  const spool = createSpool();
+  await appendRange(spool, 1, 3);
+  const segments = await spool.listSegments();
+
+  const seen = [];
+  const result = await spool.replay(async (record) => {
+    seen.push(record.payload.n);
+    if (record.payload.n === 1) {
+      await fs.promises.rm(segments[1]);
+    }
+  });
+
+  assert.deepEqual(seen, [1, 3]);
+  assert.equal(result.sent, 2);
+});
+
+test('failed sends are spooled and replayed once the backend is back', async () => {
+  const server = await startTestServer();
+  const kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 1,
+    circuitBreaker: { enabled: false },
+    spool: { enabled: true, directory, replayInterval: 60000 }
+  }));
+
+  try {
+    server.inject({ disconnect: true, times: Infinity });
+    const result = await kryos.sendEntryData({ externalId: 'offline', dataType: 'custom_data' });
+    assert.equal(result.spooled, true);
+
+    server.clearFailures();
+    assert.deepEqual(await kryos.api.replaySpool(), { sent: 1, dropped: 0, remaining: 0 });
+    assert.deepEqual(server.getState().entries.map(entry => entry.externalId), ['offline']);
+  } finally {
+    await kryos.shutdown();
+    await server.stop();
+  }
+});
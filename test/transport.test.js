@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import KryosSDK, {
+  Transport,
+  MemoryTransport,
+  FetchTransport,
+  KryosError,
+  KryosApiError,
+  KryosConfigError,
+  KryosNetworkError,
+  KryosTimeoutError
+} from '../index.js';
+import { startTestServer } from '../testing.js';
+
+/**
+ * Helper: An SDK instance on the given transport, shut down after the test
+ */
+function init(t, transport, overrides = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const kryos = KryosSDK.init({
+    keyId: 'test_key',
+    keySecret: 'test_secret',
+    configFile: false,
+    enableLogging: false,
+    enableDefaultMetrics: false,
+    retryDelay: 1,
+    circuitBreaker: { enabled: false },
+    transport,
+    ...overrides
+  });
+  t.after(() => kryos.shutdown());
+  return kryos;
+}
+
+/**
+ * Helper: A plain-object transport answering every request with 201 and recording calls
+ */
+function plainTransport() {
+  const transport = {
+    requests: [],
+    closed: 0,
+    async request(request) {
+      transport.requests.push(request);
+      return {
+        status: 201,
+        statusText: 'Created',
+        headers: { 'content-type': 'application/json' },
+        data: JSON.stringify({ success: true, data: { echoed: JSON.parse(request.body) } })
+      };
+    },
+    async close() {
+      transport.closed += 1;
+    }
+  };
+  return transport;
+}
+
+test('the memory transport records requests and answers from routes', async (t) => {
+  const transport = new MemoryTransport();
+  const kryos = init(t, transport);
+  transport
+    .route('GET', '/data/users/u1', { body: { success: true, data: { externalId: 'u1' } } })
+    .route('POST', /^\/data\/entries/, request => ({ status: 201, body: { id: request.json.externalId } }));
+
+  assert.deepEqual((await kryos.getUser('u1')).data, { externalId: 'u1' });
+  assert.deepEqual(await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }), { id: 'e1' });
+  assert.deepEqual(await kryos.getUser('unrouted'), { success: true });
+
+  const [post] = transport.find({ method: 'POST', path: '/data/entries' });
+  assert.equal(post.json.externalId, 'e1');
+  assert.ok(post.headers['Idempotency-Key']);
+  assert.match(post.headers.Authorization, /^Bearer test_key\./);
+  assert.equal(transport.lastRequest.method, 'GET');
+});
+
+test('queued memory responses drive retries, network errors and timeouts', async (t) => {
+  const transport = new MemoryTransport();
+  const kryos = init(t, transport, { retryAttempts: 3, timeout: 50 });
+
+  transport.failNext(2);
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+  assert.equal(transport.requests.length, 3);
+
+  transport.reset();
+  transport.enqueue({ error: 'ECONNRESET' }, { error: 'ECONNRESET' }, { error: 'ECONNRESET' });
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e2', dataType: 'custom_data' }), KryosNetworkError);
+
+  transport.enqueue({ delay: 200 }, { delay: 200 }, { delay: 200 });
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e3', dataType: 'custom_data' }), KryosTimeoutError);
+
+  transport.enqueue({ status: 422, body: { success: false, error: 'bad entry' } });
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e4', dataType: 'custom_data' }), (error) => {
+    return error instanceof KryosApiError && error.status === 422 && error.message === 'API Error (422): bad entry';
+  });
+});
+
+test('the fetch transport talks to a real server', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.stop());
+  const kryos = init(t, 'fetch', { baseUrl: server.url, keyId: 'test_key_id', keySecret: 'test_key_secret', timeout: 200 });
+  assert.ok(kryos.api.transport instanceof FetchTransport);
+
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data', data: { amount: 5 } });
+  assert.deepEqual((await kryos.getEntry('e1')).data.data, { amount: 5 });
+  assert.equal(await kryos.getEntry('missing'), null);
+
+  server.inject({ status: 500, times: Infinity });
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e2', dataType: 'custom_data' }), KryosApiError);
+
+  server.clearFailures();
+  server.inject({ latency: 1000, times: Infinity });
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e3', dataType: 'custom_data' }), KryosTimeoutError);
+
+  server.clearFailures();
+  server.inject({ disconnect: true, times: Infinity });
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e4', dataType: 'custom_data' }), KryosNetworkError);
+});
+
+test('a plain object with request() works as a transport', async (t) => {
+  const transport = plainTransport();
+  const kryos = init(t, transport);
+
+  const result = await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+
+  assert.equal(result.data.echoed.externalId, 'e1');
+  const [request] = transport.requests;
+  assert.equal(request.method, 'post');
+  assert.match(request.url, /\/data\/entries$/);
+  assert.ok(request.headers['Idempotency-Key']);
+});
+
+test('a plain transport without close() can be shut down', async (t) => {
+  const kryos = init(t, { request: plainTransport().request });
+
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+  await kryos.shutdown();
+});
+
+test('a plain transport is closed on shutdown and when replaced, not when kept', async (t) => {
+  const first = plainTransport();
+  const second = plainTransport();
+  const kryos = init(t, first);
+
+  await kryos.updateConfig({ transport: first, timeout: 5000 });
+  await kryos.updateConfig({ transportOptions: { unused: true } });
+  assert.equal(first.closed, 0);
+
+  await kryos.updateConfig({ transport: second });
+  assert.equal(first.closed, 1);
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+  assert.equal(second.requests.length, 1);
+
+  await kryos.shutdown();
+  assert.equal(second.closed, 1);
+});
+
+test('a Transport subclass must implement request()', async (t) => {
+  class Incomplete extends Transport {}
+  const kryos = init(t, new Incomplete(), { retryAttempts: 1 });
+
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }), (error) => {
+    return error instanceof KryosError && /does not implement request\(\)/.test(error.message);
+  });
+});
+
+test('unknown transports are configuration errors', (t) => {
+  t.mock.method(console, 'log', () => {});
+  for (const transport of ['http2', { send() {} }]) {
+    assert.throws(() => KryosSDK.init({ keyId: 'id', keySecret: 'secret', configFile: false, transport }), KryosConfigError);
+  }
+});
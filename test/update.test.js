@@ -0,0 +1,160 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import KryosSDK, { KryosAuthError, KryosConfigError, KryosRateLimitError } from '../index.js';
+import CircuitBreaker from '../breaker.js';
+import { startTestServer } from '../testing.js';
+
+const { State } = CircuitBreaker;
+
+let server;
+
+before(async () => {
+  server = await startTestServer({ keys: { first_key: 'first_secret', second_key: 'second_secret' } });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach((t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Helper: An SDK instance against the test server, shut down after the test
+ */
+function init(t, overrides = {}) {
+  const kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryAttempts: 1,
+    retryDelay: 1,
+    circuitBreaker: { enabled: false },
+    ...overrides
+  }));
+  t.after(() => kryos.shutdown());
+  return kryos;
+}
+
+/**
+ * Helper: Send one entry
+ */
+function send(kryos, externalId) {
+  return kryos.sendEntryData({ externalId, dataType: 'custom_data' });
+}
+
+test('a new baseUrl is used by the next request', async (t) => {
+  const other = await startTestServer({ keys: server.keys });
+  t.after(() => other.stop());
+  const kryos = init(t);
+
+  await send(kryos, 'e1');
+  const changes = await kryos.updateConfig({ baseUrl: other.url });
+  await send(kryos, 'e2');
+
+  assert.deepEqual(changes.baseUrl, { from: server.url, to: other.url });
+  assert.deepEqual(server.getState().entries.map(entry => entry.externalId), ['e1']);
+  assert.deepEqual(other.getState().entries.map(entry => entry.externalId), ['e2']);
+});
+
+test('new credentials and auth mode apply to the next request', async (t) => {
+  const kryos = init(t);
+
+  await kryos.updateConfig({ keySecret: 'wrong_secret' });
+  await assert.rejects(send(kryos, 'e1'), KryosAuthError);
+
+  await kryos.updateConfig({ keyId: 'second_key', keySecret: 'second_secret' });
+  await send(kryos, 'e2');
+  assert.match(server.requests.at(-1).headers.authorization, /^Bearer second_key\./);
+
+  await kryos.updateConfig({ authMode: 'hmac' });
+  await send(kryos, 'e3');
+  const signed = server.requests.at(-1);
+  assert.ok(signed.headers['x-kryos-signature']);
+  assert.equal(signed.headers.authorization, undefined);
+  assert.equal(signed.status, 201);
+});
+
+test('the circuit breaker is reconfigured in place', async (t) => {
+  const kryos = init(t, { circuitBreaker: { enabled: true, minimumRequests: 5, cooldownMs: 60000 } });
+  const breaker = kryos.api.circuitBreaker;
+  const transitions = [];
+  breaker.on('stateChange', ({ to }) => transitions.push(to));
+  server.inject({ status: 503, times: Infinity });
+
+  await assert.rejects(send(kryos, 'e1'));
+  assert.equal(breaker.state, State.CLOSED);
+
+  await kryos.updateConfig({ circuitBreaker: { minimumRequests: 2 } });
+  await assert.rejects(send(kryos, 'e2'));
+
+  assert.equal(kryos.api.circuitBreaker, breaker);
+  assert.equal(breaker.minimumRequests, 2);
+  assert.equal(breaker.cooldownMs, 60000);
+  assert.deepEqual(transitions, [State.OPEN]);
+});
+
+test('the rate limiter is reconfigured in place', async (t) => {
+  const kryos = init(t, { rateLimit: { enabled: true, policy: 'drop', budgets: { events: { rate: 0.01, burst: 1 } } } });
+  const limiter = kryos.api.rateLimiter;
+
+  await kryos.api.sendEvent({ eventType: 'a' });
+  await assert.rejects(kryos.api.sendEvent({ eventType: 'b' }), KryosRateLimitError);
+
+  await kryos.updateConfig({ rateLimit: { budgets: { events: { rate: 1000, burst: 1 } } } });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await kryos.api.sendEvent({ eventType: 'c' });
+
+  assert.equal(kryos.api.rateLimiter, limiter);
+  assert.equal(kryos.api.getRateLimitStats().budgets.events.rate, 1000);
+  assert.equal(kryos.api.getRateLimitStats().dropped, 1);
+  assert.equal(server.find({ method: 'POST' }).length, 2);
+});
+
+test('the spool is reconfigured in place', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-update-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const first = path.join(root, 'first');
+  const second = path.join(root, 'second');
+  const kryos = init(t, { spool: { enabled: true, directory: first, replayInterval: 60000 } });
+  const spool = kryos.api.spool;
+  server.inject({ disconnect: true, times: Infinity });
+
+  assert.equal((await send(kryos, 'e1')).spooled, true);
+  await kryos.updateConfig({ spool: { directory: second, segmentMaxBytes: 4096 } });
+  assert.equal((await send(kryos, 'e2')).spooled, true);
+
+  assert.equal(kryos.api.spool, spool);
+  assert.equal(spool.directory, second);
+  assert.equal(spool.segmentMaxBytes, 4096);
+  assert.equal(fs.readdirSync(first).length, 1);
+  assert.equal(fs.readdirSync(second).length, 1);
+});
+
+test('an invalid update rejects and changes nothing', async (t) => {
+  const kryos = init(t, { timeout: 5000 });
+  const httpClient = kryos.api.httpClient;
+  const before = kryos.config.toJSON();
+  const events = [];
+  kryos.on('configChanged', event => events.push(event));
+
+  await assert.rejects(kryos.updateConfig({ baseUrl: 'http://elsewhere.invalid', timeout: 0 }), (error) => {
+    assert.ok(error instanceof KryosConfigError);
+    assert.deepEqual(error.problems.map(problem => [problem.key, problem.source]), [['timeout', 'update']]);
+    return true;
+  });
+  await assert.rejects(kryos.updateConfig({ hooks: {} }), KryosConfigError);
+
+  assert.deepEqual(kryos.config.toJSON(), before);
+  assert.equal(kryos.config.explain('timeout').source, 'options');
+  assert.equal(kryos.api.httpClient, httpClient);
+  assert.deepEqual(events, []);
+  await send(kryos, 'e1');
+  assert.equal(server.getState().entries.length, 1);
+});
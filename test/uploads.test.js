@@ -0,0 +1,171 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import KryosSDK, { KryosValidationError } from '../index.js';
+import { prepareFiles } from '../uploads.js';
+import { startTestServer } from '../testing.js';
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(24, 1)]);
+
+let server;
+let kryos;
+let tmpDir;
+
+before(async () => {
+  server = await startTestServer();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kryos-uploads-'));
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  kryos = KryosSDK.init(server.sdkOptions({
+    configFile: false,
+    enableLogging: false,
+    retryDelay: 1,
+    circuitBreaker: { enabled: false },
+    uploads: { maxFileSize: 1024, maxTotalSize: 1536 }
+  }));
+  t.after(() => kryos.shutdown());
+});
+
+/**
+ * Helper: Metadata of the stored file with this filename
+ */
+function storedFile(filename) {
+  return server.getState().files.find(file => file.filename === filename);
+}
+
+/**
+ * Helper: sha256 hex digest of a buffer
+ */
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+test('prepareFiles sizes and sniffs buffers, streams and paths', () => {
+  const filePath = path.join(tmpDir, 'notes.txt');
+  fs.writeFileSync(filePath, 'hello');
+
+  const { files, totalSize } = prepareFiles([
+    { buffer: PNG, filename: 'logo.bin' },
+    { stream: Readable.from(['x']), filename: 'report.pdf' },
+    filePath
+  ]);
+
+  assert.deepEqual(files.map(({ source, filename, size, contentType }) => ({ source, filename, size, contentType })), [
+    { source: 'buffer', filename: 'logo.bin', size: PNG.length, contentType: 'image/png' },
+    { source: 'stream', filename: 'report.pdf', size: undefined, contentType: 'application/pdf' },
+    { source: 'path', filename: 'notes.txt', size: 5, contentType: 'text/plain' }
+  ]);
+  assert.equal(totalSize, PNG.length + 5);
+});
+
+test('prepareFiles reports every invalid file at once', () => {
+  assert.throws(() => prepareFiles([
+    { buffer: PNG },
+    { buffer: 'not a buffer', filename: 'a.txt' },
+    { stream: {}, filename: 'b.txt' },
+    path.join(tmpDir, 'missing.txt'),
+    {}
+  ]), (error) => {
+    assert.ok(error instanceof KryosValidationError);
+    assert.equal(error.errors.length, 5);
+    return true;
+  });
+});
+
+test('prepareFiles enforces the per-file and total limits', () => {
+  const small = { buffer: Buffer.alloc(600), filename: 'a.bin' };
+
+  assert.throws(() => prepareFiles([{ buffer: Buffer.alloc(2000), filename: 'big.bin' }], { maxFileSize: 1024 }), /per-file limit/);
+  assert.throws(() => prepareFiles([small, { ...small, filename: 'b.bin' }], { maxTotalSize: 1000 }), /total upload size/);
+  assert.equal(prepareFiles([small, { ...small, filename: 'b.bin' }], { maxFileSize: 1024, maxTotalSize: 1200 }).totalSize, 1200);
+});
+
+test('Buffer attachments are uploaded with their sniffed type', async () => {
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data', data: { kind: 'logo' } }, [
+    { buffer: PNG, filename: 'logo' }
+  ]);
+
+  const [request] = server.find({ method: 'POST', path: '/data/entries' });
+  assert.deepEqual(request.body.files, [{ field: 'files', filename: 'logo', contentType: 'image/png', size: PNG.length }]);
+  assert.equal(request.body.fields['data.kind'], 'logo');
+  assert.equal(storedFile('logo').sha256, sha256(PNG));
+});
+
+test('stream attachments are uploaded without buffering them first', async () => {
+  const chunks = [Buffer.from('first,'), Buffer.from('second')];
+
+  await kryos.sendUserData({ externalId: 'u1', name: 'Ada', email: 'ada@example.com' }, [
+    { stream: Readable.from(chunks), filename: 'export.csv' }
+  ]);
+
+  const file = storedFile('export.csv');
+  assert.equal(file.mimetype, 'text/csv');
+  assert.equal(file.sha256, sha256(Buffer.concat(chunks)));
+});
+
+test('upload progress is reported', async () => {
+  const events = [];
+  kryos.api.on('uploadProgress', progress => events.push(progress));
+  const callbackEvents = [];
+
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }, [{ buffer: PNG, filename: 'logo.png' }], {
+    onUploadProgress: progress => callbackEvents.push(progress)
+  });
+
+  assert.ok(events.length > 0);
+  assert.deepEqual(callbackEvents, events);
+  const last = events[events.length - 1];
+  assert.equal(last.externalId, 'e1');
+  assert.equal(last.percent, 100);
+  assert.equal(last.loaded, last.total);
+});
+
+test('files over the limits are rejected before anything is sent', async () => {
+  const entry = { externalId: 'e1', dataType: 'custom_data' };
+
+  await assert.rejects(kryos.sendEntryData(entry, [{ buffer: Buffer.alloc(2000), filename: 'big.bin' }]), KryosValidationError);
+  await assert.rejects(kryos.sendEntryData(entry, [
+    { buffer: Buffer.alloc(1000), filename: 'a.bin' },
+    { buffer: Buffer.alloc(1000), filename: 'b.bin' }
+  ]), /total upload size/);
+
+  assert.equal(server.requests.length, 0);
+});
+
+test('a stream of unknown length that outgrows maxFileSize rejects with the limit', async () => {
+  const stream = Readable.from([Buffer.alloc(800), Buffer.alloc(800)]);
+
+  await assert.rejects(
+    kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }, [{ stream, filename: 'big.bin' }]),
+    (error) => error instanceof KryosValidationError && /per-file limit/.test(error.message)
+  );
+  assert.equal(storedFile('big.bin'), undefined);
+});
+
+test('buffer uploads are retried, stream uploads are not', async () => {
+  server.inject({ status: 503, path: '/data/entries' });
+  await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' }, [{ buffer: PNG, filename: 'logo.png' }]);
+  assert.deepEqual(server.find({ method: 'POST' }).map(request => request.status), [503, 201]);
+
+  server.reset();
+  server.inject({ status: 503, path: '/data/entries' });
+  await assert.rejects(kryos.sendEntryData({ externalId: 'e2', dataType: 'custom_data' }, [
+    { stream: Readable.from(['data']), filename: 'data.txt' }
+  ]));
+  assert.equal(server.find({ method: 'POST' }).length, 1);
+});
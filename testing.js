@@ -0,0 +1,882 @@
+/**
+ * Kryos SDK - Testing Module
+ *
+ * A local stand-in for the Kryos backend, so integration tests can run the
+ * real SDK end-to-end without network access.
+ *
+ * Usage:
+ *   import KryosSDK from 'kryos-sdk';
+ *   import { startTestServer } from 'kryos-sdk/testing';
+ *
+ *   const server = await startTestServer();
+ *   const kryos = KryosSDK.init(server.sdkOptions());
+ *
+ *   server.inject({ status: 503, times: 2, path: '/data/entries' });
+ *   await kryos.sendEntryData({ externalId: 'e1', dataType: 'custom_data' });
+ *   server.find({ method: 'POST', path: '/data/entries' }).length; // 3
+ *
+ *   await server.stop();
+ *
+ * Implements /data/health, /data/users, /data/entries (including bulk and
+ * tags), /data/files (metadata and content with Range) and /data/uploads,
+ * with bearer and HMAC auth, page-based pagination, idempotency-key replay
+ * and failure injection. State and requests can also be inspected over HTTP
+ * under /__kryos (requests, state, failures, reset).
+ */
+
+import http from 'http';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { verifySignature } from './signing.js';
+
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'prefix'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+export class KryosTestServer {
+  /**
+   * Options: keys ({ keyId: keySecret }), auth (default true),
+   * basePath (default '/api'), latency (ms added to every request)
+   */
+  constructor(options = {}) {
+    this.keys = options.keys || { test_key_id: 'test_key_secret' };
+    this.auth = options.auth !== false;
+    this.basePath = options.basePath ?? '/api';
+    this.latency = options.latency || 0;
+    this.server = null;
+    this.port = null;
+    this.sockets = new Set();
+    this.reset();
+  }
+
+  /**
+   * Start listening (port 0 picks a free port)
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        this.send(res, 500, { success: false, error: error.message });
+      });
+    });
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.port = this.server.address().port;
+    this.host = host;
+    return this;
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  async stop() {
+    if (!this.server) return;
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Base URL to pass as the SDK's baseUrl
+   */
+  get url() {
+    return `http://${this.host}:${this.port}${this.basePath}`;
+  }
+
+  /**
+   * SDK init options pointing at this server with its first key
+   */
+  sdkOptions(overrides = {}) {
+    const [keyId, keySecret] = Object.entries(this.keys)[0];
+    return {
+      keyId,
+      keySecret,
+      baseUrl: this.url,
+      enableDefaultMetrics: false,
+      ...overrides
+    };
+  }
+
+  /**
+   * Clear stored data, recorded requests and injected failures
+   */
+  reset() {
+    this.users = new Map();
+    this.entries = new Map();
+    this.files = new Map();
+    this.uploads = new Map();
+    this.requests = [];
+    this.failures = [];
+    this.idempotentResponses = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Inject failures for matching requests.
+   * failure: { status (default 503, none for latency or disconnect), times (default 1, Infinity for always),
+   *            method, path (string prefix or RegExp), latency, retryAfter (seconds),
+   *            body, disconnect (destroy the socket instead of responding) }
+   */
+  inject(failure = {}) {
+    // Latency-only and disconnect failures don't replace the response
+    const status = failure.latency || failure.disconnect ? null : 503;
+    this.failures.push({ status, times: 1, ...failure });
+    return this;
+  }
+
+  /**
+   * Remove all injected failures
+   */
+  clearFailures() {
+    this.failures = [];
+    return this;
+  }
+
+  /**
+   * Set the latency added to every request
+   */
+  setLatency(ms) {
+    this.latency = ms;
+    return this;
+  }
+
+  /**
+   * Recorded requests matching { method, path }
+   */
+  find({ method, path } = {}) {
+    return this.requests.filter(request =>
+      (!method || request.method === method.toUpperCase()) && (!path || matchPath(path, request.path))
+    );
+  }
+
+  /**
+   * Snapshot of stored users, entries and files
+   */
+  getState() {
+    return {
+      users: [...this.users.values()],
+      entries: [...this.entries.values()],
+      files: [...this.files.values()].map(file => this.fileMetadata(file)),
+      uploads: [...this.uploads.values()].map(upload => ({ uploadId: upload.uploadId, filename: upload.filename, parts: upload.parts.size }))
+    };
+  }
+
+  /**
+   * Main request handler
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const raw = await readRequest(req);
+
+    if (url.pathname.startsWith('/__kryos')) {
+      return this.handleInspection(req, res, url, raw);
+    }
+
+    if (!url.pathname.startsWith(this.basePath)) {
+      return this.send(res, 404, { success: false, error: `Not found: ${url.pathname}` });
+    }
+
+    const path = url.pathname.slice(this.basePath.length) || '/';
+    const body = parseBody(raw, req.headers);
+    const record = {
+      method: req.method,
+      path,
+      query: Object.fromEntries(url.searchParams.entries()),
+      headers: req.headers,
+      body: body.json ?? (body.multipart ? { fields: body.multipart.fields, files: body.multipart.files.map(describePart) } : null),
+      size: raw.length,
+      status: null,
+      timestamp: new Date().toISOString()
+    };
+    this.requests.push(record);
+
+    const respond = (status, payload, headers = {}) => {
+      record.status = status;
+      this.send(res, status, payload, headers);
+    };
+
+    if (this.latency) {
+      await sleep(this.latency);
+    }
+
+    // Failure injection
+    const failure = this.failures.find(candidate =>
+      candidate.times > 0 &&
+      (!candidate.method || candidate.method.toUpperCase() === req.method) &&
+      (!candidate.path || matchPath(candidate.path, path))
+    );
+    if (failure) {
+      failure.times -= 1;
+      if (failure.latency) {
+        await sleep(failure.latency);
+      }
+      if (failure.disconnect) {
+        record.status = 0;
+        req.socket.destroy();
+        return;
+      }
+      if (failure.status) {
+        const headers = {};
+        if (failure.retryAfter !== undefined) headers['Retry-After'] = String(failure.retryAfter);
+        if (failure.status === 429) {
+          headers['X-RateLimit-Limit'] = '100';
+          headers['X-RateLimit-Remaining'] = '0';
+          headers['X-RateLimit-Reset'] = String(failure.retryAfter ?? 1);
+        }
+        return respond(failure.status, failure.body || { success: false, error: http.STATUS_CODES[failure.status] || 'Injected failure' }, headers);
+      }
+    }
+
+    // Authentication
+    if (this.auth) {
+      const authError = await this.authenticate(req, url, raw);
+      if (authError) {
+        return respond(401, { success: false, error: 'Unauthorized', reason: authError });
+      }
+    }
+
+    // Replay responses for repeated idempotency keys
+    const idempotencyKey = req.headers['idempotency-key'];
+    const replayKey = idempotencyKey && req.method !== 'GET' ? `${req.method} ${path} ${idempotencyKey}` : null;
+    if (replayKey && this.idempotentResponses.has(replayKey)) {
+      const previous = this.idempotentResponses.get(replayKey);
+      return respond(previous.status, previous.payload, { 'Idempotent-Replayed': 'true' });
+    }
+
+    const result = this.route(req.method, path, url.searchParams, body, req.headers);
+
+    if (result.stream) {
+      record.status = result.status;
+      res.writeHead(result.status, result.headers);
+      res.end(result.stream);
+      return;
+    }
+
+    if (replayKey && result.status < 500) {
+      this.idempotentResponses.set(replayKey, result);
+    }
+    respond(result.status, result.payload, result.headers);
+  }
+
+  /**
+   * Dispatch to the resource handlers
+   */
+  route(method, path, params, body, headers) {
+    const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+    if (segments[0] !== 'data') {
+      return notFound(path);
+    }
+
+    const [, collection, id, sub, subId] = segments;
+
+    if (collection === 'health' && method === 'GET') {
+      return ok({ success: true, status: 'ok', timestamp: new Date().toISOString() });
+    }
+
+    if (collection === 'users') {
+      if (!id) {
+        if (method === 'POST') return this.createRecord('users', body);
+        if (method === 'GET') return this.list('users', [...this.users.values()], params);
+      } else if (!sub) {
+        return this.recordOperation('users', method, id, body);
+      }
+    }
+
+    if (collection === 'entries') {
+      if (id === 'bulk' && method === 'POST') return this.bulkCreateEntries(body);
+      if (!id) {
+        if (method === 'POST') return this.createRecord('entries', body);
+        if (method === 'GET') return this.list('entries', this.filterEntries(params), params);
+      } else if (!sub) {
+        return this.recordOperation('entries', method, id, body);
+      } else if (sub === 'tags' && (method === 'POST' || method === 'DELETE')) {
+        return this.changeTags(id, method, body);
+      }
+    }
+
+    if (collection === 'files' && method === 'GET') {
+      if (!id) {
+        const files = [...this.files.values()]
+          .filter(file => !params.get('mimetype') || file.mimetype === params.get('mimetype'))
+          .map(file => this.fileMetadata(file));
+        return this.list('files', files, params);
+      }
+      const file = this.files.get(id);
+      if (!file) return notFound(path);
+      if (!sub) return ok({ success: true, data: this.fileMetadata(file) });
+      if (sub === 'content') return this.fileContent(file, headers.range);
+    }
+
+    if (collection === 'uploads') {
+      if (!id && method === 'POST') return this.initUpload(body);
+      const upload = this.uploads.get(id);
+      if (!upload) return notFound(path);
+      if (!sub && method === 'GET') {
+        return ok({ uploadId: upload.uploadId, parts: [...upload.parts].map(([partNumber, part]) => ({ partNumber, sha256: part.sha256 })) });
+      }
+      if (sub === 'parts' && method === 'PUT') return this.uploadPart(upload, Number(subId), body, headers);
+      if (sub === 'complete' && method === 'POST') return this.completeUpload(upload, body);
+    }
+
+    return notFound(path);
+  }
+
+  /**
+   * Check bearer or HMAC credentials; returns a reason string when rejected
+   */
+  async authenticate(req, url, raw) {
+    if (req.headers['x-kryos-signature']) {
+      const result = await verifySignature({
+        method: req.method,
+        path: url.pathname + url.search,
+        headers: req.headers,
+        body: raw
+      }, { getKeySecret: keyId => this.keys[keyId] });
+      return result.valid ? null : result.reason;
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return 'missing credentials';
+
+    const separator = match[1].indexOf('.');
+    const keyId = match[1].slice(0, separator);
+    const keySecret = match[1].slice(separator + 1);
+    return separator > 0 && this.keys[keyId] === keySecret ? null : 'invalid API key';
+  }
+
+  /**
+   * POST /data/users and /data/entries (JSON or multipart)
+   */
+  createRecord(collection, body) {
+    const data = body.multipart ? unflatten(body.multipart.fields) : body.json;
+    const error = validateRecord(collection, data);
+    if (error) return badRequest(error);
+
+    const store = this[collection];
+    const existing = store.get(data.externalId);
+    const now = new Date().toISOString();
+    const record = {
+      ...data,
+      id: existing?.id || this.generateId(collection === 'users' ? 'usr' : 'ent'),
+      files: existing?.files || [],
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    if (collection === 'entries') {
+      record.tags = data.tags || [];
+    }
+
+    for (const part of body.multipart?.files || []) {
+      const file = this.storeFile(part.filename, part.contentType, part.content, { collection, externalId: data.externalId });
+      record.files.push(file.id);
+    }
+
+    store.set(data.externalId, record);
+    return { status: existing ? 200 : 201, payload: { success: true, data: record } };
+  }
+
+  /**
+   * GET / PATCH / PUT / DELETE on a single user or entry
+   */
+  recordOperation(collection, method, externalId, body) {
+    const store = this[collection];
+    const existing = store.get(externalId);
+
+    if (method === 'PUT') {
+      const error = validateRecord(collection, body.json);
+      if (error) return badRequest(error);
+      if (body.json.externalId !== externalId) return badRequest('externalId in body does not match the URL');
+      return this.createRecord(collection, body);
+    }
+
+    if (!existing) return notFound(`/data/${collection}/${externalId}`);
+
+    if (method === 'GET') {
+      return ok({ success: true, data: existing });
+    }
+    if (method === 'PATCH') {
+      const updates = body.json || {};
+      const record = {
+        ...existing,
+        ...updates,
+        ...(updates.data && existing.data ? { data: { ...existing.data, ...updates.data } } : {}),
+        externalId,
+        updatedAt: new Date().toISOString()
+      };
+      store.set(externalId, record);
+      return ok({ success: true, data: record });
+    }
+    if (method === 'DELETE') {
+      store.delete(externalId);
+      return ok({ success: true });
+    }
+
+    return notFound(`/data/${collection}/${externalId}`);
+  }
+
+  /**
+   * POST /data/entries/bulk
+   */
+  bulkCreateEntries(body) {
+    const entries = body.json?.entries;
+    if (!Array.isArray(entries)) return badRequest('entries must be an array');
+
+    const results = entries.map((entry) => {
+      const result = this.createRecord('entries', { json: entry });
+      return result.status < 400
+        ? { success: true, data: result.payload.data }
+        : { success: false, status: result.status, error: result.payload.error };
+    });
+    return ok({ success: true, results });
+  }
+
+  /**
+   * POST / DELETE /data/entries/:externalId/tags
+   */
+  changeTags(externalId, method, body) {
+    const entry = this.entries.get(externalId);
+    if (!entry) return notFound(`/data/entries/${externalId}/tags`);
+    const tags = body.json?.tags;
+    if (!Array.isArray(tags)) return badRequest('tags must be an array');
+
+    entry.tags = method === 'POST'
+      ? [...new Set([...entry.tags, ...tags])]
+      : entry.tags.filter(tag => !tags.includes(tag));
+    entry.updatedAt = new Date().toISOString();
+    return ok({ success: true, data: entry });
+  }
+
+  /**
+   * Apply GET /data/entries filters, sorting and field selection
+   */
+  filterEntries(params) {
+    let entries = [...this.entries.values()];
+
+    const tags = params.get('tags') ? params.get('tags').split(',') : null;
+    if (tags) {
+      const matchAll = params.get('tagMatch') === 'all';
+      entries = entries.filter(entry => matchAll
+        ? tags.every(tag => entry.tags.includes(tag))
+        : tags.some(tag => entry.tags.includes(tag)));
+    }
+
+    const prefix = params.get('externalIdPrefix');
+    if (prefix) entries = entries.filter(entry => entry.externalId.startsWith(prefix));
+
+    const from = params.get('createdFrom');
+    const to = params.get('createdTo');
+    if (from) entries = entries.filter(entry => entry.createdAt >= from);
+    if (to) entries = entries.filter(entry => entry.createdAt <= to);
+
+    for (const [key, value] of params.entries()) {
+      const match = /^(dataType|externalId|data\.[\w.]+)(?:\[(\w+)\])?$/.exec(key);
+      if (!match || !FILTER_OPERATORS.includes(match[2] || 'eq')) continue;
+      entries = entries.filter(entry => compare(getPath(entry, match[1]), match[2] || 'eq', value));
+    }
+
+    const sort = params.get('sort');
+    if (sort) {
+      const fields = sort.split(',').map(field => field.startsWith('-')
+        ? { field: field.slice(1), direction: -1 }
+        : { field, direction: 1 });
+      entries.sort((a, b) => {
+        for (const { field, direction } of fields) {
+          const left = getPath(a, field);
+          const right = getPath(b, field);
+          if (left < right) return -direction;
+          if (left > right) return direction;
+        }
+        return 0;
+      });
+    }
+
+    const select = params.get('fields');
+    if (select) {
+      const fields = select.split(',');
+      entries = entries.map((entry) => {
+        const picked = {};
+        for (const field of fields) setPath(picked, field, getPath(entry, field));
+        return picked;
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Page a list response
+   */
+  list(key, items, params) {
+    const page = Math.max(1, parseInt(params.get('page')) || 1);
+    const limit = Math.max(1, parseInt(params.get('limit')) || 10);
+    const pages = Math.max(1, Math.ceil(items.length / limit));
+
+    return ok({
+      success: true,
+      [key]: items.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: items.length, pages, hasNext: page < pages }
+    });
+  }
+
+  /**
+   * GET /data/files/:id/content with Range support
+   */
+  fileContent(file, range) {
+    const size = file.content.length;
+    const headers = { 'Content-Type': file.mimetype, 'Accept-Ranges': 'bytes' };
+    const match = /^bytes=(\d+)-(\d*)$/.exec(range || '');
+
+    if (!match) {
+      return { status: 200, headers: { ...headers, 'Content-Length': size }, stream: file.content };
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    if (start >= size) {
+      return { status: 416, headers: { 'Content-Range': `bytes */${size}` }, stream: '' };
+    }
+    return {
+      status: 206,
+      headers: { ...headers, 'Content-Length': end - start + 1, 'Content-Range': `bytes ${start}-${end}/${size}` },
+      stream: file.content.subarray(start, end + 1)
+    };
+  }
+
+  /**
+   * POST /data/uploads
+   */
+  initUpload(body) {
+    const { filename, size, contentType, partSize, attachTo } = body.json || {};
+    if (!filename || typeof size !== 'number') return badRequest('filename and size are required');
+
+    const upload = {
+      uploadId: this.generateId('upl'),
+      filename,
+      size,
+      contentType: contentType || 'application/octet-stream',
+      partSize,
+      attachTo: attachTo || null,
+      parts: new Map()
+    };
+    this.uploads.set(upload.uploadId, upload);
+    return { status: 201, payload: { uploadId: upload.uploadId, partSize } };
+  }
+
+  /**
+   * PUT /data/uploads/:id/parts/:n
+   */
+  uploadPart(upload, partNumber, body, headers) {
+    if (!Number.isInteger(partNumber) || partNumber < 1) return badRequest('invalid part number');
+
+    const content = body.raw;
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    if (headers['x-content-sha256'] && headers['x-content-sha256'] !== sha256) {
+      return badRequest('part checksum mismatch');
+    }
+
+    upload.parts.set(partNumber, { sha256, content });
+    return ok({ partNumber, sha256 });
+  }
+
+  /**
+   * POST /data/uploads/:id/complete
+   */
+  completeUpload(upload, body) {
+    const parts = body.json?.parts || [];
+    const missing = parts.filter(part => upload.parts.get(part.partNumber)?.sha256 !== part.sha256);
+    if (parts.length === 0 || missing.length > 0) {
+      return badRequest(`parts missing or mismatched: ${missing.map(part => part.partNumber).join(', ')}`);
+    }
+
+    const content = Buffer.concat([...upload.parts.keys()].sort((a, b) => a - b).map(partNumber => upload.parts.get(partNumber).content));
+    if (content.length !== upload.size) {
+      return badRequest(`expected ${upload.size} bytes, received ${content.length}`);
+    }
+
+    const file = this.storeFile(upload.filename, upload.contentType, content, upload.attachTo);
+    if (upload.attachTo) {
+      const record = this[upload.attachTo.collection]?.get(upload.attachTo.externalId);
+      if (record) record.files.push(file.id);
+    }
+    this.uploads.delete(upload.uploadId);
+    return ok({ success: true, fileId: file.id, data: this.fileMetadata(file) });
+  }
+
+  /**
+   * Store file content and metadata
+   */
+  storeFile(filename, mimetype, content, attachedTo = null) {
+    const file = {
+      id: this.generateId('fil'),
+      filename,
+      mimetype: mimetype || 'application/octet-stream',
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      attachedTo,
+      createdAt: new Date().toISOString(),
+      content
+    };
+    this.files.set(file.id, file);
+    return file;
+  }
+
+  /**
+   * File record without its content
+   */
+  fileMetadata(file) {
+    const { content, ...metadata } = file;
+    return metadata;
+  }
+
+  /**
+   * Inspection API: /__kryos/requests, /__kryos/state, /__kryos/failures, /__kryos/reset
+   */
+  handleInspection(req, res, url, raw) {
+    const route = `${req.method} ${url.pathname}`;
+
+    switch (route) {
+      case 'GET /__kryos/requests':
+        return this.send(res, 200, { requests: this.find({ method: url.searchParams.get('method'), path: url.searchParams.get('path') }) });
+      case 'GET /__kryos/state':
+        return this.send(res, 200, this.getState());
+      case 'GET /__kryos/failures':
+        return this.send(res, 200, { failures: this.failures });
+      case 'POST /__kryos/failures': {
+        const failure = JSON.parse(raw.toString() || '{}');
+        if (failure.times === null) failure.times = Infinity;
+        this.inject(failure);
+        return this.send(res, 201, { failures: this.failures });
+      }
+      case 'DELETE /__kryos/failures':
+        this.clearFailures();
+        return this.send(res, 200, { failures: [] });
+      case 'POST /__kryos/reset':
+        this.reset();
+        return this.send(res, 200, { success: true });
+      default:
+        return this.send(res, 404, { error: `Unknown inspection route: ${route}` });
+    }
+  }
+
+  /**
+   * Write a JSON response
+   */
+  send(res, status, payload, headers = {}) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+  }
+
+  /**
+   * Generate a sequential id with a prefix
+   */
+  generateId(prefix) {
+    return `${prefix}_${String(this.nextId++).padStart(6, '0')}`;
+  }
+}
+
+/**
+ * Create a test server without starting it
+ */
+export function createTestServer(options = {}) {
+  return new KryosTestServer(options);
+}
+
+/**
+ * Create and start a test server (options.port defaults to a free port)
+ */
+export async function startTestServer(options = {}) {
+  return await createTestServer(options).start(options.port || 0, options.host);
+}
+
+/**
+ * Helper: Read the full request body
+ */
+async function readRequest(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Helper: Decode a request body by Content-Encoding and Content-Type
+ */
+function parseBody(raw, headers) {
+  let buffer = raw;
+  const encoding = headers['content-encoding'];
+  if (encoding === 'gzip') buffer = zlib.gunzipSync(raw);
+  if (encoding === 'br') buffer = zlib.brotliDecompressSync(raw);
+
+  const contentType = headers['content-type'] || '';
+  const body = { raw: buffer, json: null, multipart: null };
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+    if (boundary) body.multipart = parseMultipart(buffer, boundary[1] || boundary[2]);
+  } else if (buffer.length > 0 && contentType.includes('json')) {
+    try {
+      body.json = JSON.parse(buffer.toString('utf8'));
+    } catch {
+      body.json = null;
+    }
+  }
+
+  return body;
+}
+
+/**
+ * Helper: Split a multipart/form-data body into fields and files
+ */
+function parseMultipart(buffer, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1) {
+    const next = buffer.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    // Part = headers CRLF CRLF content CRLF
+    const part = buffer.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headerText = part.subarray(0, headerEnd).toString('utf8');
+      const content = part.subarray(headerEnd + 4);
+      const name = /name="([^"]*)"/.exec(headerText)?.[1];
+      const filename = /filename="([^"]*)"/.exec(headerText)?.[1];
+      const contentType = /content-type:\s*([^\r\n]+)/i.exec(headerText)?.[1];
+
+      if (filename !== undefined) {
+        files.push({ field: name, filename, contentType, content: Buffer.from(content) });
+      } else if (name !== undefined) {
+        fields[name] = content.toString('utf8');
+      }
+    }
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Helper: Rebuild nested objects from flattened form fields (a.b, list[0])
+ */
+function unflatten(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    setPath(result, key.replace(/\[(\d+)\]/g, '.$1'), value);
+  }
+  return result;
+}
+
+/**
+ * Helper: Summarize a multipart file for request records
+ */
+function describePart(part) {
+  return { field: part.field, filename: part.filename, contentType: part.contentType, size: part.content.length };
+}
+
+/**
+ * Helper: Reject records missing required fields
+ */
+function validateRecord(collection, data) {
+  if (!data || typeof data !== 'object') return 'request body must be a JSON object';
+  if (!data.externalId) return 'externalId is required';
+  if (collection === 'entries' && !data.dataType) return 'dataType is required';
+  return null;
+}
+
+/**
+ * Helper: Compare a stored value against a query filter
+ */
+function compare(actual, op, expected) {
+  // A missing field only matches 'ne', and ranges never compare a number with a non-number
+  if (actual === undefined || actual === null) return op === 'ne';
+  if (RANGE_OPERATORS.includes(op) && isNumeric(actual) !== isNumeric(expected)) return false;
+
+  // Multipart fields arrive as strings, so compare numerically whenever both sides are numbers
+  // and as strings otherwise (query values are always strings)
+  const numeric = isNumeric(actual) && isNumeric(expected);
+  const value = numeric ? Number(expected) : String(expected);
+  const current = numeric ? Number(actual) : String(actual);
+
+  switch (op) {
+    case 'eq': return current === value;
+    case 'ne': return current !== value;
+    case 'gt': return current > value;
+    case 'gte': return current >= value;
+    case 'lt': return current < value;
+    case 'lte': return current <= value;
+    case 'in': return expected.split(',').includes(String(current));
+    case 'prefix': return typeof current === 'string' && current.startsWith(expected);
+    default: return false;
+  }
+}
+
+function isNumeric(value) {
+  return (typeof value === 'number' || typeof value === 'string') && value !== '' && Number.isFinite(Number(value));
+}
+
+/**
+ * Helper: Read a dotted path
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Helper: Write a dotted path, creating arrays for numeric keys
+ */
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  let current = object;
+  keys.forEach((key, index) => {
+    if (index === keys.length - 1) {
+      current[key] = value;
+      return;
+    }
+    if (current[key] === undefined) {
+      current[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+    }
+    current = current[key];
+  });
+}
+
+/**
+ * Helper: Match a path against a string prefix or RegExp
+ */
+function matchPath(matcher, path) {
+  if (matcher instanceof RegExp) return matcher.test(path);
+  return path === matcher || path.startsWith(matcher.endsWith('/') ? matcher : `${matcher}/`);
+}
+
+/**
+ * Helper: Response builders
+ */
+function ok(payload) {
+  return { status: 200, payload };
+}
+
+function badRequest(error) {
+  return { status: 400, payload: { success: false, error } };
+}
+
+function notFound(path) {
+  return { status: 404, payload: { success: false, error: `Not found: ${path}` } };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default createTestServer;
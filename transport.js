@@ -0,0 +1,481 @@
+/**
+ * Kryos SDK - Transport Module
+ *
+ * The HTTP layer under APIModule. Interceptors, retries, signing and error
+ * mapping stay in the axios client; a transport only moves bytes:
+ *
+ *   transport.request({ method, url, baseUrl, headers, body, timeout, signal, responseType })
+ *     -> { status, statusText, headers, data }
+ *
+ * url is absolute (baseUrl is the client's base it was resolved against),
+ * body is already serialized (string, Buffer or stream) and
+ * data is a string, a Buffer (responseType 'arraybuffer') or a readable
+ * stream (responseType 'stream'). Network failures reject with an error
+ * carrying a `code` (ECONNREFUSED, ECONNABORTED for timeouts, ...).
+ *
+ * Built-in transports:
+ *   AxiosTransport   - axios' own Node http adapter (default)
+ *   FetchTransport   - native fetch (Node 18+), optionally with an undici dispatcher
+ *   MemoryTransport  - records requests and answers from a script, for tests
+ */
+
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import zlib from 'zlib';
+import { Readable, PassThrough } from 'stream';
+import { KryosError, KryosValidationError } from './errors.js';
+
+export class Transport {
+  /**
+   * Send one request; implemented by each transport
+   */
+  async request(request) {
+    throw new KryosError(`${this.constructor.name} does not implement request()`);
+  }
+
+  /**
+   * Axios adapter that routes requests through this transport
+   */
+  createAdapter() {
+    return (config) => dispatch(this, config);
+  }
+
+  /**
+   * Release sockets or timers held by the transport
+   */
+  async close() {}
+}
+
+export class AxiosTransport extends Transport {
+  /**
+   * Use axios' built-in adapter directly
+   */
+  createAdapter() {
+    return undefined;
+  }
+
+  async request(request) {
+    const response = await axios.request({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      data: request.body,
+      timeout: request.timeout,
+      signal: request.signal,
+      responseType: request.responseType === 'stream' ? 'stream' : 'arraybuffer',
+      validateStatus: () => true
+    });
+
+    const data = request.responseType === 'stream' || request.responseType === 'arraybuffer'
+      ? response.data
+      : Buffer.from(response.data).toString('utf8');
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: AxiosHeaders.from(response.headers).toJSON(),
+      data
+    };
+  }
+}
+
+export class FetchTransport extends Transport {
+  /**
+   * Options: dispatcher (undici Agent/Pool for connection pooling)
+   */
+  constructor(options = {}) {
+    super();
+    if (typeof fetch !== 'function') {
+      throw new KryosError('FetchTransport requires a global fetch (Node.js 18 or later)');
+    }
+    this.dispatcher = options.dispatcher || null;
+  }
+
+  async request(request) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = request.timeout
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, request.timeout)
+      : null;
+    const onAbort = () => controller.abort();
+    request.signal?.addEventListener('abort', onAbort);
+
+    // fetch computes these itself
+    const headers = { ...request.headers };
+    delete headers['Content-Length'];
+    delete headers['content-length'];
+
+    let body = request.body;
+    let duplex;
+    if (body && typeof body.pipe === 'function') {
+      const passThrough = new PassThrough();
+      body.pipe(passThrough);
+      body = Readable.toWeb(passThrough);
+      duplex = 'half';
+    }
+
+    try {
+      const response = await fetch(request.url, {
+        method: request.method.toUpperCase(),
+        headers,
+        body,
+        duplex,
+        signal: controller.signal,
+        ...(this.dispatcher ? { dispatcher: this.dispatcher } : {})
+      });
+
+      let data;
+      if (request.responseType === 'stream') {
+        data = response.body ? Readable.fromWeb(response.body) : Readable.from([]);
+      } else {
+        const buffer = Buffer.from(await response.arrayBuffer());
+        data = request.responseType === 'arraybuffer' ? buffer : buffer.toString('utf8');
+      }
+
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        data
+      };
+    } catch (error) {
+      if (timedOut) {
+        throw networkError(`timeout of ${request.timeout}ms exceeded`, 'ECONNABORTED', error);
+      }
+      if (request.signal?.aborted) {
+        throw networkError('canceled', 'ERR_CANCELED', error);
+      }
+      throw networkError(error.cause?.message || error.message, error.cause?.code || error.code || 'ERR_NETWORK', error);
+    } finally {
+      clearTimeout(timer);
+      request.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async close() {
+    if (this.dispatcher && typeof this.dispatcher.close === 'function') {
+      await this.dispatcher.close();
+    }
+  }
+}
+
+export class MemoryTransport extends Transport {
+  /**
+   * Options: defaultResponse ({ status, body, headers }) for unscripted requests
+   */
+  constructor(options = {}) {
+    super();
+    this.defaultResponse = options.defaultResponse || { status: 200, body: { success: true } };
+    this.requests = [];
+    this.routes = [];
+    this.queue = [];
+  }
+
+  /**
+   * Answer matching requests. path may be a string, RegExp or (path) => boolean;
+   * response may be { status, body, headers, delay, error } or (request) => response.
+   */
+  route(method, path, response) {
+    this.routes.push({ method: method.toUpperCase(), path, response });
+    return this;
+  }
+
+  /**
+   * Queue one-shot responses, used in order before any route
+   */
+  enqueue(...responses) {
+    this.queue.push(...responses);
+    return this;
+  }
+
+  /**
+   * Make the next `count` requests fail (HTTP 503 unless a response is given)
+   */
+  failNext(count = 1, response = { status: 503, body: { error: 'Service Unavailable' } }) {
+    for (let i = 0; i < count; i++) {
+      this.queue.push(response);
+    }
+    return this;
+  }
+
+  /**
+   * Recorded requests matching { method, path }
+   */
+  find({ method, path } = {}) {
+    return this.requests.filter(request =>
+      (!method || request.method === method.toUpperCase()) && (!path || matchPath(path, request.path))
+    );
+  }
+
+  /**
+   * Most recent recorded request
+   */
+  get lastRequest() {
+    return this.requests[this.requests.length - 1] || null;
+  }
+
+  /**
+   * Forget recorded requests and scripted responses
+   */
+  reset() {
+    this.requests = [];
+    this.routes = [];
+    this.queue = [];
+  }
+
+  async request(request) {
+    const url = new URL(request.url);
+    const body = await readBody(request.body);
+    const recorded = {
+      method: request.method.toUpperCase(),
+      url: request.url,
+      path: relativePath(url, request.baseUrl),
+      query: Object.fromEntries(url.searchParams.entries()),
+      headers: request.headers,
+      body,
+      json: parseJson(body, request.headers),
+      timestamp: new Date().toISOString()
+    };
+    this.requests.push(recorded);
+
+    let response = this.queue.length > 0 ? this.queue.shift() : this.matchRoute(recorded);
+    if (typeof response === 'function') {
+      response = await response(recorded);
+    }
+    response = response || this.defaultResponse;
+
+    if (response.delay) {
+      await sleep(response.delay, request);
+    }
+
+    if (response.error) {
+      const code = typeof response.error === 'string' ? response.error : response.error.code || 'ERR_NETWORK';
+      throw networkError(response.error.message || `Simulated ${code}`, code);
+    }
+
+    const payload = response.body === undefined
+      ? ''
+      : typeof response.body === 'string' || Buffer.isBuffer(response.body)
+        ? response.body
+        : JSON.stringify(response.body);
+    const buffer = Buffer.from(payload);
+
+    let data;
+    if (request.responseType === 'stream') {
+      data = Readable.from([buffer]);
+    } else {
+      data = request.responseType === 'arraybuffer' ? buffer : buffer.toString('utf8');
+    }
+
+    return {
+      status: response.status || 200,
+      statusText: '',
+      headers: {
+        'content-type': typeof response.body === 'object' && !Buffer.isBuffer(response.body) ? 'application/json' : 'application/octet-stream',
+        'content-length': String(buffer.length),
+        ...lowerCaseKeys(response.headers || {})
+      },
+      data
+    };
+  }
+
+  /**
+   * Helper: First route matching a recorded request
+   */
+  matchRoute(recorded) {
+    const route = this.routes.find(candidate =>
+      (candidate.method === '*' || candidate.method === recorded.method) && matchPath(candidate.path, recorded.path)
+    );
+    return route ? route.response : null;
+  }
+}
+
+const TRANSPORTS = {
+  axios: AxiosTransport,
+  fetch: FetchTransport,
+  memory: MemoryTransport
+};
+
+const objectTransports = new WeakMap();
+
+/**
+ * Resolve config.transport (a name, a Transport instance or a plain object with request())
+ */
+export function createTransport(transport = 'axios', options = {}) {
+  if (transport instanceof Transport) {
+    return transport;
+  }
+  if (transport && typeof transport === 'object' && typeof transport.request === 'function') {
+    // One wrapper per object, so a reconfigure that keeps the object does not close it
+    if (!objectTransports.has(transport)) {
+      objectTransports.set(transport, new ObjectTransport(transport));
+    }
+    return objectTransports.get(transport);
+  }
+
+  const TransportClass = TRANSPORTS[transport];
+  if (!TransportClass) {
+    throw new KryosValidationError(`Unknown transport: ${transport}`, [
+      `transport must be one of ${Object.keys(TRANSPORTS).join(', ')} or an object with a request() method`
+    ]);
+  }
+  return new TransportClass(options);
+}
+
+/**
+ * Helper: Adapts a plain { request(), close()? } object to the Transport interface
+ */
+class ObjectTransport extends Transport {
+  constructor(target) {
+    super();
+    this.target = target;
+  }
+
+  async request(request) {
+    return await this.target.request(request);
+  }
+
+  async close() {
+    if (typeof this.target.close === 'function') {
+      await this.target.close();
+    }
+  }
+}
+
+/**
+ * Helper: Run an axios request config through a transport and settle it like axios does
+ */
+async function dispatch(transport, config) {
+  const request = {
+    method: config.method || 'get',
+    url: axios.getUri(config),
+    baseUrl: config.baseURL || null,
+    headers: AxiosHeaders.from(config.headers).toJSON(),
+    body: config.data,
+    timeout: config.timeout,
+    signal: config.signal,
+    responseType: config.responseType
+  };
+
+  let result;
+  try {
+    result = await transport.request(request);
+  } catch (error) {
+    if (error instanceof AxiosError) throw error;
+    throw AxiosError.from(error, error.code, config, request);
+  }
+
+  const response = {
+    data: result.data,
+    status: result.status,
+    statusText: result.statusText || '',
+    headers: AxiosHeaders.from(result.headers || {}),
+    config,
+    request
+  };
+
+  const validateStatus = config.validateStatus;
+  if (!response.status || !validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    request,
+    response
+  );
+}
+
+/**
+ * Helper: Error for a request that got no response
+ */
+function networkError(message, code, cause) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+/**
+ * Helper: Buffer a request body (string, Buffer or stream) for recording
+ */
+async function readBody(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) return body;
+  if (typeof body.pipe === 'function') {
+    const chunks = [];
+    for await (const chunk of body.pipe(new PassThrough())) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+  return body;
+}
+
+/**
+ * Helper: Parse a recorded JSON body, decompressing it first if needed
+ */
+function parseJson(body, headers = {}) {
+  if (body === null) return null;
+
+  let raw = body;
+  const encoding = headers['Content-Encoding'] || headers['content-encoding'];
+  try {
+    if (encoding === 'gzip') raw = zlib.gunzipSync(body);
+    if (encoding === 'br') raw = zlib.brotliDecompressSync(body);
+    return JSON.parse(raw.toString());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Helper: Match a request path against a string, RegExp or predicate
+ */
+function matchPath(matcher, path) {
+  if (typeof matcher === 'string') return matcher === path || matcher === '*';
+  if (matcher instanceof RegExp) return matcher.test(path);
+  if (typeof matcher === 'function') return Boolean(matcher(path));
+  return false;
+}
+
+/**
+ * Helper: Request path below the client's base URL path ('/api/data/users' -> '/data/users')
+ */
+function relativePath(url, baseUrl) {
+  const basePath = baseUrl ? new URL(baseUrl).pathname.replace(/\/+$/, '') : '';
+  if (basePath && (url.pathname === basePath || url.pathname.startsWith(`${basePath}/`))) {
+    return url.pathname.slice(basePath.length) || '/';
+  }
+  return url.pathname;
+}
+
+/**
+ * Helper: Lower-case header names
+ */
+function lowerCaseKeys(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+/**
+ * Helper: Wait for a scripted delay, honoring timeouts and aborts
+ */
+function sleep(ms, request) {
+  return new Promise((resolve, reject) => {
+    if (request.timeout && ms >= request.timeout) {
+      setTimeout(() => reject(networkError(`timeout of ${request.timeout}ms exceeded`, 'ECONNABORTED')), request.timeout);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    request.signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(networkError('canceled', 'ERR_CANCELED'));
+    });
+  });
+}
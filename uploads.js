@@ -0,0 +1,199 @@
+/**
+ * Kryos SDK - Uploads Module
+ *
+ * Normalizes file attachments for multipart uploads. A file may be a
+ * filesystem path or a descriptor:
+ *
+ *   { path, filename?, contentType? }
+ *   { buffer, filename, contentType? }
+ *   { stream, filename, contentType?, size? }
+ *
+ * Sizes are checked against the configured limits before anything is sent,
+ * and the MIME type is sniffed when not given.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import utils from './utils.js';
+import { KryosValidationError } from './errors.js';
+
+/**
+ * Whether any file is a one-shot stream (cannot be re-sent on retry)
+ */
+export function hasStreamFiles(files = []) {
+  return files.some(file => file && typeof file === 'object' && file.stream);
+}
+
+/**
+ * Stable, serializable description of files (used for idempotency keys and logs)
+ */
+export function describeFiles(files = []) {
+  return files.map((file) => {
+    if (typeof file === 'string') {
+      return { path: file, filename: path.basename(file) };
+    }
+    if (file && file.buffer) {
+      return {
+        filename: file.filename,
+        size: file.buffer.length,
+        sha256: utils.generateHash(file.buffer.toString('base64'))
+      };
+    }
+    if (file && file.stream) {
+      return { filename: file.filename, size: file.size ?? null, stream: true };
+    }
+    return { path: file?.path, filename: file?.filename || (file?.path && path.basename(file.path)) };
+  });
+}
+
+/**
+ * Validate files against limits and resolve them into upload descriptors
+ */
+export function prepareFiles(files, limits = {}) {
+  if (!Array.isArray(files)) {
+    throw new KryosValidationError('Files must be an array', ['files must be an array']);
+  }
+
+  const { maxFileSize = Infinity, maxTotalSize = Infinity } = limits;
+  const errors = [];
+  const prepared = [];
+
+  // Path-based files go through the shared path validation
+  const pathEntries = files
+    .map((file, index) => ({ index, filePath: typeof file === 'string' ? file : file?.path }))
+    .filter(({ index, filePath }) => filePath && !(files[index].buffer || files[index].stream));
+  const pathResults = utils.validateFilePaths(pathEntries.map(({ filePath }) => filePath));
+
+  for (const problem of [...pathResults.invalid, ...pathResults.missing]) {
+    errors.push(`${problem.path}: ${problem.reason}`);
+  }
+
+  const statsByPath = new Map(pathResults.valid.map(file => [file.path, file]));
+  let totalSize = 0;
+
+  files.forEach((file, index) => {
+    const descriptor = typeof file === 'string' ? { path: file } : { ...file };
+    const label = descriptor.filename || descriptor.path || `files[${index}]`;
+
+    if (descriptor.buffer) {
+      if (!Buffer.isBuffer(descriptor.buffer)) {
+        errors.push(`${label}: buffer must be a Buffer`);
+        return;
+      }
+      descriptor.source = 'buffer';
+      descriptor.size = descriptor.buffer.length;
+    } else if (descriptor.stream) {
+      if (typeof descriptor.stream.pipe !== 'function') {
+        errors.push(`${label}: stream must be a readable stream`);
+        return;
+      }
+      descriptor.source = 'stream';
+    } else if (descriptor.path) {
+      const stats = statsByPath.get(descriptor.path);
+      if (!stats) return; // Already reported by validateFilePaths
+      descriptor.source = 'path';
+      descriptor.size = stats.size;
+    } else {
+      errors.push(`files[${index}]: must be a path or have a buffer, stream or path`);
+      return;
+    }
+
+    if (!descriptor.filename) {
+      if (descriptor.path) {
+        descriptor.filename = path.basename(descriptor.path);
+      } else {
+        errors.push(`files[${index}]: filename is required for ${descriptor.source} uploads`);
+        return;
+      }
+    }
+
+    if (descriptor.size !== undefined && descriptor.size !== null) {
+      if (descriptor.size > maxFileSize) {
+        errors.push(`${label}: ${utils.formatBytes(descriptor.size)} exceeds the per-file limit of ${utils.formatBytes(maxFileSize)}`);
+        return;
+      }
+      totalSize += descriptor.size;
+    }
+
+    descriptor.contentType = descriptor.contentType || sniffContentType(descriptor);
+    prepared.push(descriptor);
+  });
+
+  if (totalSize > maxTotalSize) {
+    errors.push(`total upload size ${utils.formatBytes(totalSize)} exceeds the limit of ${utils.formatBytes(maxTotalSize)}`);
+  }
+
+  if (errors.length > 0) {
+    throw new KryosValidationError(`Invalid file attachments: ${errors.join('; ')}`, errors);
+  }
+
+  return { files: prepared, totalSize };
+}
+
+/**
+ * Append a prepared descriptor to a form-data instance
+ */
+export function appendToForm(formData, descriptor, limits = {}) {
+  const options = { filename: descriptor.filename, contentType: descriptor.contentType };
+
+  if (descriptor.source === 'buffer') {
+    formData.append('files', descriptor.buffer, options);
+  } else if (descriptor.source === 'path') {
+    formData.append('files', fs.createReadStream(descriptor.path), options);
+  } else {
+    if (descriptor.size !== undefined && descriptor.size !== null) {
+      options.knownLength = descriptor.size;
+    }
+    formData.append('files', limitStream(descriptor.stream, descriptor.filename, limits.maxFileSize), options);
+  }
+}
+
+/**
+ * Helper: Abort a stream of unknown length once it exceeds maxBytes
+ */
+function limitStream(stream, filename, maxBytes = Infinity) {
+  if (!Number.isFinite(maxBytes)) {
+    return stream;
+  }
+
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new KryosValidationError(`${filename} exceeds the per-file limit of ${utils.formatBytes(maxBytes)}`, [
+          `${filename}: exceeds the per-file limit`
+        ]));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+
+  stream.on('error', error => limiter.destroy(error));
+  return stream.pipe(limiter);
+}
+
+/**
+ * Helper: Detect the MIME type from content (when available) or filename
+ */
+function sniffContentType(descriptor) {
+  let header = null;
+
+  if (descriptor.source === 'buffer') {
+    header = descriptor.buffer.subarray(0, 16);
+  } else if (descriptor.source === 'path') {
+    try {
+      const fd = fs.openSync(descriptor.path, 'r');
+      header = Buffer.alloc(16);
+      const bytesRead = fs.readSync(fd, header, 0, 16, 0);
+      fs.closeSync(fd);
+      header = header.subarray(0, bytesRead);
+    } catch {
+      header = null;
+    }
+  }
+
+  return utils.detectMimeType(header, descriptor.filename);
+}
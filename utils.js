@@ -9,6 +9,33 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.mp4': 'video/mp4',
+  '.mp3': 'audio/mpeg',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Headers that carry credentials
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'x-kryos-signature'];
+const HEADER_MASK = '****';
+
 class UtilitiesModule {
   constructor() {
     this.isInitialized = true;
@@ -286,6 +313,18 @@ class UtilitiesModule {
 
   /**
    * Retry function with exponential backoff
+   *
+   * Options:
+   *   maxAttempts   - total attempts including the first one
+   *   initialDelay  - base delay in ms for the first retry
+   *   maxDelay      - upper bound for a single delay
+   *   backoffFactor - multiplier applied per attempt
+   *   jitter        - use full jitter (random delay between 0 and the backoff)
+   *   maxElapsedMs  - give up once the next retry would exceed this budget
+   *   shouldRetry   - (error, attempt) => boolean, defaults to always
+   *   getRetryAfter - (error) => ms the server asked us to wait, or null
+   *   onRetry       - (error, attempt, delay) => void, called before sleeping
+   *   onError       - (error, attempt) => void, called on every failure
    */
   async retry(fn, options = {}) {
     const {
@@ -293,15 +332,20 @@ class UtilitiesModule {
       initialDelay = 1000,
       maxDelay = 10000,
       backoffFactor = 2,
+      jitter = false,
+      maxElapsedMs = Infinity,
+      shouldRetry = null,
+      getRetryAfter = null,
+      onRetry = null,
       onError = null
     } = options;
 
+    const startTime = Date.now();
     let lastError;
-    let delay = initialDelay;
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
-        return await fn();
+        return await fn(attempt);
       } catch (error) {
         lastError = error;
 
@@ -309,19 +353,56 @@ class UtilitiesModule {
           onError(error, attempt);
         }
 
-        if (attempt === maxAttempts) {
+        if (attempt === maxAttempts || (shouldRetry && !shouldRetry(error, attempt))) {
           break;
         }
 
-        console.warn(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
+        const backoff = Math.min(initialDelay * Math.pow(backoffFactor, attempt - 1), maxDelay);
+        let delay = jitter ? Math.floor(Math.random() * backoff) : backoff;
+
+        const retryAfter = getRetryAfter ? getRetryAfter(error) : null;
+        if (retryAfter !== null && retryAfter !== undefined) {
+          delay = retryAfter;
+        }
+
+        if (Date.now() - startTime + delay > maxElapsedMs) {
+          break;
+        }
+
+        if (onRetry) {
+          onRetry(error, attempt, delay);
+        } else {
+          console.warn(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
+        }
+
         await this.sleep(delay);
-        delay = Math.min(delay * backoffFactor, maxDelay);
       }
     }
 
     throw lastError;
   }
 
+  /**
+   * Parse a Retry-After header (delay-seconds or HTTP-date) into milliseconds
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
   /**
    * Sleep for specified milliseconds
    */
@@ -372,6 +453,32 @@ class UtilitiesModule {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
   }
 
+  /**
+   * Detect MIME type from leading bytes, falling back to the file extension
+   */
+  detectMimeType(buffer, filename = '') {
+    if (buffer && buffer.length >= 4) {
+      const hex = buffer.subarray(0, 8).toString('hex');
+      const ascii = buffer.subarray(0, 16).toString('latin1');
+
+      if (hex.startsWith('89504e47')) return 'image/png';
+      if (hex.startsWith('ffd8ff')) return 'image/jpeg';
+      if (ascii.startsWith('GIF8')) return 'image/gif';
+      if (ascii.startsWith('%PDF')) return 'application/pdf';
+      if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'image/webp';
+      if (ascii.slice(4, 8) === 'ftyp') return 'video/mp4';
+      if (hex.startsWith('1f8b')) return 'application/gzip';
+      if (hex.startsWith('504b0304')) {
+        // Office documents are zip containers, trust the extension for those
+        const ext = path.extname(filename).toLowerCase();
+        return MIME_TYPES[ext] || 'application/zip';
+      }
+    }
+
+    const ext = path.extname(filename || '').toLowerCase();
+    return MIME_TYPES[ext] || 'application/octet-stream';
+  }
+
   /**
    * Throttle function execution
    */
@@ -436,6 +543,19 @@ class UtilitiesModule {
     }
   }
 
+  /**
+   * Replace credential header values with a fixed mask (accepts plain objects and AxiosHeaders).
+   * Only the keyId of a Kryos bearer credential (keyId.secret) is kept, to tell keys apart.
+   */
+  maskHeaders(headers) {
+    const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : headers || {};
+    const masked = {};
+    for (const [name, value] of Object.entries(plain)) {
+      masked[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? maskCredential(value) : value;
+    }
+    return masked;
+  }
+
   /**
    * Mask sensitive data in strings
    */
@@ -485,6 +605,14 @@ class UtilitiesModule {
   }
 }
 
+/**
+ * Helper: 'Bearer keyId.secret' -> 'Bearer keyId.****', anything else -> '****'
+ */
+function maskCredential(value) {
+  const match = typeof value === 'string' && value.match(/^(Bearer) ([^.\s]+)\.\S+$/i);
+  return match ? `${match[1]} ${match[2]}.${HEADER_MASK}` : HEADER_MASK;
+}
+
 const utils = new UtilitiesModule();
 
 export default utils;
\ No newline at end of file